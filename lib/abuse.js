@@ -0,0 +1,38 @@
+// Abuse detection
+// Patterns rate limits alone don't catch, flagged for the DJ and moderators:
+//   voteFlipping - someone keeps switching their vote on one song (VOTE_FLIP_LIMIT
+//                  votes on it within a minute)
+//   requestFlood - someone kept requesting songs after using up their request limit
+// Flags are kept in session.abuseFlags, newest last. The same person isn't flagged
+// for the same thing again until FLAG_COOLDOWN_MS has passed.
+
+const VOTE_FLIP_LIMIT = 6;
+const VOTE_FLIP_WINDOW_MS = 60 * 1000;
+const FLAG_COOLDOWN_MS = 5 * 60 * 1000;
+const MAX_FLAGS = 200;
+
+// events is one entry's vote ledger (lib/votes.js)
+function isVoteFlipping(events, voterId, now = Date.now()) {
+  const cutoff = now - VOTE_FLIP_WINDOW_MS;
+  return events.filter(event => event.voterId === voterId && Date.parse(event.at) > cutoff).length >= VOTE_FLIP_LIMIT;
+}
+
+// Record a flag for who ({ userId, username }); returns it, or null if they were
+// flagged for this recently
+function flagAbuse(session, kind, who, detail, now = Date.now()) {
+  if (!session.abuseFlags) session.abuseFlags = [];
+  const recent = session.abuseFlags.some(flag =>
+    flag.kind === kind && flag.userId === who.userId && now - Date.parse(flag.at) < FLAG_COOLDOWN_MS);
+  if (recent) return null;
+
+  const flag = { kind, userId: who.userId, username: who.username, detail, at: new Date(now).toISOString() };
+  session.abuseFlags.push(flag);
+  if (session.abuseFlags.length > MAX_FLAGS) session.abuseFlags.splice(0, session.abuseFlags.length - MAX_FLAGS);
+  return flag;
+}
+
+module.exports = {
+  VOTE_FLIP_LIMIT,
+  isVoteFlipping,
+  flagAbuse
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Session access
+// Who may join a session, by session.access.mode:
+//   open     - anyone with the join code
+//   passcode - only with the passcode the DJ set, kept as a salted scrypt hash
+//   approval - joiners wait in session.lobby until someone who can admitJoiners lets
+//              them in or turns them away, the way pendingRequests works for songs
+// The DJ and people already in the session get back in without either.
+
+const ACCESS_MODES = ['open', 'passcode', 'approval'];
+const MAX_LOBBY = 100;
+
+function accessModeOf(session) {
+  return (session.access && session.access.mode) || 'open';
+}
+
+function hashPasscode(passcode, salt) {
+  return crypto.scryptSync(passcode, salt, 32).toString('hex');
+}
+
+function hasPasscode(session) {
+  return Boolean(session.access && session.access.passcode);
+}
+
+// Switch to mode; a passcode replaces the old one
+function setAccess(session, { mode, passcode }) {
+  const access = { ...session.access, mode };
+  if (passcode) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    access.passcode = { salt, hash: hashPasscode(passcode, salt) };
+  }
+  session.access = access;
+}
+
+function checkPasscode(session, passcode) {
+  if (!hasPasscode(session) || typeof passcode !== 'string') return false;
+  const { salt, hash } = session.access.passcode;
+  return crypto.timingSafeEqual(Buffer.from(hashPasscode(passcode, salt), 'hex'), Buffer.from(hash, 'hex'));
+}
+
+// What everyone may see of the access settings: never the passcode
+function accessView(session) {
+  return { mode: accessModeOf(session), hasPasscode: hasPasscode(session) };
+}
+
+// Put who ({ userId, username }) in the lobby, or find them already there.
+// Returns their lobby entry, or null if the lobby is full.
+function addToLobby(session, who) {
+  if (!session.lobby) session.lobby = [];
+  const waiting = session.lobby.find(entry => entry.userId === who.userId);
+  if (waiting) return waiting;
+  if (session.lobby.length >= MAX_LOBBY) return null;
+  const entry = { userId: who.userId, username: who.username, requestedAt: new Date().toISOString() };
+  session.lobby.push(entry);
+  return entry;
+}
+
+// Take userId out of the lobby; returns their entry, or undefined if they weren't waiting
+function takeFromLobby(session, userId) {
+  const index = (session.lobby || []).findIndex(entry => entry.userId === userId);
+  if (index === -1) return undefined;
+  return session.lobby.splice(index, 1)[0];
+}
+
+module.exports = {
+  ACCESS_MODES,
+  accessModeOf,
+  hasPasscode,
+  setAccess,
+  checkPasscode,
+  accessView,
+  addToLobby,
+  takeFromLobby
+};
@@ -0,0 +1,64 @@
+// API error envelope
+// Every error response (and socket ack) looks like
+//   { error: 'Message for people', code: 'MACHINE_READABLE_CODE', details?: [...] }
+// RATE_LIMITED adds retryAfter, the seconds to wait (also sent as a Retry-After header).
+// Clients branch on code; the message is free to change. Each code always maps
+// to the same HTTP status, listed here.
+
+const ERROR_STATUS = {
+  INVALID_JSON: 400, // body isn't valid JSON
+  VALIDATION_FAILED: 400, // body or query failed its schema; details lists { field, message }
+  QUEUE_EMPTY: 400, // nothing to play
+  NOTHING_TO_SAVE: 400, // no tracks for the requested playlist source
+  LOGIN_REQUIRED: 401, // route needs a Spotify login (user token)
+  TOKEN_REQUIRED: 401, // route needs a participant token
+  TOKEN_INVALID: 401, // token is malformed, forged or expired
+  PASSCODE_REQUIRED: 401, // the session needs a passcode to join
+  DJ_LOGIN_EXPIRED: 401, // the DJ's Spotify login is gone; the DJ has to log in again
+  WRONG_SESSION: 403, // token belongs to another session
+  ROLE_FORBIDDEN: 403, // participant's role can't do this
+  BANNED: 403, // banned from the session
+  NOT_A_MEMBER: 403, // kicked from the session; join it again first
+  MUTED: 403, // muted from voting or requesting
+  PASSCODE_INVALID: 403, // wrong passcode
+  IDENTITY_REQUIRED: 403, // nothing proves the user id is the caller's; join with its token or Spotify login, or as a guest
+  GUESTS_NOT_ALLOWED: 403, // the session only takes people with a Spotify login
+  NOT_FOUND: 404, // unknown API route
+  SESSION_NOT_FOUND: 404,
+  ENTRY_NOT_FOUND: 404, // queue entry
+  REQUEST_NOT_FOUND: 404, // pending song request
+  MEMBER_NOT_FOUND: 404, // nobody with that user id has joined the session
+  JOINER_NOT_FOUND: 404, // nobody with that user id is waiting in the lobby
+  ALREADY_QUEUED: 409, // duplicate policy refused the track
+  ALREADY_REQUESTED: 409,
+  REPLAY_COOLDOWN: 409, // track played too recently
+  LOBBY_FULL: 409, // too many people already waiting to be let in
+  GUESTS_FULL: 409, // the session has taken its maxGuests
+  NO_SPOTIFY_LOGIN: 409, // can't make them DJ: the server has no Spotify login of theirs to play from
+  SESSION_PAUSED: 409, // the DJ has paused the session; the queue is frozen until they resume
+  SESSION_ENDED: 410, // the session has ended; GET /api/session/:sessionId/archive has what's left of it
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429, // too many votes, searches or requests; retry after retryAfter seconds
+  PROVIDER_ERROR: 502, // the music provider failed
+  INTERNAL_ERROR: 500
+};
+
+function errorBody(code, message, details) {
+  return details ? { error: message, code, details } : { error: message, code };
+}
+
+function rateLimitedBody(retryAfterMs) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  return { ...errorBody('RATE_LIMITED', `Too many requests, try again in ${retryAfter}s`), retryAfter };
+}
+
+function sendError(res, code, message, details) {
+  return res.status(ERROR_STATUS[code] || 500).json(errorBody(code, message, details));
+}
+
+module.exports = {
+  ERROR_STATUS,
+  errorBody,
+  rateLimitedBody,
+  sendError
+};
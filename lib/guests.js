@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// Guests
+// Only the DJ needs a Spotify login: searches and playback run on theirs. Anyone else
+// can join without one, as a guest. A guest joins without a user id and the server
+// gives them one ('guest-' and a random UUID); a token for the session brings the same
+// guest back, and nobody can claim a guest id without one. Guests vote, search and
+// request like anyone, within the session's rate limits, but can't become the DJ.
+// The maxGuests setting caps how many a session takes (0 = Spotify logins only).
+
+const GUEST_ID_PREFIX = 'guest-';
+
+function newGuestId() {
+  return `${GUEST_ID_PREFIX}${crypto.randomUUID()}`;
+}
+
+function isGuestId(userId) {
+  return typeof userId === 'string' && userId.startsWith(GUEST_ID_PREFIX);
+}
+
+function guestCount(session) {
+  return session.participants.filter(p => isGuestId(p.userId)).length;
+}
+
+module.exports = {
+  newGuestId,
+  isGuestId,
+  guestCount
+};
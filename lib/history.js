@@ -0,0 +1,80 @@
+// Play history
+// Every track that leaves the queue to be played gets a history record with
+// who added it and its vote tally (replayed from the vote ledger). Votes keep
+// coming while it plays, so the record is settled when it stops playing, with
+// whether the room voted to skip it (lib/skipVotes.js).
+
+const { tallyVotes } = require('./votes');
+
+const CSV_COLUMNS = [
+  ['playedAt', 'Played At'],
+  ['name', 'Track'],
+  ['artist', 'Artist'],
+  ['album', 'Album'],
+  ['uri', 'Spotify URI'],
+  ['requestedBy', 'Requested By'],
+  ['votes', 'Votes'],
+  ['up', 'Upvotes'],
+  ['down', 'Downvotes'],
+  ['skipped', 'Skipped']
+];
+
+function tallyOf(session, entry) {
+  const { votes, up, down } = tallyVotes((session.voteLedger || {})[entry.entryId] || []);
+  return { votes, up, down };
+}
+
+function createHistoryEntry(session, entry, playedAt = new Date().toISOString()) {
+  const { votes, up, down } = tallyOf(session, entry);
+  return {
+    entryId: entry.entryId,
+    trackId: entry.id,
+    name: entry.name,
+    artist: entry.artist,
+    album: entry.album,
+    uri: entry.uri,
+    albumArt: entry.albumArt,
+    requestedBy: entry.addedBy || null,
+    votes,
+    up,
+    down,
+    skipped: false,
+    playedAt
+  };
+}
+
+function recordHistory(session, entry) {
+  if (!session.history) session.history = [];
+  const record = createHistoryEntry(session, entry);
+  session.history.push(record);
+  return record;
+}
+
+// entry has stopped playing: update its record with the final tally and whether it
+// was skipped. Returns the record, or null if it has none.
+function settleHistory(session, entry, { skipped = false } = {}) {
+  const record = (session.history || []).filter(r => r.entryId === entry.entryId).pop();
+  if (!record) return null;
+  Object.assign(record, tallyOf(session, entry), { skipped });
+  return record;
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function historyToCsv(history) {
+  const rows = history.map(record => CSV_COLUMNS.map(([key]) => {
+    if (key === 'requestedBy') return csvCell(record.requestedBy && record.requestedBy.username);
+    return csvCell(record[key]);
+  }).join(','));
+  return [CSV_COLUMNS.map(([, label]) => label).join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  createHistoryEntry,
+  recordHistory,
+  settleHistory,
+  historyToCsv
+};
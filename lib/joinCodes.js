@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// Join codes
+// Guests join with a short code (say K7QX2M) instead of the session's UUID. Codes use
+// an alphabet without look-alikes (no 0/O or 1/I/L), and a new code is checked against
+// the live sessions so no two share one. Typed codes are normalized first, so case,
+// spaces and dashes don't matter.
+
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+const MAX_ATTEMPTS = 20; // 31^6 codes, so running out of attempts means something is wrong
+
+function randomJoinCode() {
+  let code = '';
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// A code nobody has, going by isTaken(code); throws if it can't find one
+function createJoinCode(isTaken, random = randomJoinCode) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const code = random();
+    if (!isTaken(code)) return code;
+  }
+  throw new Error('Could not find a free join code');
+}
+
+// What the guest typed, as a code: 'k7qx-2m' -> 'K7QX2M'. Returns null if it can't be one.
+function normalizeJoinCode(input) {
+  const code = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+  if (code.length !== JOIN_CODE_LENGTH) return null;
+  return [...code].every(char => JOIN_CODE_ALPHABET.includes(char)) ? code : null;
+}
+
+module.exports = {
+  JOIN_CODE_LENGTH,
+  createJoinCode,
+  normalizeJoinCode
+};
@@ -0,0 +1,53 @@
+// Session lifecycle
+// A session is one of:
+//   active - the jam is on
+//   paused - the DJ paused it: auto-advance stops and the queue is frozen (no votes,
+//            requests or plays) until the DJ resumes it
+//   ended  - the DJ ended it, or it sat idle too long. What's worth keeping goes into
+//            an archive (lib/store.js) and the session is evicted with its queue and votes.
+// session.lastActiveAt moves whenever something happens in the session. The sweeper
+// ends sessions idle for longer than their idleTimeoutMinutes setting, or
+// pausedTimeoutMinutes once paused.
+
+const { DEFAULT_SETTINGS } = require('./settings');
+
+function statusOf(session) {
+  return session.status || 'active';
+}
+
+function touchSession(session, now = Date.now()) {
+  session.lastActiveAt = new Date(now).toISOString();
+}
+
+// Why the session should end now ('idle' or 'pausedTooLong'), or null
+function expiryReason(session, now = Date.now()) {
+  const settings = { ...DEFAULT_SETTINGS, ...session.settings };
+  const paused = statusOf(session) === 'paused';
+  const minutes = paused ? settings.pausedTimeoutMinutes : settings.idleTimeoutMinutes;
+  if (!minutes) return null; // 0 = never
+  const lastActive = Date.parse(session.lastActiveAt || session.createdAt);
+  if (now - lastActive < minutes * 60 * 1000) return null;
+  return paused ? 'pausedTooLong' : 'idle';
+}
+
+// What's kept of an ended session: who ran it, how it went, and what was played
+function archiveOf(session, reason, now = Date.now()) {
+  return {
+    id: session.id,
+    name: session.name,
+    dj: session.dj,
+    createdAt: session.createdAt,
+    endedAt: new Date(now).toISOString(),
+    reason, // 'ended' by the DJ, 'idle' or 'pausedTooLong'
+    participantCount: session.participants.length,
+    songsPlayed: session.songsPlayed || 0,
+    history: session.history || []
+  };
+}
+
+module.exports = {
+  statusOf,
+  touchSession,
+  expiryReason,
+  archiveOf
+};
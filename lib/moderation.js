@@ -0,0 +1,87 @@
+// Participant moderation
+// Anyone with the moderate permission (lib/roles.js) can:
+//   kick   - take someone out of the session; they can join again
+//   ban    - kick them and keep them from joining again, until unban
+//   mute   - take away their right to vote and/or request songs, until unmute
+// Nobody can moderate the DJ or themselves, and only the DJ can moderate someone
+// who holds a role (kicking or banning takes the role away). Every action is kept
+// in session.moderationLog, oldest first, for the DJ to look back over.
+// Guests can come back under a new id whenever they like, so a guest's ban also
+// keeps the IP address they joined from (session.guestIps) out of new guest ids.
+
+const { setRole } = require('./roles');
+
+const MODERATION_ACTIONS = ['kick', 'ban', 'unban', 'mute', 'unmute'];
+const MUTABLE_RIGHTS = ['vote', 'request']; // request also covers adding songs straight to the queue
+
+function isBanned(session, userId) {
+  return Boolean((session.bans || {})[userId]);
+}
+
+function isBannedIp(session, ip) {
+  return Object.values(session.bans || {}).some(ban => ban.ip && ban.ip === ip);
+}
+
+// Bans as moderators see them, without the IP addresses
+function bansView(session) {
+  return Object.fromEntries(Object.entries(session.bans || {}).map(([userId, { ip, ...ban }]) => [userId, ban]));
+}
+
+function isMuted(session, userId, right) {
+  return ((session.mutes || {})[userId] || []).includes(right);
+}
+
+// Apply a moderation action to target ({ userId, username }); returns its log entry.
+// rights only matters for mute and unmute, and defaults to all of them.
+function moderate(session, { action, target, by, rights = MUTABLE_RIGHTS, reason }) {
+  if (!session.bans) session.bans = {};
+  if (!session.mutes) session.mutes = {};
+  if (!session.moderationLog) session.moderationLog = [];
+  const { userId } = target;
+
+  if (action === 'kick' || action === 'ban') {
+    session.participants = session.participants.filter(p => p.userId !== userId);
+    setRole(session, userId, 'participant');
+  }
+  if (action === 'ban') {
+    session.bans[userId] = { username: target.username, bannedAt: new Date().toISOString() };
+    const ip = (session.guestIps || {})[userId];
+    if (ip) session.bans[userId].ip = ip;
+  }
+  if (action === 'unban') {
+    delete session.bans[userId];
+  }
+  if (action === 'mute') {
+    session.mutes[userId] = MUTABLE_RIGHTS.filter(right => rights.includes(right) || isMuted(session, userId, right));
+  }
+  if (action === 'unmute') {
+    const still = MUTABLE_RIGHTS.filter(right => !rights.includes(right) && isMuted(session, userId, right));
+    if (still.length) {
+      session.mutes[userId] = still;
+    } else {
+      delete session.mutes[userId];
+    }
+  }
+
+  const entry = {
+    action,
+    userId,
+    username: target.username,
+    by: { userId: by.userId, username: by.username },
+    at: new Date().toISOString()
+  };
+  if (action === 'mute' || action === 'unmute') entry.rights = rights;
+  if (reason) entry.reason = reason;
+  session.moderationLog.push(entry);
+  return entry;
+}
+
+module.exports = {
+  MODERATION_ACTIONS,
+  MUTABLE_RIGHTS,
+  isBanned,
+  isBannedIp,
+  bansView,
+  isMuted,
+  moderate
+};
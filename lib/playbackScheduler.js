@@ -0,0 +1,144 @@
+// Playback scheduler
+// Watches what the DJ's Spotify is playing for each session and, a few seconds
+// before the current track ends, queues the top entry so the party never stalls.
+// Progress comes from two places: `playbackState` reports sent by the DJ's Web
+// Playback SDK (player_state_changed) and, when those are missing or stale,
+// polling Spotify's playback state on the server.
+
+const LOOKAHEAD_MS = 5000; // queue the next track this long before the current one ends
+const POLL_INTERVAL_MS = 5000;
+const REPORT_TTL_MS = 30000; // trust a client report for this long before polling again
+const MIN_DELAY_MS = 1000;
+
+// deps:
+//   getSession(sessionId)              -> session or undefined
+//   getPlaybackState(session)          -> Promise<{ trackUri, progressMs, durationMs, isPlaying } | null>
+//   pickNext(session)                  -> queue entry to play next, or undefined
+//   queueTrack(session, entry)         -> Promise, adds the entry to the DJ's Spotify queue
+//   onAdvance(session, entry)          -> called once the queued entry is actually playing
+function createPlaybackScheduler(deps, options = {}) {
+  const {
+    lookaheadMs = LOOKAHEAD_MS,
+    pollIntervalMs = POLL_INTERVAL_MS,
+    reportTtlMs = REPORT_TTL_MS
+  } = options;
+
+  const watchers = new Map(); // sessionId -> { timer, pending, report, busy }
+
+  function isEnabled(session) {
+    return !session.settings || session.settings.autoAdvance !== false;
+  }
+
+  function schedule(sessionId, delay) {
+    const watcher = watchers.get(sessionId);
+    if (!watcher) return;
+    clearTimeout(watcher.timer);
+    watcher.timer = setTimeout(() => tick(sessionId), Math.max(delay, MIN_DELAY_MS));
+    if (watcher.timer.unref) watcher.timer.unref();
+  }
+
+  // Estimate current progress from the last client report, if it is recent enough
+  function estimateFromReport(watcher) {
+    const { report } = watcher;
+    if (!report || Date.now() - report.receivedAt > reportTtlMs) return null;
+    const elapsed = report.isPlaying ? Date.now() - report.receivedAt : 0;
+    return { ...report, progressMs: Math.min(report.progressMs + elapsed, report.durationMs) };
+  }
+
+  async function handleState(session, watcher, state) {
+    if (!state || !state.trackUri) return pollIntervalMs;
+
+    // The entry we queued has started: commit it to the session
+    if (watcher.pending && state.trackUri === watcher.pending.uri) {
+      const entry = session.queue.find(s => s.entryId === watcher.pending.entryId);
+      watcher.pending = null;
+      if (entry) deps.onAdvance(session, entry);
+      return pollIntervalMs;
+    }
+
+    // Something else started playing instead, so the queued entry stays in our queue
+    if (watcher.pending && state.trackUri !== watcher.pending.queuedDuring) {
+      watcher.pending = null;
+    }
+
+    const remaining = state.durationMs - state.progressMs;
+    if (!state.isPlaying) return pollIntervalMs;
+
+    if (!watcher.pending && remaining <= lookaheadMs) {
+      const next = deps.pickNext(session);
+      if (next) {
+        await deps.queueTrack(session, next);
+        watcher.pending = { entryId: next.entryId, uri: next.uri, queuedDuring: state.trackUri };
+      }
+      return Math.min(pollIntervalMs, remaining + MIN_DELAY_MS);
+    }
+
+    // Wake up right at the lookahead point, polling no less often than usual
+    return Math.min(pollIntervalMs, remaining - lookaheadMs);
+  }
+
+  async function tick(sessionId) {
+    const watcher = watchers.get(sessionId);
+    if (!watcher || watcher.busy) return;
+
+    const session = deps.getSession(sessionId);
+    if (!session) {
+      stop(sessionId);
+      return;
+    }
+    if (!isEnabled(session)) {
+      schedule(sessionId, pollIntervalMs);
+      return;
+    }
+
+    watcher.busy = true;
+    let delay = pollIntervalMs;
+    try {
+      const state = estimateFromReport(watcher) || await deps.getPlaybackState(session);
+      delay = await handleState(session, watcher, state);
+    } catch (error) {
+      console.error(`Playback scheduler error for session ${sessionId}:`, error.message || error);
+    } finally {
+      watcher.busy = false;
+    }
+    schedule(sessionId, delay);
+  }
+
+  function start(sessionId) {
+    if (watchers.has(sessionId)) return;
+    watchers.set(sessionId, { timer: null, pending: null, report: null, busy: false });
+    schedule(sessionId, pollIntervalMs);
+  }
+
+  function stop(sessionId) {
+    const watcher = watchers.get(sessionId);
+    if (!watcher) return;
+    clearTimeout(watcher.timer);
+    watchers.delete(sessionId);
+  }
+
+  // A fresh state from the DJ's web player; re-check almost immediately
+  function reportState(sessionId, state) {
+    const watcher = watchers.get(sessionId);
+    if (!watcher) return;
+    watcher.report = { ...state, receivedAt: Date.now() };
+    schedule(sessionId, 0);
+  }
+
+  // Someone started a track by hand, so whatever we queued is no longer ours to commit
+  function reset(sessionId) {
+    const watcher = watchers.get(sessionId);
+    if (watcher) watcher.pending = null;
+  }
+
+  function stopAll() {
+    [...watchers.keys()].forEach(stop);
+  }
+
+  return { start, stop, stopAll, reportState, reset, tick };
+}
+
+module.exports = {
+  LOOKAHEAD_MS,
+  createPlaybackScheduler
+};
@@ -0,0 +1,67 @@
+// Save a session's tracks to a Spotify playlist
+// The first save creates the playlist; later saves replace its contents with
+// the current list, so running it again never duplicates tracks.
+
+const SPOTIFY_BATCH_SIZE = 100; // Spotify accepts at most 100 tracks per request
+
+// Track URIs in order, each once, skipping local files and episodes Spotify can't add
+function playlistUris(entries) {
+  const seen = new Set();
+  return entries
+    .map(entry => entry.uri)
+    .filter(uri => typeof uri === 'string' && uri.startsWith('spotify:track:'))
+    .filter(uri => {
+      if (seen.has(uri)) return false;
+      seen.add(uri);
+      return true;
+    });
+}
+
+function chunk(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// api is a spotify-web-api-node client already holding the DJ's access token
+async function writeTracks(api, playlistId, uris) {
+  const [first = [], ...rest] = chunk(uris, SPOTIFY_BATCH_SIZE);
+  await api.replaceTracksInPlaylist(playlistId, first);
+  for (const batch of rest) {
+    await api.addTracksToPlaylist(playlistId, batch);
+  }
+}
+
+// Returns { playlistId, url, trackCount, created }
+async function syncPlaylist(api, { playlistId, name, description, uris }) {
+  if (playlistId) {
+    try {
+      await writeTracks(api, playlistId, uris);
+      return {
+        playlistId,
+        url: `https://open.spotify.com/playlist/${playlistId}`,
+        trackCount: uris.length,
+        created: false
+      };
+    } catch (error) {
+      // The DJ deleted the playlist in Spotify; fall through and make a new one
+      if (error.statusCode !== 404) throw error;
+    }
+  }
+
+  const { body } = await api.createPlaylist(name, { description, public: false });
+  await writeTracks(api, body.id, uris);
+  return {
+    playlistId: body.id,
+    url: body.external_urls && body.external_urls.spotify,
+    trackCount: uris.length,
+    created: true
+  };
+}
+
+module.exports = {
+  playlistUris,
+  syncPlaylist
+};
@@ -0,0 +1,121 @@
+// Seed a session's queue from Spotify
+// The "playlist" field on session creation takes one or more sources separated
+// by commas, spaces or new lines. Each can be a bare playlist id, a Spotify URI
+// (spotify:playlist:..., spotify:album:..., spotify:track:...) or an
+// open.spotify.com link. Playlists and albums are paged through in full, and
+// items Spotify can't play here (local files, podcast episodes, removed tracks)
+// are skipped and counted instead of crashing the import.
+
+const PAGE_SIZE = 50;
+
+// Returns { sources: [{ type, id }], invalid: [input] }
+function parseSources(input) {
+  const sources = [];
+  const invalid = [];
+
+  String(input || '')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .forEach(raw => {
+      const uri = raw.match(/^spotify:(playlist|album|track):([A-Za-z0-9]+)$/);
+      const url = raw.match(/^https?:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?(playlist|album|track)\/([A-Za-z0-9]+)/);
+      const match = uri || url;
+      if (match) {
+        sources.push({ type: match[1], id: match[2] });
+      } else if (/^[A-Za-z0-9]{10,}$/.test(raw)) {
+        sources.push({ type: 'playlist', id: raw }); // a bare id is a playlist, as before
+      } else {
+        invalid.push(raw);
+      }
+    });
+
+  return { sources, invalid };
+}
+
+function toTrack(track, album = track.album) {
+  return {
+    id: track.id,
+    name: track.name,
+    artist: track.artists && track.artists[0] ? track.artists[0].name : 'Unknown artist',
+    album: album ? album.name : undefined,
+    albumArt: album && album.images && album.images[0] ? album.images[0].url : undefined,
+    duration: track.duration_ms,
+    uri: track.uri
+  };
+}
+
+// Only real, playable Spotify tracks make it into the queue
+function isImportable(track) {
+  return Boolean(track && track.id && track.type === 'track' && !track.is_local && track.is_playable !== false);
+}
+
+// Walk a paged endpoint until Spotify stops returning a next page
+async function fetchAllPages(fetchPage) {
+  const items = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { body } = await fetchPage({ offset, limit: PAGE_SIZE });
+    items.push(...body.items);
+    if (!body.next) return items;
+  }
+}
+
+async function importPlaylist(api, id) {
+  const { body } = await api.getPlaylist(id, { fields: 'name' });
+  const items = await fetchAllPages(page => api.getPlaylistTracks(id, page));
+  return { name: body.name, candidates: items.map(item => item.track) };
+}
+
+async function importAlbum(api, id) {
+  const { body: album } = await api.getAlbum(id);
+  const items = await fetchAllPages(page => api.getAlbumTracks(id, page));
+  // Album track listings leave out the album itself
+  return { name: album.name, candidates: items.map(track => ({ ...track, album })) };
+}
+
+async function importTrack(api, id) {
+  const { body } = await api.getTrack(id);
+  return { name: body.name, candidates: [body] };
+}
+
+const importers = {
+  playlist: importPlaylist,
+  album: importAlbum,
+  track: importTrack
+};
+
+// api is a spotify-web-api-node client already holding the DJ's access token.
+// Returns { tracks, report } where report has one line per source for the DJ's preview.
+async function importSources(api, sources) {
+  const tracks = [];
+  const report = [];
+
+  for (const source of sources) {
+    try {
+      const { name, candidates } = await importers[source.type](api, source.id);
+      const importable = candidates.filter(isImportable);
+      tracks.push(...importable.map(track => toTrack(track)));
+      report.push({
+        ...source,
+        name,
+        imported: importable.length,
+        skipped: candidates.length - importable.length
+      });
+    } catch (error) {
+      console.error(`Error importing ${source.type} ${source.id}:`, error.message || error);
+      report.push({
+        ...source,
+        imported: 0,
+        skipped: 0,
+        error: error.statusCode === 404 ? 'Not found or not accessible' : 'Import failed'
+      });
+    }
+  }
+
+  return { tracks, report };
+}
+
+module.exports = {
+  parseSources,
+  isImportable,
+  importSources
+};
@@ -0,0 +1,149 @@
+// Live presence
+// Who is connected to each session right now, tracked per socket so several tabs
+// count as one person:
+//   online  - at least one socket is visible and was active in the last idleAfterMs
+//   idle    - connected, but every socket is hidden or has gone quiet
+//   offline - the last socket disconnected
+// Presence is live state, so it stays in memory and is not saved with the session.
+
+const PRESENCE_STATES = ['online', 'idle', 'offline'];
+
+function createPresenceTracker({
+  idleAfterMs = 2 * 60 * 1000,
+  sweepIntervalMs = 15 * 1000,
+  now = Date.now,
+  onChange = () => {}
+} = {}) {
+  const sessions = new Map(); // sessionId -> Map(userId -> member)
+  const socketIndex = new Map(); // socketId -> { sessionId, userId }
+  let sweepTimer = null;
+
+  function membersOf(sessionId) {
+    if (!sessions.has(sessionId)) sessions.set(sessionId, new Map());
+    return sessions.get(sessionId);
+  }
+
+  function statusOf(member) {
+    if (!member.sockets.size) return 'offline';
+    const cutoff = now() - idleAfterMs;
+    const active = [...member.sockets.values()].some(socket => !socket.hidden && socket.lastActiveAt > cutoff);
+    return active ? 'online' : 'idle';
+  }
+
+  function describe(member) {
+    const { userId, username, role, status, lastSeenAt } = member;
+    return { userId, username, role, status, lastSeenAt: new Date(lastSeenAt).toISOString() };
+  }
+
+  function counts(sessionId) {
+    const totals = { online: 0, idle: 0, offline: 0 };
+    membersOf(sessionId).forEach(member => { totals[member.status]++; });
+    return totals;
+  }
+
+  // Recompute a member's status and report it if it changed
+  function refresh(sessionId, member) {
+    const status = statusOf(member);
+    if (status === member.status) return;
+    member.status = status;
+    onChange(sessionId, describe(member), counts(sessionId));
+  }
+
+  function connect(sessionId, participant, socketId) {
+    disconnect(socketId); // a socket only belongs to one session at a time
+    const members = membersOf(sessionId);
+    const member = members.get(participant.userId) || {
+      userId: participant.userId,
+      sockets: new Map(),
+      status: 'offline'
+    };
+    member.username = participant.username;
+    member.role = participant.role;
+    member.lastSeenAt = now();
+    member.sockets.set(socketId, { lastActiveAt: now(), hidden: false });
+    members.set(participant.userId, member);
+    socketIndex.set(socketId, { sessionId, userId: participant.userId });
+    refresh(sessionId, member);
+  }
+
+  function disconnect(socketId) {
+    const entry = socketIndex.get(socketId);
+    if (!entry) return;
+    socketIndex.delete(socketId);
+    const member = membersOf(entry.sessionId).get(entry.userId);
+    member.sockets.delete(socketId);
+    member.lastSeenAt = now();
+    refresh(entry.sessionId, member);
+  }
+
+  // The socket did something (or its tab was shown or hidden)
+  function touch(socketId, { hidden } = {}) {
+    const entry = socketIndex.get(socketId);
+    if (!entry) return;
+    const member = membersOf(entry.sessionId).get(entry.userId);
+    const socket = member.sockets.get(socketId);
+    if (hidden !== undefined) socket.hidden = hidden;
+    if (!socket.hidden) socket.lastActiveAt = now();
+    member.lastSeenAt = now();
+    refresh(entry.sessionId, member);
+  }
+
+  // Someone's role in the session changed; reported like any other change
+  function setRole(sessionId, userId, role) {
+    const member = membersOf(sessionId).get(userId);
+    if (!member || member.role === role) return;
+    member.role = role;
+    onChange(sessionId, describe(member), counts(sessionId));
+  }
+
+  // Move members who have gone quiet to idle
+  function sweep() {
+    sessions.forEach((members, sessionId) => {
+      members.forEach(member => refresh(sessionId, member));
+    });
+  }
+
+  // Everyone seen in the session: online first, then idle, then offline
+  function list(sessionId) {
+    return [...membersOf(sessionId).values()]
+      .map(describe)
+      .sort((a, b) => PRESENCE_STATES.indexOf(a.status) - PRESENCE_STATES.indexOf(b.status));
+  }
+
+  // Drop an ended session, including sockets that haven't reported disconnecting yet
+  function forget(sessionId) {
+    socketIndex.forEach((entry, socketId) => {
+      if (entry.sessionId === sessionId) socketIndex.delete(socketId);
+    });
+    sessions.delete(sessionId);
+  }
+
+  function start() {
+    if (sweepTimer) return;
+    sweepTimer = setInterval(sweep, sweepIntervalMs);
+    if (sweepTimer.unref) sweepTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+
+  return {
+    connect,
+    disconnect,
+    touch,
+    setRole,
+    sweep,
+    list,
+    counts,
+    forget,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  PRESENCE_STATES,
+  createPresenceTracker
+};
@@ -0,0 +1,31 @@
+const { createSpotifyProvider } = require('./spotify');
+const { createMockProvider } = require('./mock');
+
+// Music providers
+// server.js talks to music services only through a provider:
+//
+//   provider.name
+//   provider.authorizeUrl()                  -> URL to send the user to for login
+//   provider.exchangeCode(code)              -> { accessToken, refreshToken, expiresIn, user }
+//   provider.refreshAccessToken(refresh)     -> { accessToken, refreshToken?, expiresIn }
+//   provider.client(accessToken)             -> client acting as that user:
+//     getMe()                                -> { id, display_name, ... }
+//     search(query, { limit })               -> [track]
+//     importSources([{ type, id }])          -> { tracks, report } (see lib/playlistImport.js)
+//     play(uri) / queue(uri)
+//     getPlaybackState()                     -> { trackUri, progressMs, durationMs, isPlaying } | null
+//     savePlaylist({ playlistId, name, description, uris })
+//                                            -> { playlistId, url, trackCount, created }
+//
+// Tracks are { id, name, artist, album, duration, uri, albumArt }.
+// MUSIC_PROVIDER=mock swaps Spotify for a local fixture catalog (offline dev and tests).
+
+function createProvider(name = 'spotify', options = {}) {
+  if (name === 'spotify') return createSpotifyProvider(options);
+  if (name === 'mock') return createMockProvider(options);
+  throw new Error(`Unknown music provider: ${name}`);
+}
+
+module.exports = {
+  createProvider
+};
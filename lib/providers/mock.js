@@ -0,0 +1,174 @@
+const defaultCatalog = require('./fixtures/catalog.json');
+
+// Mock music provider
+// A deterministic stand-in for Spotify backed by fixtures/catalog.json, so the
+// whole app can run offline and in tests. Login always succeeds, playback is
+// simulated per user against an injectable clock, and saved playlists live in
+// memory. In catalog playlists a null track id stands for a local file.
+//
+// Login codes: "mock" logs in as mock-dj, "mock:<userId>" as anyone else.
+// Access tokens look like "mock-access:<userId>:<n>".
+
+function createMockProvider({ catalog = defaultCatalog, now = Date.now, redirectUri = '/auth/spotify/callback' } = {}) {
+  const tracksById = new Map(catalog.tracks.map(track => [track.id, track]));
+  const players = new Map(); // userId -> { current: { uri, startedAt, pausedAt }, upNext: [uri] }
+  const savedPlaylists = new Map(); // playlistId -> { name, description, uris }
+  let tokenCounter = 0;
+
+  function issueTokens(userId) {
+    tokenCounter++;
+    return {
+      accessToken: `mock-access:${userId}:${tokenCounter}`,
+      refreshToken: `mock-refresh:${userId}`,
+      expiresIn: 3600
+    };
+  }
+
+  function userFromToken(accessToken) {
+    const [kind, userId] = String(accessToken || '').split(':');
+    if (kind !== 'mock-access' || !userId) {
+      const error = new Error('Invalid access token');
+      error.statusCode = 401;
+      throw error;
+    }
+    return userId;
+  }
+
+  function trackByUri(uri) {
+    return tracksById.get(String(uri).replace('spotify:track:', ''));
+  }
+
+  function notFound(what) {
+    const error = new Error(`${what} not found`);
+    error.statusCode = 404;
+    return error;
+  }
+
+  function getPlayer(userId) {
+    if (!players.has(userId)) players.set(userId, { current: null, upNext: [] });
+    return players.get(userId);
+  }
+
+  // Move the simulated player forward: finished tracks give way to queued ones
+  function advance(player) {
+    while (player.current && !player.current.pausedAt) {
+      const track = trackByUri(player.current.uri);
+      const endsAt = player.current.startedAt + track.duration;
+      if (now() < endsAt) return;
+      const nextUri = player.upNext.shift();
+      player.current = nextUri ? { uri: nextUri, startedAt: endsAt } : null;
+    }
+  }
+
+  function importSource(source) {
+    if (source.type === 'track') {
+      const track = tracksById.get(source.id);
+      if (!track) throw notFound('Track');
+      return { name: track.name, trackIds: [track.id] };
+    }
+    const list = source.type === 'album' ? catalog.albums : catalog.playlists;
+    const found = list.find(item => item.id === source.id);
+    if (!found) throw notFound(source.type);
+    return found;
+  }
+
+  function client(accessToken) {
+    const userId = userFromToken(accessToken);
+
+    return {
+      async getMe() {
+        return catalog.users[userId] || { id: userId, display_name: userId };
+      },
+
+      async search(query, { limit = 10 } = {}) {
+        const needle = String(query || '').toLowerCase();
+        return catalog.tracks
+          .filter(track => [track.name, track.artist, track.album].some(field => field.toLowerCase().includes(needle)))
+          .slice(0, limit)
+          .map(track => ({ ...track }));
+      },
+
+      async importSources(sources) {
+        const tracks = [];
+        const report = [];
+        sources.forEach(source => {
+          try {
+            const { name, trackIds } = importSource(source);
+            const importable = trackIds.filter(id => id && tracksById.has(id));
+            tracks.push(...importable.map(id => ({ ...tracksById.get(id) })));
+            report.push({ ...source, name, imported: importable.length, skipped: trackIds.length - importable.length });
+          } catch (error) {
+            report.push({ ...source, imported: 0, skipped: 0, error: 'Not found or not accessible' });
+          }
+        });
+        return { tracks, report };
+      },
+
+      async play(uri) {
+        if (!trackByUri(uri)) throw notFound('Track');
+        getPlayer(userId).current = { uri, startedAt: now() };
+      },
+
+      async queue(uri) {
+        if (!trackByUri(uri)) throw notFound('Track');
+        getPlayer(userId).upNext.push(uri);
+      },
+
+      async getPlaybackState() {
+        const player = getPlayer(userId);
+        advance(player);
+        if (!player.current) return null;
+        const track = trackByUri(player.current.uri);
+        return {
+          trackUri: track.uri,
+          progressMs: now() - player.current.startedAt,
+          durationMs: track.duration,
+          isPlaying: true
+        };
+      },
+
+      async savePlaylist({ playlistId, name, description, uris }) {
+        const created = !playlistId || !savedPlaylists.has(playlistId);
+        const id = created ? `mockplaylist${savedPlaylists.size + 1}` : playlistId;
+        savedPlaylists.set(id, { name, description, uris: [...uris] });
+        return { playlistId: id, url: `https://open.spotify.com/playlist/${id}`, trackCount: uris.length, created };
+      }
+    };
+  }
+
+  return {
+    name: 'mock',
+
+    authorizeUrl() {
+      return `${redirectUri}?code=mock`;
+    },
+
+    async exchangeCode(code) {
+      const [prefix, requestedUser] = String(code).split(':');
+      if (prefix !== 'mock') {
+        const error = new Error('Invalid authorization code');
+        error.statusCode = 400;
+        throw error;
+      }
+      const userId = requestedUser || 'mock-dj';
+      const tokens = issueTokens(userId);
+      return { ...tokens, user: await client(tokens.accessToken).getMe() };
+    },
+
+    async refreshAccessToken(refreshToken) {
+      const [, userId] = String(refreshToken).split(':');
+      const { accessToken, expiresIn } = issueTokens(userId);
+      return { accessToken, expiresIn };
+    },
+
+    client,
+
+    // Test helpers: inspect simulated state
+    getSavedPlaylist: playlistId => savedPlaylists.get(playlistId),
+    getPlayer: userId => getPlayer(userId)
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,117 @@
+const SpotifyWebApi = require('spotify-web-api-node');
+const { importSources } = require('../playlistImport');
+const { syncPlaylist } = require('../playlistExport');
+
+// Spotify music provider
+// spotify-web-api-node behind the provider interface described in ./index.js.
+
+const SCOPES = [
+  'streaming',
+  'user-read-private',
+  'user-read-email',
+  'playlist-read-private',
+  'playlist-modify-public',
+  'playlist-modify-private',
+  'user-modify-playback-state',
+  'user-read-playback-state',
+  'user-read-currently-playing'
+];
+
+function toTrack(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    artist: track.artists[0].name,
+    album: track.album.name,
+    duration: track.duration_ms,
+    uri: track.uri,
+    albumArt: track.album.images[0]?.url
+  };
+}
+
+function createSpotifyProvider({ clientId, clientSecret, redirectUri }) {
+  // Only used for the OAuth handshake; it never holds a user's access token
+  const oauthApi = new SpotifyWebApi({ clientId, clientSecret, redirectUri });
+
+  // A fresh spotify-web-api-node instance per client, bound to one user's token.
+  // Sharing one instance and swapping tokens lets concurrent requests (and the
+  // awaits inside a paged import) run on another session's login.
+  function client(accessToken) {
+    const spotify = new SpotifyWebApi({ clientId, clientSecret, redirectUri, accessToken });
+
+    return {
+      async getMe() {
+        const { body } = await spotify.getMe();
+        return body;
+      },
+
+      async search(query, { limit = 10 } = {}) {
+        const { body } = await spotify.searchTracks(query, { limit });
+        return body.tracks.items.map(toTrack);
+      },
+
+      importSources(sources) {
+        return importSources(spotify, sources);
+      },
+
+      async play(uri) {
+        await spotify.play({ uris: [uri] });
+      },
+
+      async queue(uri) {
+        await spotify.addToQueue(uri);
+      },
+
+      async getPlaybackState() {
+        const { body } = await spotify.getMyCurrentPlaybackState();
+        if (!body || !body.item) return null;
+        return {
+          trackUri: body.item.uri,
+          progressMs: body.progress_ms,
+          durationMs: body.item.duration_ms,
+          isPlaying: body.is_playing
+        };
+      },
+
+      savePlaylist(options) {
+        return syncPlaylist(spotify, options);
+      }
+    };
+  }
+
+  return {
+    name: 'spotify',
+
+    authorizeUrl() {
+      return oauthApi.createAuthorizeURL(SCOPES);
+    },
+
+    async exchangeCode(code) {
+      const { body } = await oauthApi.authorizationCodeGrant(code);
+      const user = await client(body.access_token).getMe();
+      return {
+        accessToken: body.access_token,
+        refreshToken: body.refresh_token,
+        expiresIn: body.expires_in,
+        user
+      };
+    },
+
+    async refreshAccessToken(refreshToken) {
+      const refresher = new SpotifyWebApi({ clientId, clientSecret, refreshToken });
+      const { body } = await refresher.refreshAccessToken();
+      return {
+        accessToken: body.access_token,
+        refreshToken: body.refresh_token,
+        expiresIn: body.expires_in
+      };
+    },
+
+    client
+  };
+}
+
+module.exports = {
+  SCOPES,
+  createSpotifyProvider
+};
@@ -0,0 +1,81 @@
+// Queue ordering strategies
+// The server owns the queue order; clients render session.queue as given.
+//   votes       - highest votes first (the original behaviour)
+//   round-robin - take turns between requesters, each requester's songs by votes
+//   fair        - votes plus a boost for requesters who haven't had a song played lately
+// Ties always fall back to the order entries were added in.
+
+const QUEUE_ORDERS = ['votes', 'round-robin', 'fair'];
+
+const FAIRNESS_WEIGHT = 1; // score bonus per song played since the requester's last one
+const FAIRNESS_CAP = 5; // most songs of "waiting" that count towards the bonus
+
+// Who a queue entry counts against (see addedBy in server.js createQueueEntry)
+function requesterOf(entry, session) {
+  if (entry.addedBy && entry.addedBy.userId) return entry.addedBy.userId;
+  return session.dj ? session.dj.userId : null;
+}
+
+function byVotes(a, b) {
+  return b.votes - a.votes || (a.seq || 0) - (b.seq || 0);
+}
+
+function orderByVotes(queue) {
+  return [...queue].sort(byVotes);
+}
+
+function orderRoundRobin(queue, session) {
+  const byRequester = new Map();
+  orderByVotes(queue).forEach(entry => {
+    const requester = requesterOf(entry, session);
+    if (!byRequester.has(requester)) byRequester.set(requester, []);
+    byRequester.get(requester).push(entry);
+  });
+
+  // Each round takes every requester's best remaining song, best of those first
+  const ordered = [];
+  const lists = [...byRequester.values()];
+  for (let round = 0; ordered.length < queue.length; round++) {
+    lists
+      .filter(list => list[round])
+      .map(list => list[round])
+      .sort(byVotes)
+      .forEach(entry => ordered.push(entry));
+  }
+  return ordered;
+}
+
+// How many songs have played since this requester's last one (capped)
+function songsSinceLastPlay(session, requester) {
+  const lastPlayed = (session.lastPlayedByRequester || {})[requester];
+  if (lastPlayed === undefined) return FAIRNESS_CAP;
+  return Math.min((session.songsPlayed || 0) - lastPlayed, FAIRNESS_CAP);
+}
+
+function fairScore(entry, session) {
+  return entry.votes + FAIRNESS_WEIGHT * songsSinceLastPlay(session, requesterOf(entry, session));
+}
+
+function orderFair(queue, session) {
+  return [...queue].sort((a, b) => fairScore(b, session) - fairScore(a, session) || (a.seq || 0) - (b.seq || 0));
+}
+
+function orderQueue(session) {
+  const strategy = (session.settings && session.settings.queueOrder) || 'votes';
+  if (strategy === 'round-robin') return orderRoundRobin(session.queue, session);
+  if (strategy === 'fair') return orderFair(session.queue, session);
+  return orderByVotes(session.queue);
+}
+
+// Remember when a requester last had a song played, for the fair strategy
+function recordPlay(session, entry) {
+  if (!session.lastPlayedByRequester) session.lastPlayedByRequester = {};
+  session.lastPlayedByRequester[requesterOf(entry, session)] = session.songsPlayed || 0;
+}
+
+module.exports = {
+  QUEUE_ORDERS,
+  requesterOf,
+  orderQueue,
+  recordPlay
+};
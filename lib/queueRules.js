@@ -0,0 +1,50 @@
+// Queue admission rules
+// Decide what happens when a track is added to a session's queue:
+//   duplicatePolicy 'reject' - refuse a track that is already queued
+//                   'merge'  - count the add as an upvote on the queued copy instead
+//                   'allow'  - queue another copy with its own entry and votes
+// and, independently, refuse tracks played within replayCooldownMinutes.
+
+const DUPLICATE_POLICIES = ['reject', 'merge', 'allow'];
+
+function findQueuedTrack(session, trackId) {
+  return session.queue.find(entry => entry.id === trackId);
+}
+
+// Remember when each track last started playing, for the replay cooldown
+function recordTrackPlayed(session, entry, now = Date.now()) {
+  if (!session.trackLastPlayedAt) session.trackLastPlayedAt = {};
+  session.trackLastPlayedAt[entry.id] = now;
+}
+
+// Milliseconds until trackId may be queued again (0 if it may be queued now)
+function cooldownRemaining(session, trackId, now = Date.now()) {
+  const minutes = (session.settings && session.settings.replayCooldownMinutes) || 0;
+  const lastPlayed = (session.trackLastPlayedAt || {})[trackId];
+  if (!minutes || !lastPlayed) return 0;
+  return Math.max(lastPlayed + minutes * 60 * 1000 - now, 0);
+}
+
+// Returns { action: 'add' }, { action: 'merge', entry } or { action: 'reject', code, reason }
+// (code is one of lib/errors.js's ALREADY_QUEUED or REPLAY_COOLDOWN)
+function checkAdmission(session, song, now = Date.now()) {
+  const waitMs = cooldownRemaining(session, song.id, now);
+  if (waitMs > 0) {
+    const minutes = Math.ceil(waitMs / 60000);
+    return { action: 'reject', code: 'REPLAY_COOLDOWN', reason: `Song was played recently; it can be added again in ${minutes} min` };
+  }
+
+  const policy = (session.settings && session.settings.duplicatePolicy) || 'reject';
+  const queued = findQueuedTrack(session, song.id);
+  if (!queued || policy === 'allow') return { action: 'add' };
+  if (policy === 'merge') return { action: 'merge', entry: queued };
+  return { action: 'reject', code: 'ALREADY_QUEUED', reason: 'Song is already in the queue' };
+}
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  findQueuedTrack,
+  recordTrackPlayed,
+  cooldownRemaining,
+  checkAdmission
+};
@@ -0,0 +1,75 @@
+// Rate limits
+// Each participant, and each IP address, gets a per-minute budget for votes,
+// searches, song requests and join attempts in a session, set by the session's rateLimits
+// setting. Going over answers RATE_LIMITED (429) with a retry hint. Counts live
+// in memory only, so a restart starts everyone over.
+
+const RATE_LIMITED_ACTIONS = ['vote', 'search', 'request', 'join'];
+
+// Hits per minute; ip covers everyone behind one address (a venue's Wi-Fi, say)
+const DEFAULT_RATE_LIMITS = {
+  vote: { participant: 30, ip: 120 },
+  search: { participant: 20, ip: 60 }, // searches run on the DJ's Spotify quota
+  request: { participant: 5, ip: 20 },
+  join: { participant: 10, ip: 30 } // new guests, passcode guesses and lobby knocks; other joins don't count
+};
+
+function createRateLimiter({ windowMs = 60 * 1000, sweepIntervalMs = 60 * 1000, now = Date.now } = {}) {
+  const hits = new Map(); // key -> hit times inside the window, oldest first
+  let sweepTimer = null;
+
+  function recent(key) {
+    const cutoff = now() - windowMs;
+    const times = (hits.get(key) || []).filter(at => at > cutoff);
+    hits.set(key, times);
+    return times;
+  }
+
+  // Count one action by userId from ip against the session's limits. Nothing is
+  // counted if either budget is spent. Returns null, or { retryAfterMs } until the
+  // spent budget has room again.
+  function check(session, action, { userId, ip }) {
+    const limits = { ...DEFAULT_RATE_LIMITS, ...(session.settings || {}).rateLimits }[action];
+    const budgets = [[`${session.id}:user:${userId}:${action}`, limits.participant]];
+    if (ip) budgets.push([`${session.id}:ip:${ip}:${action}`, limits.ip]);
+
+    const spent = budgets.map(([key, limit]) => ({ times: recent(key), limit })).filter(({ times, limit }) => times.length >= limit);
+    if (spent.length) {
+      const retryAfterMs = Math.max(...spent.map(({ times, limit }) => times[times.length - limit] + windowMs - now()));
+      return { retryAfterMs };
+    }
+    budgets.forEach(([key]) => hits.get(key).push(now()));
+    return null;
+  }
+
+  // Drop counters nobody has touched for a whole window
+  function sweep() {
+    hits.forEach((times, key) => {
+      if (!recent(key).length) hits.delete(key);
+    });
+  }
+
+  function start() {
+    if (sweepTimer) return;
+    sweepTimer = setInterval(sweep, sweepIntervalMs);
+    if (sweepTimer.unref) sweepTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+
+  return {
+    check,
+    sweep,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  RATE_LIMITED_ACTIONS,
+  DEFAULT_RATE_LIMITS,
+  createRateLimiter
+};
@@ -0,0 +1,45 @@
+// Session revisions
+// session.revision counts the state changes broadcast to a session. Each broadcast
+// carries the revision it produced, and the last few are kept here in memory so a
+// client that drops off can ask for just the events it missed. If the log no longer
+// reaches back that far (or the server restarted), the client gets a full snapshot.
+// The revision itself is saved with the session, so it keeps counting up across restarts.
+
+function createRevisionLog({ limit = 200 } = {}) {
+  const logs = new Map(); // sessionId -> [{ revision, event, payload }], oldest first
+
+  // Bump the session's revision for a change about to go out; returns the tagged payload
+  function record(session, event, payload) {
+    session.revision = (session.revision || 0) + 1;
+    const tagged = { ...payload, revision: session.revision };
+    if (!logs.has(session.id)) logs.set(session.id, []);
+    const log = logs.get(session.id);
+    log.push({ revision: session.revision, event, payload: tagged });
+    if (log.length > limit) log.splice(0, log.length - limit);
+    return tagged;
+  }
+
+  // Events after sinceRevision, oldest first, or null if the log can't cover the gap
+  function since(session, sinceRevision) {
+    const current = session.revision || 0;
+    if (!Number.isInteger(sinceRevision) || sinceRevision > current) return null;
+    if (sinceRevision === current) return [];
+    const log = logs.get(session.id) || [];
+    if (!log.length || log[0].revision > sinceRevision + 1) return null;
+    return log.filter(entry => entry.revision > sinceRevision);
+  }
+
+  function forget(sessionId) {
+    logs.delete(sessionId);
+  }
+
+  return {
+    record,
+    since,
+    forget
+  };
+}
+
+module.exports = {
+  createRevisionLog
+};
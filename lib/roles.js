@@ -0,0 +1,112 @@
+const { isGuestId } = require('./guests');
+
+// Session roles
+// session.dj is the DJ: playback and search run on their Spotify login, and they can
+// do everything, so guests (lib/guests.js) can't be the DJ. Anyone else who joined
+// can be made a co-DJ or moderator (session.roles, userId -> role); everyone without
+// an entry is a participant. What co-DJs, moderators and participants may do is the
+// DJ's call, through the rolePermissions setting.
+
+const APPOINTABLE_ROLES = ['coDj', 'moderator', 'participant'];
+
+// What a role can be allowed to do. Voting and requesting songs are open to everyone.
+const PERMISSIONS = [
+  'queueSongs', // add songs straight to the queue
+  'playNext',
+  'reviewRequests', // approve and deny song requests
+  'changeSettings',
+  'savePlaylists',
+  'manageRoles', // make people co-DJs or moderators
+  'moderate', // kick, ban and mute participants, see lib/moderation.js
+  'admitJoiners' // let people waiting in the lobby in, see lib/access.js
+];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  coDj: ['queueSongs', 'playNext', 'reviewRequests', 'savePlaylists', 'moderate', 'admitJoiners'],
+  moderator: ['reviewRequests', 'moderate', 'admitJoiners'],
+  participant: []
+};
+
+function roleOf(session, userId) {
+  if (session.dj.userId === userId) return 'dj';
+  return (session.roles || {})[userId] || 'participant';
+}
+
+// The DJ can do anything, including what no other role can be given (handing off the DJ role)
+function can(session, role, permission) {
+  if (role === 'dj') return true;
+  const granted = { ...DEFAULT_ROLE_PERMISSIONS, ...(session.settings || {}).rolePermissions };
+  return (granted[role] || []).includes(permission);
+}
+
+// The DJ or someone who joined, as { userId, username }
+function findMember(session, userId) {
+  if (session.dj.userId === userId) return session.dj;
+  return session.participants.find(p => p.userId === userId) || null;
+}
+
+// Give someone a role below DJ; 'participant' takes their role away
+function setRole(session, userId, role) {
+  if (!session.roles) session.roles = {};
+  if (role === 'participant') {
+    delete session.roles[userId];
+  } else {
+    session.roles[userId] = role;
+  }
+}
+
+// Make member the DJ. The previous DJ stays on as a co-DJ; returns them.
+function transferDj(session, member) {
+  const previous = session.dj;
+  session.dj = { userId: member.userId, username: member.username };
+  setRole(session, member.userId, 'participant');
+  setRole(session, previous.userId, 'coDj');
+  if (!session.participants.some(p => p.userId === previous.userId)) {
+    session.participants.push({ ...previous, joinedAt: new Date() });
+  }
+  return previous;
+}
+
+// True once the DJ has been offline for settings.djAwayMinutes (0 or unset means never).
+// members is the session's presence list (lib/presence.js).
+function djIsAway(session, members, now) {
+  const minutes = (session.settings || {}).djAwayMinutes;
+  if (!minutes) return false;
+  const dj = members.find(member => member.userId === session.dj.userId);
+  return Boolean(dj) && dj.status === 'offline' && now - Date.parse(dj.lastSeenAt) >= minutes * 60 * 1000;
+}
+
+// Who takes over from an away DJ: someone here with a Spotify login, co-DJs before
+// moderators before participants, online before idle, then whoever joined first.
+// null if nobody can. members is the presence list, narrowed by the caller to people
+// whose login the server holds.
+function pickSuccessor(session, members) {
+  const joinOrder = userId => session.participants.findIndex(p => p.userId === userId);
+  const rank = member => [
+    APPOINTABLE_ROLES.indexOf(roleOf(session, member.userId)),
+    member.status === 'online' ? 0 : 1,
+    joinOrder(member.userId)
+  ];
+  const candidates = members
+    .filter(member => member.status !== 'offline' && !isGuestId(member.userId) &&
+      findMember(session, member.userId) && roleOf(session, member.userId) !== 'dj')
+    .sort((a, b) => {
+      const [rankA, rankB] = [rank(a), rank(b)];
+      const differs = rankA.findIndex((value, i) => value !== rankB[i]);
+      return differs === -1 ? 0 : rankA[differs] - rankB[differs];
+    });
+  return candidates.length ? findMember(session, candidates[0].userId) : null;
+}
+
+module.exports = {
+  APPOINTABLE_ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  roleOf,
+  can,
+  findMember,
+  setRole,
+  transferDj,
+  djIsAway,
+  pickSuccessor
+};
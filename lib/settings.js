@@ -0,0 +1,68 @@
+// Per-session settings
+// Sessions start with DEFAULT_SETTINGS; the DJ can change individual keys.
+// Each key has a validator so unknown keys or bad values are rejected.
+
+const { QUEUE_ORDERS } = require('./queueOrdering');
+const { DUPLICATE_POLICIES } = require('./queueRules');
+const { APPOINTABLE_ROLES, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('./roles');
+const { RATE_LIMITED_ACTIONS, DEFAULT_RATE_LIMITS } = require('./rateLimits');
+const { DEFAULT_SKIP_THRESHOLD, isSkipThreshold } = require('./skipVotes');
+
+const DEFAULT_SETTINGS = {
+  autoAdvance: true, // let the playback scheduler queue the next track on its own
+  queueOrder: 'votes', // see lib/queueOrdering.js
+  duplicatePolicy: 'reject', // see lib/queueRules.js
+  replayCooldownMinutes: 30, // a played track can't be queued again for this long (0 = off)
+  djAwayMinutes: 5, // hand the DJ role to someone else once the DJ has been offline this long (0 = never)
+  idleTimeoutMinutes: 120, // end the session once nothing has happened in it for this long (0 = never)
+  pausedTimeoutMinutes: 24 * 60, // same, while the DJ has it paused; see lib/lifecycle.js
+  maxGuests: 50, // people joining without a Spotify login (0 = none); see lib/guests.js
+  skipThreshold: DEFAULT_SKIP_THRESHOLD, // downvotes that skip the song that's playing, see lib/skipVotes.js
+  rolePermissions: DEFAULT_ROLE_PERMISSIONS, // see lib/roles.js
+  rateLimits: DEFAULT_RATE_LIMITS // see lib/rateLimits.js
+};
+
+// Map-shaped settings: a change replaces only the roles or actions it names
+const MERGED_SETTINGS = ['rolePermissions', 'rateLimits'];
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const perMinute = value => Number.isInteger(value) && value >= 1 && value <= 1000;
+
+const validators = {
+  autoAdvance: value => typeof value === 'boolean',
+  queueOrder: value => QUEUE_ORDERS.includes(value),
+  duplicatePolicy: value => DUPLICATE_POLICIES.includes(value),
+  replayCooldownMinutes: value => Number.isInteger(value) && value >= 0 && value <= 24 * 60,
+  djAwayMinutes: value => Number.isInteger(value) && value >= 0 && value <= 24 * 60,
+  idleTimeoutMinutes: value => Number.isInteger(value) && value >= 0 && value <= 7 * 24 * 60,
+  pausedTimeoutMinutes: value => Number.isInteger(value) && value >= 0 && value <= 7 * 24 * 60,
+  maxGuests: value => Number.isInteger(value) && value >= 0 && value <= 1000,
+  skipThreshold: isSkipThreshold,
+  rolePermissions: value => isObject(value) &&
+    Object.entries(value).every(([role, permissions]) =>
+      APPOINTABLE_ROLES.includes(role) && Array.isArray(permissions) && permissions.every(p => PERMISSIONS.includes(p))),
+  rateLimits: value => isObject(value) &&
+    Object.entries(value).every(([action, limits]) =>
+      RATE_LIMITED_ACTIONS.includes(action) && isObject(limits) &&
+      Object.keys(limits).length === 2 && perMinute(limits.participant) && perMinute(limits.ip))
+};
+
+// Returns { settings } with the changes merged in, or { error, field } for the first bad key
+function applySettings(current, changes) {
+  const settings = { ...DEFAULT_SETTINGS, ...current };
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (!validators[key]) {
+      return { error: `Unknown setting: ${key}`, field: key };
+    }
+    if (!validators[key](value)) {
+      return { error: `Invalid value for ${key}`, field: key };
+    }
+    settings[key] = MERGED_SETTINGS.includes(key) ? { ...settings[key], ...value } : value;
+  }
+  return { settings };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  applySettings
+};
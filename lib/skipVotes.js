@@ -0,0 +1,51 @@
+// Skip votes
+// Votes on the song that's playing (session.currentSong) go in the vote ledger like
+// queue votes (lib/votes.js), and its downvotes count towards skipping it. The
+// session's skipThreshold setting says how many it takes:
+//   { type: 'percent', value: 50 } - that share of the people here now (lib/presence.js) and
+//                                    anyone else who voted on the song, at least one
+//   { type: 'count', value: 5 }    - that many downvotes
+//   { type: 'off' }                - the room can vote on it, but not skip it
+// Reaching the threshold moves the session on to the next queued track.
+
+const SKIP_THRESHOLD_TYPES = ['off', 'percent', 'count'];
+
+const DEFAULT_SKIP_THRESHOLD = { type: 'percent', value: 50 };
+
+const isBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+function isSkipThreshold(threshold) {
+  if (!threshold || typeof threshold !== 'object' || !SKIP_THRESHOLD_TYPES.includes(threshold.type)) return false;
+  const keys = Object.keys(threshold).length;
+  if (threshold.type === 'off') return keys === 1;
+  return keys === 2 && isBetween(threshold.value, 1, threshold.type === 'percent' ? 100 : 1000);
+}
+
+// Downvotes that skip the current song with present people here; null when skipping is off
+function skipVotesNeeded(threshold, present) {
+  if (threshold.type === 'percent') return Math.max(1, Math.ceil(present * threshold.value / 100));
+  if (threshold.type === 'count') return threshold.value;
+  return null;
+}
+
+// Where the song stands, from its tally (lib/votes.js):
+// { entryId, songId, up, down, needed, present, skip }, skip once down reaches needed
+function skipMeter(song, tally, threshold, present) {
+  const needed = skipVotesNeeded(threshold, present);
+  return {
+    entryId: song.entryId,
+    songId: song.id,
+    up: tally.up,
+    down: tally.down,
+    needed,
+    present,
+    skip: needed !== null && tally.down >= needed
+  };
+}
+
+module.exports = {
+  DEFAULT_SKIP_THRESHOLD,
+  isSkipThreshold,
+  skipVotesNeeded,
+  skipMeter
+};
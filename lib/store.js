@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+// Session storage
+// Every route reads and writes sessions (including their vote ledgers), the archives
+// of ended sessions and the encrypted Spotify token vault through one of these
+// stores instead of touching a Map directly. The memory store is
+// the default; the file store keeps the same in-memory map but writes a JSON
+// snapshot to disk shortly after changes so live jams survive a restart or a
+// nodemon reload.
+
+// Only the most recent archives are kept; older ones are dropped as new ones come in
+const MAX_ARCHIVES = 500;
+
+// Every vote and broadcast saves its session, so the file store writes at most once
+// this often instead of rewriting the whole snapshot each time
+const WRITE_DELAY_MS = 1000;
+
+function createMemoryStore() {
+  const sessions = new Map();
+  const joinCodes = new Map(); // joinCode -> sessionId, see lib/joinCodes.js
+  const archives = new Map(); // sessionId -> archive of an ended session, see lib/lifecycle.js
+  const vault = new Map(); // Spotify userId -> encrypted token entry, see lib/tokenVault.js
+
+  const store = {
+    sessions,
+    joinCodes,
+    archives,
+    vault,
+
+    // Nothing to load for the in-memory store
+    load() {
+      return 0;
+    },
+
+    // Nothing to write for the in-memory store
+    persist() {},
+    flush() {},
+
+    getSession(sessionId) {
+      return sessions.get(sessionId);
+    },
+
+    // The live session a join code belongs to
+    getSessionByCode(joinCode) {
+      return sessions.get(joinCodes.get(joinCode));
+    },
+
+    saveSession(session) {
+      sessions.set(session.id, session);
+      if (session.joinCode) joinCodes.set(session.joinCode, session.id);
+      store.persist();
+      return session;
+    },
+
+    deleteSession(sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) return false;
+      sessions.delete(sessionId);
+      if (session.joinCode) joinCodes.delete(session.joinCode);
+      store.persist();
+      return true;
+    },
+
+    listSessions() {
+      return [...sessions.values()];
+    },
+
+    getArchive(sessionId) {
+      return archives.get(sessionId);
+    },
+
+    saveArchive(archive) {
+      archives.set(archive.id, archive);
+      if (archives.size > MAX_ARCHIVES) archives.delete(archives.keys().next().value);
+      store.persist();
+      return archive;
+    },
+
+    getVaultEntry(userId) {
+      return vault.get(userId);
+    },
+
+    saveVaultEntry(userId, entry) {
+      vault.set(userId, entry);
+      store.persist();
+    },
+
+    deleteVaultEntry(userId) {
+      const deleted = vault.delete(userId);
+      if (deleted) store.persist();
+      return deleted;
+    }
+  };
+
+  return store;
+}
+
+function createFileStore(filePath, { writeDelayMs = WRITE_DELAY_MS } = {}) {
+  const store = createMemoryStore();
+  let writeTimer = null; // set while changes are waiting to be written
+
+  // Read the last snapshot back into memory. Returns the number of sessions restored.
+  store.load = () => {
+    if (!fs.existsSync(filePath)) return 0;
+
+    const raw = fs.readFileSync(filePath, 'utf8');
+    if (!raw.trim()) return 0;
+
+    const data = JSON.parse(raw);
+    Object.values(data.sessions || {}).forEach(session => {
+      store.sessions.set(session.id, session);
+      if (session.joinCode) store.joinCodes.set(session.joinCode, session.id);
+    });
+    Object.values(data.archives || {}).forEach(archive => {
+      store.archives.set(archive.id, archive);
+    });
+    Object.entries(data.vault || {}).forEach(([userId, entry]) => {
+      store.vault.set(userId, entry);
+    });
+
+    return store.sessions.size;
+  };
+
+  // Changes made within writeDelayMs of each other go out in one write
+  store.persist = () => {
+    if (writeTimer) return;
+    writeTimer = setTimeout(store.flush, writeDelayMs);
+    if (writeTimer.unref) writeTimer.unref();
+  };
+
+  // Write pending changes now (the server does on shutdown). Writes to a temp file
+  // first so a crash mid-write never leaves a truncated snapshot.
+  store.flush = () => {
+    if (!writeTimer) return;
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    const data = {
+      sessions: Object.fromEntries(store.sessions),
+      archives: Object.fromEntries(store.archives),
+      vault: Object.fromEntries(store.vault)
+    };
+    const tmpPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  return store;
+}
+
+// Pick a store from config: SESSION_STORE=file persists to SESSION_STORE_PATH
+function createStore({ type = 'memory', filePath, writeDelayMs } = {}) {
+  if (type === 'file') {
+    return createFileStore(filePath || path.join(__dirname, '..', 'data', 'sessions.json'), { writeDelayMs });
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown session store type: ${type}`);
+  }
+  return createMemoryStore();
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createStore
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+// Spotify token vault
+// Access and refresh tokens never leave the server in storage: each user's
+// tokens are encrypted with AES-256-GCM under a key derived from
+// SESSION_SECRET and kept in the session store. Callers ask the vault for an
+// access token and get one that is refreshed ahead of expiry when needed.
+// Tokens that can't be used any more (sealed under another SESSION_SECRET, or a
+// refresh token Spotify has revoked) are dropped: the user just logs in again.
+
+const REFRESH_MARGIN_MS = 5 * 60 * 1000; // refresh when less than 5 minutes are left
+
+function deriveKey(secret) {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, 'ctrl-aux', 'spotify-token-vault', 32));
+}
+
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+}
+
+function decrypt(key, sealed) {
+  const [iv, tag, data] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+// refresh(refreshToken) must resolve to { accessToken, expiresIn, refreshToken? }
+function createTokenVault({ secret, store, refresh, refreshMarginMs = REFRESH_MARGIN_MS }) {
+  const key = deriveKey(secret);
+  const inFlight = new Map(); // userId -> pending refresh, so concurrent callers share one
+
+  function save(userId, { accessToken, refreshToken, expiresIn }) {
+    store.saveVaultEntry(userId, {
+      sealed: encrypt(key, JSON.stringify({ accessToken, refreshToken })),
+      expiresAt: Date.now() + expiresIn * 1000
+    });
+  }
+
+  function read(userId) {
+    const entry = store.getVaultEntry(userId);
+    if (!entry) return null;
+    try {
+      return { ...JSON.parse(decrypt(key, entry.sealed)), expiresAt: entry.expiresAt };
+    } catch (error) {
+      console.error(`Dropping unreadable Spotify tokens for ${userId}:`, error.message);
+      store.deleteVaultEntry(userId);
+      return null;
+    }
+  }
+
+  async function refreshFor(userId, tokens) {
+    let refreshed;
+    try {
+      refreshed = await refresh(tokens.refreshToken);
+    } catch (error) {
+      console.error(`Could not refresh Spotify tokens for ${userId}:`, error.message || error);
+      // Spotify turning the refresh token down means logging in again; anything else
+      // (Spotify being unreachable, say) may work next time
+      if (error.statusCode === 400 || error.statusCode === 401) store.deleteVaultEntry(userId);
+      return null;
+    }
+    save(userId, {
+      accessToken: refreshed.accessToken,
+      // Spotify only sometimes rotates the refresh token
+      refreshToken: refreshed.refreshToken || tokens.refreshToken,
+      expiresIn: refreshed.expiresIn
+    });
+    return refreshed.accessToken;
+  }
+
+  // Resolves to a usable access token, or null if the user has to log in (again)
+  async function getAccessToken(userId) {
+    const tokens = read(userId);
+    if (!tokens) return null;
+
+    if (tokens.expiresAt - Date.now() > refreshMarginMs) {
+      return tokens.accessToken;
+    }
+
+    if (!inFlight.has(userId)) {
+      inFlight.set(userId, refreshFor(userId, tokens).finally(() => inFlight.delete(userId)));
+    }
+    return inFlight.get(userId);
+  }
+
+  function getExpiry(userId) {
+    const entry = store.getVaultEntry(userId);
+    return entry ? entry.expiresAt : null;
+  }
+
+  function remove(userId) {
+    return store.deleteVaultEntry(userId);
+  }
+
+  return { save, getAccessToken, getExpiry, remove };
+}
+
+module.exports = {
+  REFRESH_MARGIN_MS,
+  createTokenVault
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Signed participant tokens
+// A token is `<base64url payload>.<base64url HMAC-SHA256 signature>`, signed
+// with SESSION_SECRET. The payload carries who the participant is and what
+// role they hold in which session, so routes and socket events never have to
+// trust a userId or username sent in the request body.
+
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // a jam rarely outlasts a day
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function createTokenSigner(secret) {
+  if (!secret) {
+    throw new Error('A secret is required to sign participant tokens');
+  }
+
+  // claims: { sessionId, userId, username, role }
+  function issue(claims, ttlMs = TOKEN_TTL_MS) {
+    const now = Date.now();
+    const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlMs }));
+    return `${payload}.${sign(payload, secret)}`;
+  }
+
+  // Returns the claims, or null if the token is malformed, forged or expired
+  function verify(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!claims.exp || claims.exp < Date.now()) return null;
+      return claims;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return { issue, verify };
+}
+
+// Pull the token out of an `Authorization: Bearer <token>` header
+function readBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+module.exports = {
+  TOKEN_TTL_MS,
+  createTokenSigner,
+  readBearerToken
+};
@@ -0,0 +1,182 @@
+// Request validation
+// A rule takes a raw value and returns { value } (cleaned) or { error }; object
+// rules collect { errors: [{ field, message }] }. Object rules only keep the
+// fields their schema names, so routes never store whatever a client sent.
+
+const { errorBody, sendError } = require('./errors');
+const { APPOINTABLE_ROLES } = require('./roles');
+const { MODERATION_ACTIONS, MUTABLE_RIGHTS } = require('./moderation');
+const { ACCESS_MODES } = require('./access');
+
+// Missing, null and empty-string values (blank form fields) all count as absent
+function optional(rule, fallback) {
+  return value => (value === undefined || value === null || value === '' ? { value: fallback } : rule(value));
+}
+
+function string({ max = 200, pattern } = {}) {
+  return value => {
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    const trimmed = value.trim();
+    if (!trimmed) return { error: 'must not be empty' };
+    if (trimmed.length > max) return { error: `must be at most ${max} characters` };
+    if (pattern && !pattern.test(trimmed)) return { error: 'is not in the expected format' };
+    return { value: trimmed };
+  };
+}
+
+function boolean() {
+  return value => (typeof value === 'boolean' ? { value } : { error: 'must be true or false' });
+}
+
+function integer({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  return value => {
+    if (!Number.isInteger(value)) return { error: 'must be a whole number' };
+    if (value < min || value > max) return { error: `must be between ${min} and ${max}` };
+    return { value };
+  };
+}
+
+function oneOf(values) {
+  return value => (values.includes(value) ? { value } : { error: `must be one of: ${values.join(', ')}` });
+}
+
+function arrayOf(rule, { min = 0, max = 50 } = {}) {
+  return input => {
+    if (!Array.isArray(input)) return { error: 'must be a list' };
+    if (input.length < min) return { error: `must have at least ${min} item${min === 1 ? '' : 's'}` };
+    if (input.length > max) return { error: `must have at most ${max} items` };
+    const results = input.map(rule);
+    const failed = results.find(result => result.error);
+    return failed ? { error: failed.error } : { value: results.map(result => result.value) };
+  };
+}
+
+function object(schema) {
+  return input => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'must be an object' };
+    const value = {};
+    const errors = [];
+    for (const [key, rule] of Object.entries(schema)) {
+      const result = rule(input[key]);
+      if (result.errors) {
+        errors.push(...result.errors.map(error => ({ ...error, field: `${key}.${error.field}` })));
+      } else if (result.error) {
+        errors.push({ field: key, message: result.error });
+      } else if (result.value !== undefined) {
+        value[key] = result.value;
+      }
+    }
+    return errors.length ? { errors } : { value };
+  };
+}
+
+const SPOTIFY_ID = /^[A-Za-z0-9]{1,64}$/;
+const TRACK_URI = /^spotify:track:[A-Za-z0-9]{1,64}$/;
+
+// A track as search results and the queue carry it (see lib/providers/index.js)
+const track = object({
+  id: string({ pattern: SPOTIFY_ID }),
+  name: string({ max: 300 }),
+  artist: string({ max: 300 }),
+  album: optional(string({ max: 300 })),
+  albumArt: optional(string({ max: 500, pattern: /^https:\/\// })),
+  duration: optional(integer({ max: 24 * 60 * 60 * 1000 })),
+  uri: string({ pattern: TRACK_URI })
+});
+
+const schemas = {
+  createSession: object({
+    sessionName: optional(string({ max: 100 })),
+    playlistId: optional(string({ max: 5000 })) // one or more playlist/album/track ids or links
+  }),
+  joinSession: object({
+    sessionId: string({ max: 100 }),
+    userId: optional(string({ max: 100 })), // guests leave it out and get one, see lib/guests.js
+    username: string({ max: 50 }),
+    passcode: optional(string({ max: 100 })) // passcode sessions, see lib/access.js
+  }),
+  vote: object({
+    entryId: string({ max: 100 }),
+    voteType: oneOf(['up', 'down'])
+  }),
+  song: object({ song: track }),
+  requestDecision: object({ songId: string({ pattern: SPOTIFY_ID }) }),
+  playNext: object({
+    entryId: optional(string({ max: 100 })), // defaults to the top of the queue
+    startPlayback: optional(boolean(), true)
+  }),
+  setRole: object({
+    userId: string({ max: 100 }),
+    role: oneOf(APPOINTABLE_ROLES)
+  }),
+  transferDj: object({ userId: string({ max: 100 }) }),
+  moderate: object({
+    action: oneOf(MODERATION_ACTIONS),
+    userId: string({ max: 100 }),
+    rights: optional(arrayOf(oneOf(MUTABLE_RIGHTS), { min: 1 })), // mute/unmute; defaults to all
+    reason: optional(string({ max: 200 }))
+  }),
+  pauseSession: object({ paused: optional(boolean(), true) }), // paused: false resumes
+  endSession: object({}),
+  setAccess: object({
+    mode: oneOf(ACCESS_MODES),
+    passcode: optional(string({ max: 100 })) // required to first switch to passcode; replaces the old one
+  }),
+  lobbyDecision: object({ userId: string({ max: 100 }) }),
+  savePlaylist: object({ source: optional(oneOf(['history', 'queue']), 'history') }),
+  // Any object; lib/settings.js checks each key and value
+  settings: value => (value && typeof value === 'object' && !Array.isArray(value) ? { value } : { error: 'must be an object' }),
+  search: object({
+    query: string({ max: 200 }),
+    sessionId: string({ max: 100 })
+  }),
+  historyExport: object({ format: optional(oneOf(['json', 'csv']), 'json') }),
+  resync: object({ sinceRevision: optional(integer()) }) // no revision means "send a snapshot"
+};
+
+// Returns { value } or { errors: [{ field, message }] }; field is "body" if input isn't an object
+function validate(schema, input) {
+  const result = schema(input);
+  if (result.error) return { errors: [{ field: 'body', message: result.error }] };
+  return result;
+}
+
+// VALIDATION_FAILED error body, worded after the first problem
+function validationErrorBody(errors) {
+  const [first] = errors;
+  return errorBody('VALIDATION_FAILED', `${first.field} ${first.message}`, errors);
+}
+
+function rejectInvalid(res, errors) {
+  const body = validationErrorBody(errors);
+  return sendError(res, body.code, body.error, body.details);
+}
+
+// Middleware: replace req.body with its validated copy, or answer VALIDATION_FAILED.
+// Runs after requireParticipant, so a bad token is a 401 before the body is looked at.
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body === undefined ? {} : req.body);
+    if (errors) return rejectInvalid(res, errors);
+    req.body = value;
+    next();
+  };
+}
+
+// Middleware: same for the query string
+function validateQuery(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.query);
+    if (errors) return rejectInvalid(res, errors);
+    req.query = value;
+    next();
+  };
+}
+
+module.exports = {
+  schemas,
+  validate,
+  validationErrorBody,
+  validateBody,
+  validateQuery
+};
@@ -0,0 +1,68 @@
+// Vote ledger
+// Votes are stored per session, per queue entry, as an append-only list of
+// events: { voterId, voterName, vote, at } where vote is 'up', 'down' or null
+// (vote withdrawn). The tally is never stored on its own; it is always derived
+// by replaying the ledger, so any broadcast can be audited or rebuilt later.
+
+function getLedger(session, entryId) {
+  if (!session.voteLedger) {
+    session.voteLedger = {};
+  }
+  if (!session.voteLedger[entryId]) {
+    session.voteLedger[entryId] = [];
+  }
+  return session.voteLedger[entryId];
+}
+
+// Replay events in order and keep each voter's latest vote
+function replayVotes(events) {
+  const latest = new Map();
+  events.forEach(event => {
+    if (event.vote) {
+      latest.set(event.voterId, event.vote);
+    } else {
+      latest.delete(event.voterId);
+    }
+  });
+  return latest;
+}
+
+function tallyVotes(events) {
+  const latest = replayVotes(events);
+  let up = 0;
+  let down = 0;
+  latest.forEach(vote => {
+    if (vote === 'up') up++;
+    if (vote === 'down') down++;
+  });
+  return {
+    votes: up - down,
+    up,
+    down,
+    userVotes: Object.fromEntries(latest)
+  };
+}
+
+// Record a vote. Voting the same way twice withdraws the vote, voting the
+// other way switches it (so up -> down moves the score by 2).
+function castVote(session, entryId, voter, voteType, at = new Date().toISOString()) {
+  const events = getLedger(session, entryId);
+  const current = replayVotes(events).get(voter.userId);
+  const vote = current === voteType ? null : voteType;
+
+  events.push({
+    voterId: voter.userId,
+    voterName: voter.username,
+    vote,
+    at
+  });
+
+  return tallyVotes(events);
+}
+
+module.exports = {
+  getLedger,
+  replayVotes,
+  tallyVotes,
+  castVote
+};
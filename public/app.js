@@ -2,12 +2,23 @@
 let currentUser = null; // Stores the current logged-in Spotify user
 let currentSession = null; // Stores the current session object
 let socket = null; // Socket.io connection
-let accessToken = null; // Spotify access token
-let isDJ = false; // True if the current user is the DJ of the session
+let authToken = null; // Signed login token; the Spotify tokens themselves stay on the server
+let spotifyToken = null; // Short-lived Spotify access token for the Web Player ({ accessToken, expiresAt })
+let myRole = 'participant'; // Our role in the session: 'dj', 'coDj', 'moderator' or 'participant'
+let participantToken = null; // Signed token from create/join, sent with every session action
 let pendingRequests = []; // List of pending song requests for DJ approval
+let playHistory = []; // Tracks played in this session, oldest first
+let presenceList = []; // Who is in the session: [{ userId, username, role, status: 'online' | 'idle' | 'offline' }]
+let mutedFrom = []; // Rights we've been muted from: 'vote', 'request'
+let moderation = { log: [], bans: {}, mutes: {}, flags: [] }; // Moderators only, from GET /moderation
+let lastPresenceReport = 0; // When we last told the server we were active
+let sessionRevision = 0; // Last session revision applied here; every state broadcast carries one
+let resyncing = false; // True while we wait for the server to send what we missed
+let lobbySocket = null; // Socket we wait on while the DJ decides whether to let us in
 let spotifyPlayer = null; // Spotify Web Player instance
 let deviceId = null; // Current device ID for playback
 let isPlaying = false; // Track playback state
+let musicProvider = 'spotify'; // Server's music provider; 'mock' has no Web Player, playback runs on the server
 
 // DOM elements
 const elements = {
@@ -22,7 +33,7 @@ const elements = {
     createModal: document.getElementById('createModal'), // Modal for creating session
     joinModal: document.getElementById('joinModal'), // Modal for joining session
     sessionName: document.getElementById('sessionName'), // Input for session name
-    playlistId: document.getElementById('playlistId'), // Input for playlist ID
+    playlistId: document.getElementById('playlistId'), // Input for playlists/albums to seed the queue from
     createConfirmBtn: document.getElementById('createConfirmBtn'), // Confirm create session
     createCancelBtn: document.getElementById('createCancelBtn'), // Cancel create session
     sessionCode: document.getElementById('sessionCode'), // Input for session code (join)
@@ -31,12 +42,33 @@ const elements = {
     joinCancelBtn: document.getElementById('joinCancelBtn'), // Cancel join session
     sessionTitle: document.getElementById('sessionTitle'), // Session name display
     sessionCodeText: document.getElementById('sessionCodeText'), // Session code display
+    sessionQr: document.getElementById('sessionQr'), // QR code of the join link
+    sessionJoinLink: document.getElementById('sessionJoinLink'), // Join link to share
+    joinSessionName: document.getElementById('joinSessionName'), // Join modal: which session a link opened
+    joinPasscodeField: document.getElementById('joinPasscodeField'), // Join modal: shown for passcode sessions
+    joinPasscode: document.getElementById('joinPasscode'), // Join modal: passcode input
+    joinLobbyNotice: document.getElementById('joinLobbyNotice'), // Join modal: waiting to be let in
+    lobbyPanel: document.getElementById('lobbyPanel'), // People waiting to be let in
+    lobbyList: document.getElementById('lobbyList'), // Their names, with let in / turn away
     participantCount: document.getElementById('participantCount'), // Number of participants
+    sessionPausedBanner: document.getElementById('sessionPausedBanner'), // Shown while the DJ has the session paused
+    sessionLifecycleControls: document.getElementById('sessionLifecycleControls'), // DJ: pause/resume and end
+    pauseSessionBtn: document.getElementById('pauseSessionBtn'), // DJ: pause or resume the session
+    endSessionBtn: document.getElementById('endSessionBtn'), // DJ: end the session for everyone
+    presenceList: document.getElementById('presenceList'), // Who's here right now
+    moderationPanel: document.getElementById('moderationPanel'), // Moderators: bans and what's been done
+    abuseFlags: document.getElementById('abuseFlags'), // Moderators: latest possible abuse
+    bannedList: document.getElementById('bannedList'), // Moderators: banned people, with unban
+    moderationLog: document.getElementById('moderationLog'), // Moderators: kicks, bans and mutes so far
     playNextBtn: document.getElementById('playNextBtn'), // DJ: Play next song button
     currentSongSection: document.getElementById('currentSongSection'), // Current song info section
     currentSongArt: document.getElementById('currentSongArt'), // Current song album art
     currentSongName: document.getElementById('currentSongName'), // Current song name
     currentSongArtist: document.getElementById('currentSongArtist'), // Current song artist
+    skipMeter: document.getElementById('skipMeter'), // Vote to skip the current song
+    skipVoteBtn: document.getElementById('skipVoteBtn'), // Downvote (or take it back) the current song
+    skipMeterBar: document.getElementById('skipMeterBar'), // How close the room is to skipping
+    skipMeterText: document.getElementById('skipMeterText'), // "2 of 3 to skip"
     searchInput: document.getElementById('searchInput'), // Song search input
     searchBtn: document.getElementById('searchBtn'), // Song search button
     searchResults: document.getElementById('searchResults'), // Container for search results
@@ -45,59 +77,190 @@ const elements = {
     totalVotes: document.getElementById('totalVotes'), // Total votes display
     songsPlayed: document.getElementById('songsPlayed'), // Songs played display
     activeUsers: document.getElementById('activeUsers'), // Active users display
-    pendingRequests: document.getElementById('pendingRequests') // Container for DJ to see/manage song requests
+    pendingRequests: document.getElementById('pendingRequests'), // Container for DJ to see/manage song requests
+    djControls: document.getElementById('djControls'), // DJ: queue settings
+    queueOrderSelect: document.getElementById('queueOrderSelect'), // DJ: queue ordering strategy
+    autoAdvanceToggle: document.getElementById('autoAdvanceToggle'), // DJ: auto-advance on/off
+    duplicatePolicySelect: document.getElementById('duplicatePolicySelect'), // DJ: what to do with duplicate adds
+    djAwaySelect: document.getElementById('djAwaySelect'), // DJ: hand off the DJ role when the DJ is away
+    idleTimeoutSelect: document.getElementById('idleTimeoutSelect'), // DJ: end the session after this long idle
+    maxGuestsSelect: document.getElementById('maxGuestsSelect'), // DJ: how many can join without Spotify
+    skipThresholdSelect: document.getElementById('skipThresholdSelect'), // DJ: downvotes that skip the current song
+    accessModeSelect: document.getElementById('accessModeSelect'), // DJ: open, passcode or ask to join
+    rolePermissions: document.getElementById('rolePermissions'), // DJ: what co-DJs and moderators may do
+    historyList: document.getElementById('historyList'), // Played tracks
+    exportHistoryJson: document.getElementById('exportHistoryJson'), // Download history as JSON
+    exportHistoryCsv: document.getElementById('exportHistoryCsv'), // Download history as CSV
+    saveHistoryPlaylistBtn: document.getElementById('saveHistoryPlaylistBtn'), // DJ: save played tracks to Spotify
+    saveQueuePlaylistBtn: document.getElementById('saveQueuePlaylistBtn'), // DJ: save the queue to Spotify
+    importSummary: document.getElementById('importSummary') // DJ: what was imported at creation
 };
 
 // Initialize app: set up event listeners and check authentication
 // This runs when the DOM is fully loaded
 // Sets up all button handlers and checks if the user is already logged in
 // If logged in, updates UI accordingly
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     setupEventListeners();
+    rememberJoinLink();
+    await loadServerConfig();
     checkAuthStatus();
+    openPendingJoin();
 });
 
+// --- JOIN LINKS ---
+// A shared link or QR code opens /join/CODE. We keep the code until the page has
+// loaded (or a login comes back to /), then open the join modal with it filled in.
+function rememberJoinLink() {
+    const match = window.location.pathname.match(/^\/join\/([^/]+)\/?$/);
+    if (!match) return;
+    localStorage.setItem('pending_join_code', decodeURIComponent(match[1]));
+    window.history.replaceState(null, '', '/');
+}
+
+async function openPendingJoin() {
+    const code = localStorage.getItem('pending_join_code');
+    if (!code) return;
+    localStorage.removeItem('pending_join_code');
+
+    elements.sessionCode.value = code;
+    elements.joinSessionName.classList.add('hidden');
+    showModal('joinModal');
+    try {
+        const response = await fetch(`/api/join/${encodeURIComponent(code)}`);
+        const data = await response.json();
+        elements.joinSessionName.textContent = response.ok ? `Joining ${data.name}` : 'That join link has expired';
+        elements.joinSessionName.classList.remove('hidden');
+        elements.joinPasscodeField.classList.toggle('hidden', data.access !== 'passcode');
+    } catch (error) {
+        console.error('Error looking up join code:', error);
+    }
+}
+
+// Guests type a join code; older links and the DJ may still use the session id
+async function resolveSessionId(codeOrId) {
+    const response = await fetch(`/api/join/${encodeURIComponent(codeOrId)}`);
+    if (!response.ok) return codeOrId;
+    const data = await response.json();
+    return data.sessionId;
+}
+
+async function loadServerConfig() {
+    try {
+        const response = await fetch('/api/config');
+        const config = await response.json();
+        musicProvider = config.provider || 'spotify';
+    } catch (error) {
+        console.error('Error loading server config:', error);
+    }
+}
+
 function setupEventListeners() {
     // Authentication
     elements.loginBtn.addEventListener('click', handleSpotifyLogin);
     elements.logoutBtn.addEventListener('click', handleLogout);
 
     // Session management
-    elements.createSessionBtn.addEventListener('click', () => showModal('createModal'));
+    elements.createSessionBtn.addEventListener('click', () => {
+        if (!authToken) {
+            alert('Please connect your Spotify account to host a session!');
+            return;
+        }
+        showModal('createModal');
+    });
     elements.joinSessionBtn.addEventListener('click', () => showModal('joinModal'));
     elements.createCancelBtn.addEventListener('click', () => hideModal('createModal'));
-    elements.joinCancelBtn.addEventListener('click', () => hideModal('joinModal'));
+    elements.joinCancelBtn.addEventListener('click', () => {
+        leaveLobby();
+        hideModal('joinModal');
+    });
     elements.createConfirmBtn.addEventListener('click', handleCreateSession);
     elements.joinConfirmBtn.addEventListener('click', handleJoinSession);
 
     // Session interface
     elements.playNextBtn.addEventListener('click', handlePlayNext);
+    elements.pauseSessionBtn.addEventListener('click', togglePauseSession);
+    elements.skipVoteBtn.addEventListener('click', () => {
+        if (currentSession && currentSession.currentSong) voteSong(currentSession.currentSong.entryId, 'down');
+    });
+    elements.endSessionBtn.addEventListener('click', handleEndSession);
     elements.searchBtn.addEventListener('click', handleSearch);
     elements.searchInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') handleSearch();
     });
+
+    // DJ settings
+    elements.queueOrderSelect.addEventListener('change', () => {
+        updateSessionSettings({ queueOrder: elements.queueOrderSelect.value });
+    });
+    elements.autoAdvanceToggle.addEventListener('change', () => {
+        updateSessionSettings({ autoAdvance: elements.autoAdvanceToggle.checked });
+    });
+    elements.duplicatePolicySelect.addEventListener('change', () => {
+        updateSessionSettings({ duplicatePolicy: elements.duplicatePolicySelect.value });
+    });
+    elements.djAwaySelect.addEventListener('change', () => {
+        updateSessionSettings({ djAwayMinutes: Number(elements.djAwaySelect.value) });
+    });
+    elements.accessModeSelect.addEventListener('change', () => changeAccessMode(elements.accessModeSelect.value));
+    elements.idleTimeoutSelect.addEventListener('change', () => {
+        updateSessionSettings({ idleTimeoutMinutes: Number(elements.idleTimeoutSelect.value) });
+    });
+    elements.maxGuestsSelect.addEventListener('change', () => {
+        updateSessionSettings({ maxGuests: Number(elements.maxGuestsSelect.value) });
+    });
+    elements.skipThresholdSelect.addEventListener('change', () => {
+        const [type, value] = elements.skipThresholdSelect.value.split(':');
+        updateSessionSettings({ skipThreshold: value ? { type, value: Number(value) } : { type } });
+    });
+    elements.saveHistoryPlaylistBtn.addEventListener('click', () => saveToSpotifyPlaylist('history'));
+    elements.saveQueuePlaylistBtn.addEventListener('click', () => saveToSpotifyPlaylist('queue'));
+
+    // Presence: tell the server when we switch tabs or do something after a quiet spell
+    document.addEventListener('visibilitychange', () => reportPresence(true));
+    ['click', 'keydown', 'scroll'].forEach(type => {
+        document.addEventListener(type, () => reportPresence(false), { passive: true });
+    });
+}
+
+// Send at most one activity ping every 30s; visibility changes always go through
+function reportPresence(force) {
+    if (!socket || !socket.connected) return;
+    if (!force && Date.now() - lastPresenceReport < 30 * 1000) return;
+    lastPresenceReport = Date.now();
+    socket.emit('presence', { hidden: document.hidden });
 }
 
 function checkAuthStatus() {
-    const token = localStorage.getItem('spotify_access_token');
+    // Tokens from older versions were stored in the browser; drop them
+    localStorage.removeItem('spotify_access_token');
+    localStorage.removeItem('spotify_refresh_token');
+
+    const token = localStorage.getItem('auth_token');
     if (token) {
-      accessToken = token;
+      authToken = token;
       currentUser = JSON.parse(localStorage.getItem('spotify_user') || '{}');
       updateAuthUI(true);
     }
   }
 
   function handleSpotifyLogin() {
-    localStorage.removeItem('spotify_access_token');
-    localStorage.removeItem('spotify_refresh_token');
+    localStorage.removeItem('auth_token');
     localStorage.removeItem('spotify_user');
     window.location.href = '/auth/spotify';
   }
 
 function handleLogout() {
-    localStorage.removeItem('spotify_access_token');
+    if (authToken) {
+        fetch('/auth/logout', {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        }).catch(error => console.error('Error logging out:', error));
+    }
+    localStorage.removeItem('auth_token');
     localStorage.removeItem('spotify_user');
-    accessToken = null;
+    authToken = null;
+    spotifyToken = null;
     currentUser = null;
     updateAuthUI(false);
     showWelcomeSection();
@@ -108,10 +271,12 @@ function updateAuthUI(isLoggedIn) {
         elements.loginBtn.classList.add('hidden');
         elements.userInfo.classList.remove('hidden');
         elements.username.textContent = currentUser.display_name || 'User';
-        // Initialize Spotify Player after successful login
-        setTimeout(() => {
-            initializeSpotifyPlayer();
-        }, 1000);
+        // Initialize Spotify Player after successful login (the mock provider plays on the server)
+        if (musicProvider === 'spotify') {
+            setTimeout(() => {
+                initializeSpotifyPlayer();
+            }, 1000);
+        }
     } else {
         elements.loginBtn.classList.remove('hidden');
         elements.userInfo.classList.add('hidden');
@@ -119,10 +284,6 @@ function updateAuthUI(isLoggedIn) {
 }
 
 function showModal(modalId) {
-    if (!accessToken) {
-        alert('Please connect your Spotify account first!');
-        return;
-    }
     document.getElementById(modalId).classList.remove('hidden');
 }
 
@@ -130,10 +291,78 @@ function hideModal(modalId) {
     document.getElementById(modalId).classList.add('hidden');
 }
 
+// Ask the server for a Spotify access token; it refreshes the vaulted login when
+// needed. The token is cached in memory until shortly before it expires.
+async function getSpotifyAccessToken() {
+    if (spotifyToken && spotifyToken.expiresAt - Date.now() > 60 * 1000) {
+        return spotifyToken.accessToken;
+    }
+
+    const response = await fetch('/auth/spotify/token', {
+        headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    if (!response.ok) {
+        throw new Error('Spotify login expired, please reconnect');
+    }
+    spotifyToken = await response.json();
+    return spotifyToken.accessToken;
+}
+
+// Tokens are kept per session so the DJ keeps their role after a reload
+function storeParticipantToken(sessionId, token) {
+    participantToken = token;
+    localStorage.setItem(`participant_token_${sessionId}`, token);
+}
+
+// Headers for session actions: the server derives who we are from the token
+function sessionHeaders() {
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${participantToken}`
+    };
+}
+
+// REST routes for the session commands the server also takes over the socket
+const COMMAND_ROUTES = {
+    vote: 'vote',
+    addSong: 'add-song',
+    requestSong: 'request-song',
+    approveRequest: 'approve-request',
+    denyRequest: 'deny-request',
+    playNext: 'play-next',
+    setRole: 'set-role',
+    transferDj: 'transfer-dj',
+    moderate: 'moderate',
+    pauseSession: 'pause',
+    endSession: 'end',
+    setAccess: 'access',
+    admitJoiner: 'admit',
+    denyJoiner: 'turn-away'
+};
+
+// Run a session command over the socket when it's connected, otherwise over REST.
+// Both resolve to { success: true, ... } or { error, code }.
+async function sendCommand(command, payload) {
+    if (socket && socket.connected) {
+        try {
+            return await socket.timeout(5000).emitWithAck(command, payload);
+        } catch (error) {
+            // Not retried over REST: the server may have run it already
+            return { error: 'The server did not respond, please try again', code: 'TIMEOUT' };
+        }
+    }
+    const response = await fetch(`/api/session/${currentSession.id}/${COMMAND_ROUTES[command]}`, {
+        method: 'POST',
+        headers: sessionHeaders(),
+        body: JSON.stringify(payload)
+    });
+    return response.json();
+}
+
 // --- SESSION CREATION & JOIN ---
 // handleCreateSession: Called when user confirms creating a session
 // - Sends session name, playlist, and user info to backend
-// - Sets isDJ to true for the creator
+// - The creator is the DJ
 // - Shows session UI and connects to Socket.io
 async function handleCreateSession() {
     const sessionName = elements.sessionName.value.trim();
@@ -147,14 +376,13 @@ async function handleCreateSession() {
     try {
         const response = await fetch('/api/session/create', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
             body: JSON.stringify({
-                accessToken,
                 sessionName,
-                playlistId: playlistId || null,
-                username: currentUser.display_name,
-                userId: currentUser.id,
-                songsPlayed: 0 // Initialize songs played counter
+                playlistId: playlistId || null
             })
         });
 
@@ -162,13 +390,15 @@ async function handleCreateSession() {
 
         if (data.sessionId) {
             currentSession = data.session;
-            isDJ = (currentSession.dj && currentSession.dj.userId === currentUser.id);
+            storeParticipantToken(data.sessionId, data.token);
+            myRole = data.participant.role;
             hideModal('createModal');
             showSessionInterface();
             connectToSession(data.sessionId);
             updateDJUI();
+            showImportSummary(data.import);
         } else {
-            alert('Failed to create session');
+            alert(data.error || 'Failed to create session');
         }
     } catch (error) {
         console.error('Error creating session:', error);
@@ -176,9 +406,40 @@ async function handleCreateSession() {
     }
 }
 
+// showImportSummary: Tells the DJ what was pulled in from each playlist/album
+function showImportSummary(summary) {
+    if (!summary) {
+        elements.importSummary.classList.add('hidden');
+        return;
+    }
+
+    // Playlist and track names are whoever made them's choice, so they go in as text
+    const close = textElement('button', 'absolute top-2 right-3 text-gray-400 hover:text-white', '');
+    close.appendChild(textElement('i', 'fas fa-times', ''));
+    close.addEventListener('click', () => showImportSummary(null));
+
+    const duplicates = summary.duplicates ? ` (${summary.duplicates} duplicates left out)` : '';
+    const sourceList = textElement('ul', 'text-gray-300 mb-2', '');
+    summary.sources.forEach(source => {
+        const label = `${source.type} ${source.name || source.id}`;
+        if (source.error) {
+            sourceList.appendChild(textElement('li', 'text-red-400', `${label}: ${source.error}`));
+            return;
+        }
+        const skipped = source.skipped ? `, ${source.skipped} unavailable skipped` : '';
+        sourceList.appendChild(textElement('li', '', `${label}: ${source.imported} tracks${skipped}`));
+    });
+
+    elements.importSummary.innerHTML = '';
+    elements.importSummary.append(close, textElement('p', 'font-semibold mb-2', `Queued ${summary.queued} tracks${duplicates}`), sourceList);
+    const preview = summary.preview.map(track => `${track.name} - ${track.artist}`).join(', ');
+    if (preview) elements.importSummary.appendChild(textElement('p', 'text-gray-400', `Up first: ${preview}`));
+    elements.importSummary.classList.remove('hidden');
+}
+
 // handleJoinSession: Called when user joins a session
 // - Sends username and userId to backend
-// - Sets isDJ to true if user is the DJ
+// - Picks up our role (a DJ or co-DJ rejoining keeps theirs)
 // - Shows session UI and connects to Socket.io
 async function handleJoinSession() {
     try {
@@ -187,10 +448,10 @@ async function handleJoinSession() {
             throw new Error('Form elements not found');
         }
 
-        const sessionId = elements.sessionCode.value.trim();
+        const code = elements.sessionCode.value.trim();
         const username = elements.usernameInput.value.trim();
 
-        if (!sessionId) {
+        if (!code) {
             alert('Please enter a session code');
             return;
         }
@@ -198,6 +459,7 @@ async function handleJoinSession() {
             alert('Please enter your name');
             return;
         }
+        const sessionId = await resolveSessionId(code);
 
         // Verify session exists
         const verifyResponse = await fetch(`/api/session/${sessionId}`);
@@ -205,38 +467,123 @@ async function handleJoinSession() {
             throw new Error('Session not found');
         }
 
-        // Join session
-        const joinResponse = await fetch('/api/session/join', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                sessionId,
-                username,
-                userId: currentUser.id
-            })
-        });
+        // Join session, proving who we are: with our login (which is also how a DJ or
+        // co-DJ on a new device keeps their role), or as a guest with any token we
+        // already hold for this session
+        const savedToken = authToken || localStorage.getItem(`participant_token_${sessionId}`);
+        const { status, data } = await postJoin(sessionId, username, savedToken, elements.joinPasscode.value);
 
-        if (!joinResponse.ok) {
-            throw new Error('Failed to join session');
+        if (status === 202) {
+            waitForAdmission(sessionId, username, data);
+            return;
         }
+        if (data.code === 'PASSCODE_REQUIRED' || data.code === 'PASSCODE_INVALID') {
+            elements.joinPasscodeField.classList.remove('hidden');
+            elements.joinPasscode.focus();
+        }
+        if (!data.token) {
+            throw new Error(data.error || 'Failed to join session');
+        }
+        finishJoin(sessionId, data);
 
-        const data = await joinResponse.json();
-        currentSession = data.session;
-        isDJ = (currentSession.dj && currentSession.dj.userId === currentUser.id);
+    } catch (error) {
+        console.error('Error joining session:', error);
+        alert(`Error joining session: ${error.message}`);
+    }
+}
 
-        hideModal('joinModal');
-        showSessionInterface();
-        connectToSession(sessionId);
-        updateDJUI();
+// POST /api/session/join; resolves to { status, data }
+async function postJoin(sessionId, username, token, passcode) {
+    const response = await fetch('/api/session/join', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify({
+            sessionId,
+            username,
+            userId: authToken ? currentUser.id : undefined, // guests get an id from the server
+            passcode: passcode || undefined
+        })
+    });
+    return { status: response.status, data: await response.json() };
+}
+
+// We're in: show the session and connect to its room. Without a Spotify login we
+// are a guest, known by the id the server gave us.
+function finishJoin(sessionId, data) {
+    if (!authToken) {
+        currentUser = { id: data.participant.userId, display_name: data.participant.username, guest: true };
+    }
+    currentSession = data.session;
+    storeParticipantToken(sessionId, data.token);
+    myRole = data.participant.role;
+
+    elements.joinPasscode.value = '';
+    elements.joinLobbyNotice.classList.add('hidden');
+    hideModal('joinModal');
+    showSessionInterface();
+    connectToSession(sessionId);
+    updateDJUI();
+}
+
+// --- LOBBY ---
+// In "ask to join" sessions we wait in the lobby with the join modal open until
+// someone lets us in (then join again with our lobby token) or turns us away.
+function waitForAdmission(sessionId, username, { lobbyToken, position }) {
+    leaveLobby();
+    showLobbyNotice(position);
+    lobbySocket = io();
+
+    // Sent again on reconnect; the ack tells us if the answer came while we were away
+    lobbySocket.on('connect', () => {
+        lobbySocket.emit('waitInLobby', { sessionId, token: lobbyToken }, (ack) => {
+            if (ack.error) {
+                leaveLobby();
+                alert(ack.error);
+            } else if (ack.admitted) {
+                completeAdmission(sessionId, username, lobbyToken);
+            } else {
+                showLobbyNotice(ack.position);
+            }
+        });
+    });
+    lobbySocket.on('lobbyAdmitted', () => completeAdmission(sessionId, username, lobbyToken));
+    lobbySocket.on('lobbyDenied', () => {
+        leaveLobby();
+        alert('You were not let in this time. You can ask again.');
+    });
+}
 
+async function completeAdmission(sessionId, username, lobbyToken) {
+    leaveLobby();
+    try {
+        const { data } = await postJoin(sessionId, username, lobbyToken);
+        if (!data.token) throw new Error(data.error || 'Failed to join session');
+        finishJoin(sessionId, data);
     } catch (error) {
-        console.error('Error joining session:', error);
+        console.error('Error joining after being let in:', error);
         alert(`Error joining session: ${error.message}`);
     }
 }
 
+function showLobbyNotice(position) {
+    elements.joinLobbyNotice.querySelector('span').textContent =
+        `Waiting for the DJ to let you in${position > 1 ? ` (${position - 1} ahead of you)` : ''}...`;
+    elements.joinLobbyNotice.classList.remove('hidden');
+}
+
+function leaveLobby() {
+    if (lobbySocket) {
+        lobbySocket.disconnect();
+        lobbySocket = null;
+    }
+    elements.joinLobbyNotice.classList.add('hidden');
+}
+
 function initializeSpotifyPlayer() {
-    if (!accessToken) {
+    if (!authToken) {
         console.error("No access token for player initialization");
         return;
     }
@@ -251,7 +598,11 @@ function initializeSpotifyPlayer() {
     console.log("Initializing Spotify Player...");
     spotifyPlayer = new Spotify.Player({
         name: 'CTRL THE AUX Web Player',
-        getOAuthToken: cb => { cb(accessToken); },
+        getOAuthToken: cb => {
+            getSpotifyAccessToken()
+                .then(cb)
+                .catch(error => console.error('Error getting Spotify token:', error));
+        },
         volume: 0.5
     });
 
@@ -261,6 +612,17 @@ function initializeSpotifyPlayer() {
         deviceId = device_id;
     });
 
+    // DJ: report track progress so the server can auto-advance before the song ends
+    spotifyPlayer.addListener('player_state_changed', (state) => {
+        if (!state || myRole !== 'dj' || !socket || !currentSession) return;
+        socket.emit('playbackState', {
+            trackUri: state.track_window.current_track.uri,
+            progressMs: state.position,
+            durationMs: state.duration,
+            isPlaying: !state.paused
+        });
+    });
+
     // Add error listeners
     spotifyPlayer.addListener('initialization_error', ({ message }) => {
         console.error("Initialization Error:", message);
@@ -291,6 +653,7 @@ async function playSongOnWebPlayer(songUri) {
     }
 
     try {
+        const accessToken = await getSpotifyAccessToken();
         const response = await fetch(`https://api.spotify.com/v1/me/player/play?device_id=${deviceId}`, {
             method: 'PUT',
             headers: {
@@ -334,8 +697,15 @@ function updateSessionUI() {
     if (!currentSession) return;
 
     elements.sessionTitle.textContent = currentSession.name;
-    elements.sessionCodeText.textContent = currentSession.id;
-    elements.participantCount.textContent = `${currentSession.participants.length} participants`;
+    elements.sessionCodeText.textContent = currentSession.joinCode || currentSession.id;
+    if (currentSession.joinCode) {
+        const joinLink = `${window.location.origin}/join/${currentSession.joinCode}`;
+        elements.sessionQr.src = `/api/join/${currentSession.joinCode}/qr`;
+        elements.sessionJoinLink.href = joinLink;
+        elements.sessionJoinLink.textContent = joinLink;
+    }
+    updatePresenceUI();
+    updateSessionStatusUI();
 
     if (currentSession.currentSong) {
         showCurrentSong(currentSession.currentSong);
@@ -343,59 +713,296 @@ function updateSessionUI() {
 
     updateQueueDisplay();
     updateStats();
+
+    elements.exportHistoryJson.href = `/api/session/${currentSession.id}/history/export?format=json`;
+    elements.exportHistoryCsv.href = `/api/session/${currentSession.id}/history/export?format=csv`;
+    loadHistory();
+}
+
+// --- PLAY HISTORY ---
+// loadHistory: Fetches everything played so far
+// updateHistoryUI: Shows played tracks, newest first, with requester and final votes
+async function loadHistory() {
+    try {
+        const response = await fetch(`/api/session/${currentSession.id}/history`);
+        const data = await response.json();
+        playHistory = data.history || [];
+        updateHistoryUI();
+    } catch (error) {
+        console.error('Error loading history:', error);
+    }
+}
+
+function updateHistoryUI() {
+    if (!playHistory.length) {
+        elements.historyList.innerHTML = '<p class="text-gray-400 text-center py-4">Nothing played yet</p>';
+        return;
+    }
+    elements.historyList.innerHTML = '';
+    [...playHistory].reverse().forEach(record => {
+        const row = textElement('div', 'song-card rounded-lg p-3 flex items-center justify-between', '');
+        const info = textElement('div', 'flex items-center space-x-3', '');
+        const details = document.createElement('div');
+        details.append(
+            textElement('h4', 'text-white font-semibold', record.name),
+            textElement('p', 'text-gray-300 text-sm', record.artist),
+            textElement('p', 'text-xs text-gray-400', `Requested by ${record.requestedBy ? record.requestedBy.username : 'Unknown'}`)
+        );
+        info.append(albumArt(record, 'w-10 h-10 rounded'), details);
+
+        const tally = textElement('div', 'text-right text-sm text-gray-300', '');
+        const votes = textElement('div', '', `${record.votes} votes (`);
+        votes.append(textElement('span', 'text-green-400', `+${record.up}`), ' / ', textElement('span', 'text-red-400', `-${record.down}`), ')');
+        tally.append(votes, textElement('div', 'text-xs text-gray-400', new Date(record.playedAt).toLocaleTimeString()));
+        if (record.skipped) tally.appendChild(textElement('div', 'text-xs text-red-400', 'Skipped by the room'));
+
+        row.append(info, tally);
+        elements.historyList.appendChild(row);
+    });
+}
+
+// DJ saves played tracks or the queue to a Spotify playlist (saving again updates it)
+async function saveToSpotifyPlaylist(source) {
+    if (!currentSession || !can('savePlaylists')) return;
+    try {
+        const response = await fetch(`/api/session/${currentSession.id}/save-playlist`, {
+            method: 'POST',
+            headers: sessionHeaders(),
+            body: JSON.stringify({ source })
+        });
+        const data = await response.json();
+        if (data.success) {
+            const verb = data.created ? 'Created' : 'Updated';
+            if (confirm(`${verb} playlist with ${data.trackCount} tracks. Open it in Spotify?`)) {
+                window.open(data.url, '_blank');
+            }
+        } else {
+            alert(data.error || 'Failed to save playlist');
+        }
+    } catch (error) {
+        console.error('Error saving playlist:', error);
+    }
 }
 
 // --- SOCKET.IO CONNECTION ---
 // connectToSession: Sets up real-time event listeners for the session
-// - voteUpdate: Updates vote count for a song
-// - queueUpdate: Updates the queue when changed
-// - songPlayed: Updates current song and queue
-// - pendingRequestsUpdate: Updates the DJ's pending requests list
+// - voteUpdate, queueUpdate, songPlayed, settingsUpdate, sessionStatusUpdate...: see stateHandlers below
+// - sessionEnded: back to the welcome screen
+// - On every (re)connect, rejoins and catches up on changes missed while offline
 // - If DJ, fetches initial pending requests from backend
 function connectToSession(sessionId) {
     socket = io();
+    sessionRevision = currentSession.revision || 0;
+    moderation = { log: [], bans: {}, mutes: {}, flags: [] };
 
     socket.on('newSongRequest', (song) => {
-        if (isDJ) {
+        if (can('reviewRequests')) {
             showDJPopup(song);
         }
     });
 
-    socket.emit('joinSession', sessionId);
+    // The room voted the last song off; songPlayed has already moved us on
+    socket.on('songSkipped', (data) => {
+        elements.skipMeterText.textContent = `The room skipped ${data.name}`;
+    });
 
-    socket.on('voteUpdate', (data) => {
-        updateSongVotes(data.songId, data.votes);
-        updateStats(); // Update stats when votes change
+    // (Re)join the session room on every connect; the server forgets us when the socket drops.
+    // Sending our revision gets back whatever changed while we were away.
+    socket.on('connect', () => {
+        socket.emit('joinSession', { sessionId, token: participantToken, sinceRevision: sessionRevision }, (ack) => {
+            if (ack && ack.error) {
+                console.error('Failed to join session room:', ack.error);
+                return;
+            }
+            presenceList = ack.presence || [];
+            mutedFrom = ack.mutedFrom || [];
+            updatePresenceUI();
+            if (ack.resync) applyResync(ack.resync);
+            loadModeration();
+        });
+    });
+
+    socket.on('presenceUpdate', (data) => {
+        presenceList = presenceList.filter(member => member.userId !== data.member.userId);
+        presenceList.push(data.member);
+        updatePresenceUI();
+    });
+
+    // Kicked or banned: the server has closed our socket
+    socket.on('removedFromSession', (notice) => {
+        localStorage.removeItem(`participant_token_${sessionId}`);
+        currentSession = null;
+        showWelcomeSection();
+        const what = notice.action === 'ban' ? 'banned from' : 'removed from';
+        alert(`You have been ${what} this session${notice.reason ? `: ${notice.reason}` : ''}`);
+    });
+
+    // The DJ ended the session, or it sat idle too long: the server has closed our socket
+    socket.on('sessionEnded', (data) => {
+        localStorage.removeItem(`participant_token_${sessionId}`);
+        currentSession = null;
+        showWelcomeSection();
+        alert(data.reason === 'ended' ? 'The DJ has ended this session' : 'This session ended after sitting idle');
+    });
+
+    // Moderators hear about possible abuse (vote flipping, request floods) as it happens
+    socket.on('abuseFlag', (flag) => {
+        moderation.flags = [...moderation.flags, flag];
+        updateModerationUI();
+        elements.moderationPanel.open = true;
+    });
+
+    // Moderators hear about every kick, ban and mute
+    socket.on('moderationUpdate', (data) => {
+        moderation.bans = data.bans;
+        moderation.mutes = data.mutes;
+        moderation.log = [...moderation.log, data.entry];
+        updatePresenceUI(); // mute options on each person
+        updateModerationUI();
+    });
+
+    // We were muted or unmuted
+    socket.on('muteUpdate', (data) => {
+        mutedFrom = data.mutedFrom;
+        updateQueueDisplay();
+        updateSkipMeterUI();
+    });
+
+    // Commands sent without an ack report failures here
+    socket.on('commandError', (data) => {
+        console.error(`Command ${data.command} failed:`, data.error);
     });
 
-    socket.on('queueUpdate', (data) => {
+    Object.keys(stateHandlers).forEach(event => {
+        socket.on(event, (data) => applyRevision(event, data));
+    });
+
+    if (can('reviewRequests')) {
+        fetch(`/api/session/${sessionId}/pending-requests`)
+            .then(res => res.json())
+            .then(data => {
+                pendingRequests = data.pendingRequests || [];
+                updatePendingRequestsUI();
+            });
+    }
+}
+
+// --- STATE SYNC ---
+// Session state changes arrive as these broadcasts, each tagged with the session
+// revision it produced. applyRevision applies them in order; if one was missed
+// (the revision skips ahead) we ask the server to resync instead of drifting.
+const stateHandlers = {
+    voteUpdate(data) {
+        updateSongVotes(data.entryId, data.votes, data.order);
+        updateStats(); // Update stats when votes change
+    },
+
+    queueUpdate(data) {
         currentSession.queue = data.queue;
         updateQueueDisplay();
         updateStats(); // Update stats when queue changes
-    });
+    },
 
-    socket.on('songPlayed', (data) => {
+    songPlayed(data) {
         currentSession.currentSong = data.currentSong;
+        currentSession.skipMeter = null;
         currentSession.queue = data.queue;
         currentSession.songsPlayed = data.songsPlayed || 0;
+        if (data.settledEntry) {
+            // The song that just stopped, with its final tally
+            playHistory = playHistory.map(record => (record.entryId === data.settledEntry.entryId ? data.settledEntry : record));
+        }
+        if (data.historyEntry) playHistory.push(data.historyEntry);
+        updateHistoryUI();
         showCurrentSong(data.currentSong);
         updateQueueDisplay();
         updateStats();
-    });
+    },
+
+    settingsUpdate(data) {
+        currentSession.settings = data.settings;
+        updateDJUI(); // permissions are settings too
+        updateSkipMeterUI();
+    },
+
+    skipMeterUpdate(data) {
+        currentSession.skipMeter = data;
+        updateSkipMeterUI();
+    },
+
+    accessUpdate(data) {
+        currentSession.access = data.access;
+        updateSettingsUI();
+    },
+
+    lobbyUpdate(data) {
+        const newcomer = data.lobby.length > (currentSession.lobby || []).length;
+        currentSession.lobby = data.lobby;
+        updateLobbyUI();
+        if (newcomer && can('admitJoiners')) elements.lobbyPanel.open = true;
+    },
+
+    sessionStatusUpdate(data) {
+        currentSession.status = data.status;
+        currentSession.pausedAt = data.pausedAt;
+        // The DJ's Web Player follows the session
+        if (myRole === 'dj' && spotifyPlayer) {
+            (data.status === 'paused' ? spotifyPlayer.pause() : spotifyPlayer.resume()).catch(() => {});
+        }
+        updateSessionStatusUI();
+        updateQueueDisplay(); // no voting while paused
+    },
 
-    socket.on('pendingRequestsUpdate', (data) => {
+    rolesUpdate(data) {
+        currentSession.dj = data.dj;
+        currentSession.roles = data.roles;
+        refreshMyRole();
+    },
+
+    pendingRequestsUpdate(data) {
         pendingRequests = data.pendingRequests;
         updatePendingRequestsUI();
+    }
+};
+
+function applyRevision(event, data) {
+    if (resyncing || data.revision <= sessionRevision) return; // already have it
+    if (data.revision > sessionRevision + 1) {
+        requestResync();
+        return;
+    }
+    sessionRevision = data.revision;
+    stateHandlers[event](data);
+}
+
+// Ask for everything after sessionRevision. The ack arrives before any later
+// broadcast, so broadcasts that come in while we wait are already covered by it.
+function requestResync() {
+    if (resyncing || !socket || !socket.connected) return;
+    resyncing = true;
+    socket.timeout(5000).emit('resync', { sinceRevision: sessionRevision }, (err, reply) => {
+        resyncing = false;
+        if (err || reply.error) {
+            console.error('Resync failed:', err || reply.error);
+            return;
+        }
+        applyResync(reply);
     });
+}
 
-    if (isDJ) {
-        fetch(`/api/session/${sessionId}/pending-requests`)
-            .then(res => res.json())
-            .then(data => {
-                pendingRequests = data.pendingRequests || [];
-                updatePendingRequestsUI();
-            });
+// Replay the missed broadcasts, or take the server's snapshot of the whole session
+function applyResync(sync) {
+    if (sync.snapshot) {
+        currentSession = sync.snapshot;
+        pendingRequests = currentSession.pendingRequests || [];
+        updateSessionUI();
+        refreshMyRole();
+    } else {
+        sync.events
+            .filter(({ revision }) => revision > sessionRevision)
+            .forEach(({ event, payload }) => stateHandlers[event](payload));
     }
+    sessionRevision = sync.revision;
 }
 
 function showCurrentSong(song) {
@@ -408,6 +1015,36 @@ function showCurrentSong(song) {
     } else {
         elements.currentSongArt.style.display = 'none';
     }
+    updateSkipMeterUI();
+}
+
+// From lib/skipVotes.js
+const DEFAULT_SKIP_THRESHOLD = { type: 'percent', value: 50 };
+
+// Downvotes on the current song against the session's skipThreshold. Until the first
+// skipMeterUpdate we work out what it takes from who's here.
+function updateSkipMeterUI() {
+    const song = currentSession && currentSession.currentSong;
+    const threshold = ((currentSession && currentSession.settings) || {}).skipThreshold || DEFAULT_SKIP_THRESHOLD;
+    elements.skipMeter.classList.toggle('hidden', !song || threshold.type === 'off');
+    if (!song || threshold.type === 'off') return;
+
+    const meter = currentSession.skipMeter && currentSession.skipMeter.entryId === song.entryId ? currentSession.skipMeter : null;
+    const here = presenceList.filter(member => member.status !== 'offline').length;
+    const down = meter ? meter.down : 0;
+    const needed = meter ? meter.needed
+        : threshold.type === 'count' ? threshold.value : Math.max(1, Math.ceil(here * threshold.value / 100));
+    const myVote = meter && meter.userVotes ? meter.userVotes[currentUser && currentUser.id] : null;
+
+    elements.skipMeterBar.style.width = `${Math.min(100, Math.round(down / needed * 100))}%`;
+    elements.skipMeterText.textContent = `${down} of ${needed} to skip`;
+    elements.skipVoteBtn.innerHTML = myVote === 'down'
+        ? '<i class="fas fa-undo mr-1"></i>Take back skip vote'
+        : '<i class="fas fa-thumbs-down mr-1"></i>Vote to skip';
+    const votingOff = votingOffReason();
+    elements.skipVoteBtn.disabled = Boolean(votingOff);
+    elements.skipVoteBtn.title = votingOff || '';
+    elements.skipVoteBtn.classList.toggle('opacity-50', Boolean(votingOff));
 }
 
 // --- SONG SEARCH & REQUEST/ADD ---
@@ -421,8 +1058,14 @@ async function handleSearch() {
     if (!query) return;
 
     try {
-        const response = await fetch(`/api/search?query=${encodeURIComponent(query)}&accessToken=${accessToken}`);
+        const response = await fetch(`/api/search?query=${encodeURIComponent(query)}&sessionId=${currentSession.id}`, {
+            headers: sessionHeaders()
+        });
         const data = await response.json();
+        if (!response.ok) {
+            alert(data.error || 'Search failed'); // e.g. RATE_LIMITED: "try again in 12s"
+            return;
+        }
 
         displaySearchResults(data.tracks);
     } catch (error) {
@@ -450,12 +1093,12 @@ function displaySearchResults(tracks) {
                     <i class="fas fa-play"></i> Play
                 </button>
                 <button class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg">
-                    <i class="fas fa-plus"></i> ${isDJ ? 'Add to Queue' : 'Request Song'}
+                    <i class="fas fa-plus"></i> ${can('queueSongs') ? 'Add to Queue' : 'Request Song'}
                 </button>
             </div>
         `;
         trackElement.querySelector('button:nth-child(2)').onclick = () => {
-            if (isDJ) {
+            if (can('queueSongs')) {
                 addSongToQueue(track); // Pass the entire track object now
             } else {
                 requestSong(track);
@@ -469,25 +1112,22 @@ async function addSongToQueue(track) {
     if (!currentSession) return;
 
     try {
-        const response = await fetch(`/api/session/${currentSession.id}/add-song`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                song: {
-                    id: track.id,
-                    name: track.name,
-                    artist: track.artist,
-                    uri: track.uri,
-                    albumArt: track.albumArt || 'https://via.placeholder.com/40',
-                    votes: 0
-                }
-            })
+        const data = await sendCommand('addSong', {
+            song: {
+                id: track.id,
+                name: track.name,
+                artist: track.artist,
+                uri: track.uri,
+                albumArt: track.albumArt || 'https://via.placeholder.com/40'
+            }
         });
-
-        const data = await response.json();
         if (data.success) {
             elements.searchInput.value = '';
-            elements.searchResults.innerHTML = '';
+            elements.searchResults.innerHTML = data.merged
+                ? '<p class="text-green-400">Already queued, counted as an upvote!</p>'
+                : '';
+        } else {
+            alert(data.error || 'Failed to add song');
         }
     } catch (error) {
         console.error('Error adding song:', error);
@@ -498,24 +1138,20 @@ async function addSongToQueue(track) {
 async function requestSong(track) {
     if (!currentSession) return;
     try {
-        const response = await fetch(`/api/session/${currentSession.id}/request-song`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                song: {
-                    id: track.id,
-                    name: track.name,
-                    artist: track.artist,
-                    uri: track.uri,
-                    albumArt: track.albumArt || 'https://via.placeholder.com/40'
-                },
-                requestedBy: { username: currentUser.display_name, userId: currentUser.id }
-            })
+        const data = await sendCommand('requestSong', {
+            song: {
+                id: track.id,
+                name: track.name,
+                artist: track.artist,
+                uri: track.uri,
+                albumArt: track.albumArt || 'https://via.placeholder.com/40'
+            }
         });
-        const data = await response.json();
         if (data.success) {
             elements.searchInput.value = '';
             elements.searchResults.innerHTML = '<p class="text-green-400">Request sent!</p>';
+        } else {
+            alert(data.error || 'Failed to request song');
         }
     } catch (error) {
         console.error('Error requesting song:', error);
@@ -526,11 +1162,10 @@ async function requestSong(track) {
 async function approveRequest(songId) {
     if (!currentSession) return;
     try {
-        await fetch(`/api/session/${currentSession.id}/approve-request`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ songId, userId: currentUser.id })
-        });
+        const data = await sendCommand('approveRequest', { songId });
+        if (!data.success) {
+            alert(data.error || 'Failed to approve request');
+        }
     } catch (error) {
         console.error('Error approving request:', error);
     }
@@ -540,11 +1175,10 @@ async function approveRequest(songId) {
 async function denyRequest(songId) {
     if (!currentSession) return;
     try {
-        await fetch(`/api/session/${currentSession.id}/deny-request`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ songId, userId: currentUser.id })
-        });
+        const data = await sendCommand('denyRequest', { songId });
+        if (!data.success) {
+            alert(data.error || 'Failed to deny request');
+        }
     } catch (error) {
         console.error('Error denying request:', error);
     }
@@ -556,46 +1190,255 @@ async function denyRequest(songId) {
 // - Deny: Removes request
 // - For users, this section is hidden
 function updatePendingRequestsUI() {
-    if (!isDJ || !elements.pendingRequests) return;
+    if (!can('reviewRequests') || !elements.pendingRequests) return;
     if (!pendingRequests.length) {
         elements.pendingRequests.innerHTML = '<p class="text-gray-400">No pending song requests.</p>';
         return;
     }
-    elements.pendingRequests.innerHTML = pendingRequests.map(req => `
-        <div class="song-card rounded-lg p-4 flex items-center justify-between mb-2">
-            <div class="flex items-center space-x-3">
-                <img src="${req.albumArt || 'https://via.placeholder.com/40'}" alt="Album Art" class="w-10 h-10 rounded">
-                <div>
-                    <h4 class="text-white font-semibold">${req.name}</h4>
-                    <p class="text-gray-300 text-sm">${req.artist}</p>
-                    <p class="text-xs text-gray-400">Requested by: ${req.requestedBy.username}</p>
-                </div>
-            </div>
-            <div class="flex space-x-2">
-                <button class="bg-green-500 hover:bg-green-600 text-white px-3 py-1 rounded" onclick="approveRequest('${req.id}')">Approve</button>
-                <button class="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded" onclick="denyRequest('${req.id}')">Deny</button>
-            </div>
-        </div>
-    `).join('');
+    elements.pendingRequests.innerHTML = '';
+    pendingRequests.forEach(req => {
+        const row = textElement('div', 'song-card rounded-lg p-4 flex items-center justify-between mb-2', '');
+        const info = textElement('div', 'flex items-center space-x-3', '');
+        const details = document.createElement('div');
+        details.append(
+            textElement('h4', 'text-white font-semibold', req.name),
+            textElement('p', 'text-gray-300 text-sm', req.artist),
+            textElement('p', 'text-xs text-gray-400', `Requested by: ${req.requestedBy.username}`)
+        );
+        info.append(albumArt(req, 'w-10 h-10 rounded'), details);
+
+        const buttons = textElement('div', 'flex space-x-2', '');
+        const approve = textElement('button', 'bg-green-500 hover:bg-green-600 text-white px-3 py-1 rounded', 'Approve');
+        approve.addEventListener('click', () => approveRequest(req.id));
+        const deny = textElement('button', 'bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded', 'Deny');
+        deny.addEventListener('click', () => denyRequest(req.id));
+        buttons.append(approve, deny);
+
+        row.append(info, buttons);
+        elements.pendingRequests.appendChild(row);
+    });
 }
 
 // --- ROLE-BASED UI ---
-// updateDJUI: Shows/hides DJ controls (play next, pending requests) based on isDJ
-// - Only DJ sees play next and pending requests panel
+// roleOf / can: Mirror lib/roles.js so the UI only offers what the server will allow.
+// The DJ can do everything; co-DJs, moderators and participants what the DJ granted them.
+// updateDJUI: Shows/hides each control (play next, settings, requests...) by permission.
+// Runs again whenever roles or permissions change.
+function roleOf(userId) {
+    if (!currentSession) return 'participant';
+    if (currentSession.dj.userId === userId) return 'dj';
+    return (currentSession.roles || {})[userId] || 'participant';
+}
+
+function can(permission) {
+    if (myRole === 'dj') return true;
+    const granted = (currentSession && currentSession.settings && currentSession.settings.rolePermissions) || {};
+    return (granted[myRole] || []).includes(permission);
+}
+
 function updateDJUI() {
-    if (isDJ) {
-        elements.playNextBtn.classList.remove('hidden');
-        if (elements.pendingRequests) elements.pendingRequests.classList.remove('hidden');
-    } else {
-        elements.playNextBtn.classList.add('visible');
-        if (elements.pendingRequests) elements.pendingRequests.classList.add('hidden');
+    elements.playNextBtn.classList.toggle('hidden', !can('playNext'));
+    elements.djControls.classList.toggle('hidden', !can('changeSettings'));
+    elements.saveHistoryPlaylistBtn.classList.toggle('hidden', !can('savePlaylists'));
+    if (elements.pendingRequests) elements.pendingRequests.classList.toggle('hidden', !can('reviewRequests'));
+    elements.sessionLifecycleControls.classList.toggle('hidden', myRole !== 'dj');
+    updateSettingsUI();
+    updatePendingRequestsUI();
+    updatePresenceUI(); // role controls on each person
+    updateModerationUI();
+    updateLobbyUI();
+}
+
+function isMutedFrom(right) {
+    return mutedFrom.includes(right);
+}
+
+// Someone's role changed (or we caught up on a snapshot): work out ours again
+function refreshMyRole() {
+    const previous = myRole;
+    const couldModerate = can('moderate');
+    myRole = roleOf(currentUser && currentUser.id);
+    if (myRole !== previous && myRole === 'dj') {
+        alert('You are the DJ now');
+    }
+    if (!couldModerate) loadModeration();
+    updateDJUI();
+}
+
+// Moderators fetch the log, bans, mutes and abuse flags; nobody else gets them
+async function loadModeration() {
+    if (!currentSession || !can('moderate')) return;
+    try {
+        const response = await fetch(`/api/session/${currentSession.id}/moderation`, { headers: sessionHeaders() });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        moderation = data;
+        updatePresenceUI();
+        updateModerationUI();
+    } catch (error) {
+        console.error('Error loading moderation:', error);
+    }
+}
+
+// Reflect the session's settings in the DJ controls
+function updateSettingsUI() {
+    const settings = (currentSession && currentSession.settings) || {};
+    elements.queueOrderSelect.value = settings.queueOrder || 'votes';
+    elements.autoAdvanceToggle.checked = settings.autoAdvance !== false;
+    elements.duplicatePolicySelect.value = settings.duplicatePolicy || 'reject';
+    elements.djAwaySelect.value = String(settings.djAwayMinutes || 0);
+    elements.idleTimeoutSelect.value = String(settings.idleTimeoutMinutes === undefined ? 120 : settings.idleTimeoutMinutes);
+    elements.maxGuestsSelect.value = String(settings.maxGuests === undefined ? 50 : settings.maxGuests);
+    const skipThreshold = settings.skipThreshold || DEFAULT_SKIP_THRESHOLD;
+    elements.skipThresholdSelect.value = skipThreshold.type === 'off' ? 'off' : `${skipThreshold.type}:${skipThreshold.value}`;
+    elements.accessModeSelect.value = ((currentSession && currentSession.access) || {}).mode || 'open';
+    renderRolePermissions(settings.rolePermissions || {});
+}
+
+function isPaused() {
+    return Boolean(currentSession) && currentSession.status === 'paused';
+}
+
+// Paused banner for everyone, and the DJ's pause/resume button
+function updateSessionStatusUI() {
+    const paused = isPaused();
+    elements.sessionPausedBanner.classList.toggle('hidden', !paused);
+    elements.pauseSessionBtn.innerHTML = paused
+        ? '<i class="fas fa-play"></i> Resume session'
+        : '<i class="fas fa-pause"></i> Pause session';
+    updateSkipMeterUI();
+}
+
+// DJ pauses or resumes the session; everyone gets the result via sessionStatusUpdate
+async function togglePauseSession() {
+    if (!currentSession || myRole !== 'dj') return;
+    const data = await sendCommand('pauseSession', { paused: !isPaused() });
+    if (!data.success) alert(data.error || 'Failed to update the session');
+}
+
+// DJ ends the session; everyone (us included) gets sessionEnded
+async function handleEndSession() {
+    if (!currentSession || myRole !== 'dj') return;
+    if (!confirm('End this session for everyone? The queue and votes will be gone; the play history is kept.')) return;
+    const data = await sendCommand('endSession', {});
+    if (!data.success) alert(data.error || 'Failed to end the session');
+}
+
+// DJ picks who may join; a passcode session needs a passcode the first time
+async function changeAccessMode(mode) {
+    if (!currentSession || !can('changeSettings')) return;
+    let passcode;
+    if (mode === 'passcode') {
+        const hasPasscode = Boolean(currentSession.access && currentSession.access.hasPasscode);
+        passcode = prompt(hasPasscode ? 'New passcode (leave empty to keep the current one):' : 'Passcode for this session:');
+        if (passcode === null || (!passcode && !hasPasscode)) {
+            updateSettingsUI();
+            return;
+        }
+    }
+    const data = await sendCommand('setAccess', { mode, passcode: passcode || undefined });
+    if (!data.success) {
+        alert(data.error || 'Failed to change who can join');
+        updateSettingsUI();
+    }
+}
+
+// People waiting to be let in, for whoever can admit them
+function updateLobbyUI() {
+    const lobby = (currentSession && currentSession.lobby) || [];
+    const show = lobby.length > 0 && can('admitJoiners');
+    elements.lobbyPanel.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    elements.lobbyList.innerHTML = '';
+    lobby.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center justify-between';
+        const name = document.createElement('span');
+        name.textContent = `${entry.username} (since ${new Date(entry.requestedAt).toLocaleTimeString()})`;
+        const buttons = document.createElement('span');
+        buttons.className = 'space-x-2';
+        [['admitJoiner', 'Let in', 'text-green-500 hover:text-green-400'], ['denyJoiner', 'Turn away', 'text-red-400 hover:text-red-300']]
+            .forEach(([command, label, className]) => {
+                const button = document.createElement('button');
+                button.className = `${className} text-xs`;
+                button.textContent = label;
+                button.addEventListener('click', async () => {
+                    const data = await sendCommand(command, { userId: entry.userId });
+                    if (!data.success) alert(data.error || 'Failed to answer');
+                });
+                buttons.appendChild(button);
+            });
+        row.append(name, buttons);
+        elements.lobbyList.appendChild(row);
+    });
+}
+
+// Permission names from lib/roles.js
+const PERMISSION_LABELS = {
+    queueSongs: 'Add songs',
+    playNext: 'Play next',
+    reviewRequests: 'Approve requests',
+    changeSettings: 'Change settings',
+    savePlaylists: 'Save playlists',
+    manageRoles: 'Manage roles',
+    moderate: 'Moderate',
+    admitJoiners: 'Let people in'
+};
+
+// A row of checkboxes per role; ticking one saves that role's whole list
+function renderRolePermissions(rolePermissions) {
+    elements.rolePermissions.innerHTML = '';
+    ['coDj', 'moderator'].forEach(role => {
+        const granted = rolePermissions[role] || [];
+        const group = document.createElement('div');
+        const heading = document.createElement('p');
+        heading.className = 'text-white';
+        heading.textContent = ROLE_LABELS[role];
+        group.appendChild(heading);
+
+        Object.entries(PERMISSION_LABELS).forEach(([permission, label]) => {
+            const row = document.createElement('label');
+            row.className = 'flex items-center space-x-2';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = granted.includes(permission);
+            box.addEventListener('change', () => {
+                const permissions = Object.keys(PERMISSION_LABELS).filter(p => (p === permission ? box.checked : granted.includes(p)));
+                updateSessionSettings({ rolePermissions: { [role]: permissions } });
+            });
+            const text = document.createElement('span');
+            text.textContent = label;
+            row.append(box, text);
+            group.appendChild(row);
+        });
+        elements.rolePermissions.appendChild(group);
+    });
+}
+
+// DJ changes a session setting; everyone gets the result via settingsUpdate
+async function updateSessionSettings(changes) {
+    if (!currentSession || !can('changeSettings')) return;
+    try {
+        const response = await fetch(`/api/session/${currentSession.id}/settings`, {
+            method: 'POST',
+            headers: sessionHeaders(),
+            body: JSON.stringify(changes)
+        });
+        const data = await response.json();
+        if (!data.success) {
+            alert(data.error || 'Failed to update settings');
+            updateSettingsUI();
+        }
+    } catch (error) {
+        console.error('Error updating settings:', error);
     }
 }
 
 // --- QUEUE, VOTING, AND STATS ---
-// updateQueueDisplay: Shows the current queue, sorted by votes
-// voteSong: Lets users vote up/down on songs
-// updateSongVotes: Updates vote count for a song in the UI
+// updateQueueDisplay: Shows the current queue in the order the server chose
+// voteSong: Lets users vote up/down on a queue entry
+// updateSongVotes: Updates vote count for a queue entry in the UI
 // updateStats: Updates stats (total votes, active users, etc.)
 function updateQueueDisplay() {
     if (!currentSession || !currentSession.queue.length) {
@@ -603,64 +1446,90 @@ function updateQueueDisplay() {
         return;
     }
 
-    // Sort by votes (highest first)
-    const sortedQueue = [...currentSession.queue].sort((a, b) => b.votes - a.votes);
+    const votingOff = votingOffReason();
+    elements.queueList.innerHTML = '';
+    currentSession.queue.forEach((song, index) => {
+        elements.queueList.appendChild(createQueueRow(song, index, votingOff));
+    });
+}
 
-    elements.queueList.innerHTML = sortedQueue.map((song, index) => `
-        <div class="song-card rounded-lg p-4 flex items-center justify-between">
-            <div class="flex items-center space-x-4">
-                <img src="${song.albumArt || 'https://via.placeholder.com/40'}" alt="Album Art" class="w-12 h-12 rounded">
-                <div class="text-center">
-                    <div class="text-2xl font-bold text-white">${index + 1}</div>
-                    <div class="text-sm text-gray-300">${song.votes} votes</div>
-                </div>
-                <div>
-                    <h4 class="text-white font-semibold">${song.name}</h4>
-                    <p class="text-gray-300">${song.artist}</p>
-                </div>
-            </div>
-            <div class="flex items-center space-x-2">
-                <button onclick="voteSong('${song.id}', 'up')"
-                        class="vote-animation bg-green-500 hover:bg-green-600 text-white p-2 rounded-full">
-                    <i class="fas fa-thumbs-up"></i>
-                </button>
-                <button onclick="voteSong('${song.id}', 'down')"
-                        class="vote-animation bg-red-500 hover:bg-red-600 text-white p-2 rounded-full">
-                    <i class="fas fa-thumbs-down"></i>
-                </button>
-            </div>
-        </div>
-    `).join('');
+// An element holding text. Track names and usernames come from other people, so rows
+// that show them are built from these rather than HTML strings.
+function textElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    element.textContent = text;
+    return element;
+}
+
+function albumArt(track, className) {
+    const art = document.createElement('img');
+    art.src = track.albumArt || 'https://via.placeholder.com/40';
+    art.alt = 'Album Art';
+    art.className = className;
+    return art;
+}
+
+function createQueueRow(song, index, votingOff) {
+    const row = textElement('div', 'song-card rounded-lg p-4 flex items-center justify-between', '');
+
+    const info = textElement('div', 'flex items-center space-x-4', '');
+    const rank = textElement('div', 'text-center', '');
+    rank.append(
+        textElement('div', 'text-2xl font-bold text-white', index + 1),
+        textElement('div', 'text-sm text-gray-300', `${song.votes} votes`)
+    );
+    const details = document.createElement('div');
+    details.append(textElement('h4', 'text-white font-semibold', song.name), textElement('p', 'text-gray-300', song.artist));
+    if (song.addedBy) {
+        details.appendChild(textElement('p', 'text-xs text-gray-400', `Added by ${song.addedBy.username || 'Unknown'}`));
+    }
+    info.append(albumArt(song, 'w-12 h-12 rounded'), rank, details);
+
+    const buttons = textElement('div', `flex items-center space-x-2 ${votingOff ? 'opacity-50' : ''}`, '');
+    if (votingOff) buttons.title = votingOff;
+    [['up', 'bg-green-500 hover:bg-green-600'], ['down', 'bg-red-500 hover:bg-red-600']].forEach(([voteType, colors]) => {
+        const button = textElement('button', `vote-animation ${colors} text-white p-2 rounded-full`, '');
+        button.disabled = Boolean(votingOff);
+        button.appendChild(textElement('i', `fas fa-thumbs-${voteType}`, ''));
+        button.addEventListener('click', () => voteSong(song.entryId, voteType));
+        buttons.appendChild(button);
+    });
+
+    row.append(info, buttons);
+    return row;
+}
+
+// Why we can't vote right now, or null
+function votingOffReason() {
+    if (isMutedFrom('vote')) return 'You have been muted from voting';
+    if (isPaused()) return 'The DJ has paused this session';
+    return null;
 }
 
-async function voteSong(songId, voteType) {
+async function voteSong(entryId, voteType) {
     if (!currentSession || !currentUser) return;
 
     try {
-        const response = await fetch(`/api/session/${currentSession.id}/vote`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                songId,
-                username: currentUser.display_name || 'Anonymous',
-                voteType
-            })
-        });
-
-        const data = await response.json();
-        if (data.success) {
-            // Update will come through socket
+        const data = await sendCommand('vote', { entryId, voteType });
+        if (!data.success) {
+            console.error('Vote failed:', data.error);
         }
+        // On success the new tally arrives as a voteUpdate
     } catch (error) {
         console.error('Error voting:', error);
     }
 }
 
-function updateSongVotes(songId, votes) {
+function updateSongVotes(entryId, votes, order) {
     if (currentSession) {
-        const song = currentSession.queue.find(s => s.id === songId);
+        const song = currentSession.queue.find(s => s.entryId === entryId);
         if (song) {
             song.votes = votes;
+            // A vote can move entries around; follow the server's new order
+            if (order) {
+                currentSession.queue.sort((a, b) => order.indexOf(a.entryId) - order.indexOf(b.entryId));
+            }
             updateQueueDisplay();
         }
     }
@@ -670,8 +1539,7 @@ async function handlePlayNext() {
     if (!currentSession) return;
 
     try {
-        // Sort queue by votes (highest first)
-        currentSession.queue.sort((a, b) => b.votes - a.votes);
+        // The server keeps the queue in play order
         const nextSong = currentSession.queue[0];
 
         if (!nextSong) {
@@ -679,49 +1547,178 @@ async function handlePlayNext() {
             return;
         }
 
-        // Try to play using Web Player first
-        const success = await playSongOnWebPlayer(nextSong.uri);
-
-        if (success) {
-            // Remove song from queue and update UI
-            currentSession.queue.shift();
-            currentSession.currentSong = nextSong;
+        // The DJ tries their own Web Player first; if that fails, or a co-DJ pressed
+        // play (their Web Player isn't the DJ's Spotify), the server starts it on the
+        // DJ's Spotify. Either way the server records the play and everyone (us
+        // included) gets songPlayed.
+        const playedOnWebPlayer = myRole === 'dj' && await playSongOnWebPlayer(nextSong.uri);
+        const data = await sendCommand('playNext', {
+            entryId: nextSong.entryId,
+            startPlayback: !playedOnWebPlayer
+        });
+        if (!data.success) {
+            alert(data.error || 'Failed to play next song');
+        }
+    } catch (error) {
+        console.error('Error playing next song:', error);
+        alert('Failed to play next song');
+    }
+}
 
-            // Increment songs played counter
-            if (!currentSession.songsPlayed) {
-                currentSession.songsPlayed = 1;
-            } else {
-                currentSession.songsPlayed++;
+// Header count and the row of people here right now (online and idle)
+function updatePresenceUI() {
+    const here = presenceList.filter(member => member.status !== 'offline');
+    elements.participantCount.textContent = `${here.length} here now`;
+
+    elements.presenceList.innerHTML = '';
+    here
+        .sort((a, b) => (a.status === b.status ? a.username.localeCompare(b.username) : a.status === 'online' ? -1 : 1))
+        .forEach(member => {
+            const chip = document.createElement('span');
+            chip.className = 'bg-gray-700 rounded-full px-3 py-1 flex items-center space-x-2';
+            chip.title = member.status === 'idle' ? 'Idle' : 'Online';
+
+            const dot = document.createElement('span');
+            dot.className = `inline-block w-2 h-2 rounded-full ${member.status === 'online' ? 'bg-green-500' : 'bg-yellow-500'}`;
+            const name = document.createElement('span');
+            const role = roleOf(member.userId);
+            name.textContent = ROLE_LABELS[role] ? `${member.username} (${ROLE_LABELS[role]})` : member.username;
+
+            chip.append(dot, name);
+            const isMe = member.userId === (currentUser && currentUser.id);
+            if (can('manageRoles') && role !== 'dj' && !isMe) {
+                chip.appendChild(createRoleSelect(member, role));
             }
-
-            showCurrentSong(nextSong);
-            updateQueueDisplay();
-            updateStats();
-
-            // Emit to other users via socket
-            if (socket) {
-                socket.emit('songPlayed', {
-                    currentSong: nextSong,
-                    queue: currentSession.queue,
-                    songsPlayed: currentSession.songsPlayed
-                });
+            // Only the DJ moderates people who hold a role
+            if (can('moderate') && role !== 'dj' && !isMe && (role === 'participant' || myRole === 'dj')) {
+                chip.appendChild(createModerationSelect(member));
             }
-        } else {
-            // Fallback to server-side playback
-            const response = await fetch(`/api/session/${currentSession.id}/play-next`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ accessToken })
-            });
+            elements.presenceList.appendChild(chip);
+        });
+    updateStats();
+    updateSkipMeterUI(); // percent thresholds follow who's here
+}
 
-            const data = await response.json();
-            if (!data.success) {
-                alert('No songs in queue or failed to play');
-            }
+const ROLE_LABELS = { dj: 'DJ', coDj: 'Co-DJ', moderator: 'Mod' };
+
+// Role picker on someone's chip; only the DJ gets "Make DJ", and only for people
+// with a Spotify login to play from
+function createRoleSelect(member, role) {
+    const select = document.createElement('select');
+    select.className = 'bg-gray-600 text-white text-xs rounded px-1';
+    select.title = `Change ${member.username}'s role`;
+    const options = [['participant', 'Guest'], ['moderator', 'Mod'], ['coDj', 'Co-DJ']];
+    if (myRole === 'dj' && !member.userId.startsWith('guest-')) options.push(['dj', 'Make DJ']);
+    options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = role;
+    select.addEventListener('change', () => changeRole(member, select.value));
+    return select;
+}
+
+// Kick, ban or mute from someone's chip; moderators see the result via moderationUpdate
+function createModerationSelect(member) {
+    const select = document.createElement('select');
+    select.className = 'bg-gray-600 text-white text-xs rounded px-1';
+    select.title = `Moderate ${member.username}`;
+    const mutes = moderation.mutes[member.userId] || [];
+    const options = [['', '⋯'], ['kick', 'Kick'], ['ban', 'Ban']];
+    if (!mutes.includes('vote')) options.push(['mute:vote', 'Mute votes']);
+    if (!mutes.includes('request')) options.push(['mute:request', 'Mute requests']);
+    if (mutes.length) options.push(['unmute', 'Unmute']);
+    options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+        const [action, right] = select.value.split(':');
+        select.value = '';
+        if (action) moderateMember(member, action, right ? [right] : undefined);
+    });
+    return select;
+}
+
+async function moderateMember(member, action, rights) {
+    let reason;
+    if (action === 'kick' || action === 'ban') {
+        reason = prompt(`${action === 'ban' ? 'Ban' : 'Kick'} ${member.username}? Reason (optional):`);
+        if (reason === null) return;
+    }
+    try {
+        const data = await sendCommand('moderate', { action, userId: member.userId, rights, reason });
+        if (!data.success) alert(data.error || 'Failed to moderate');
+    } catch (error) {
+        console.error('Error moderating:', error);
+    }
+}
+
+// Moderators see the latest abuse flags, who is banned (with unban) and everything
+// done so far, newest first
+function updateModerationUI() {
+    const show = Boolean(currentSession) && can('moderate');
+    elements.moderationPanel.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    elements.abuseFlags.innerHTML = '';
+    moderation.flags.slice(-5).reverse().forEach(flag => {
+        const row = document.createElement('div');
+        row.textContent = `⚠ ${flag.username}: ${flag.detail} (${new Date(flag.at).toLocaleTimeString()})`;
+        elements.abuseFlags.appendChild(row);
+    });
+
+    elements.bannedList.innerHTML = '';
+    Object.entries(moderation.bans).forEach(([userId, ban]) => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center justify-between';
+        const name = document.createElement('span');
+        name.textContent = `${ban.username} is banned`;
+        const unban = document.createElement('button');
+        unban.className = 'text-green-500 hover:text-green-400 text-xs';
+        unban.textContent = 'Unban';
+        unban.addEventListener('click', () => moderateMember({ userId, username: ban.username }, 'unban'));
+        row.append(name, unban);
+        elements.bannedList.appendChild(row);
+    });
+
+    elements.moderationLog.innerHTML = '';
+    const log = moderation.log;
+    if (!log.length) {
+        elements.moderationLog.innerHTML = '<li class="text-gray-400">Nothing yet</li>';
+        return;
+    }
+    [...log].reverse().forEach(entry => {
+        const item = document.createElement('li');
+        const rights = entry.rights ? ` (${entry.rights.join(', ')})` : '';
+        const reason = entry.reason ? `: ${entry.reason}` : '';
+        item.textContent = `${new Date(entry.at).toLocaleTimeString()} ${entry.by.username} ${MODERATION_VERBS[entry.action]} ${entry.username}${rights}${reason}`;
+        elements.moderationLog.appendChild(item);
+    });
+}
+
+const MODERATION_VERBS = { kick: 'kicked', ban: 'banned', unban: 'unbanned', mute: 'muted', unmute: 'unmuted' };
+
+// Everyone (us included) sees the result via rolesUpdate
+async function changeRole(member, role) {
+    if (role === 'dj' && !confirm(`Hand the DJ role to ${member.username}? You'll stay on as a co-DJ.`)) {
+        updatePresenceUI();
+        return;
+    }
+    try {
+        const data = role === 'dj'
+            ? await sendCommand('transferDj', { userId: member.userId })
+            : await sendCommand('setRole', { userId: member.userId, role });
+        if (!data.success) {
+            alert(data.error || 'Failed to change role');
+            updatePresenceUI();
         }
     } catch (error) {
-        console.error('Error playing next song:', error);
-        alert('Failed to play next song');
+        console.error('Error changing role:', error);
     }
 }
 
@@ -732,8 +1729,8 @@ function updateStats() {
     const totalVotes = currentSession.queue.reduce((sum, song) => sum + song.votes, 0);
     elements.totalVotes.textContent = totalVotes;
 
-    // Update active users count
-    elements.activeUsers.textContent = currentSession.participants.length;
+    // Update active users count (connected right now, not everyone who ever joined)
+    elements.activeUsers.textContent = presenceList.filter(member => member.status === 'online').length;
 
     // Get songs played count from session or initialize it
     if (!currentSession.songsPlayed) {
@@ -742,64 +1739,29 @@ function updateStats() {
     elements.songsPlayed.textContent = currentSession.songsPlayed;
 }
 
-// --- AUTH & CALLBACK HANDLING ---
-// handleSpotifyCallback: Handles Spotify OAuth callback, stores tokens and user info
-// - Called automatically if redirected from Spotify login
-// - Updates UI and cleans up URL
-function handleSpotifyCallback() {
-    // Parse the URL hash for tokens and user info
-    const hash = window.location.hash.substring(1); // Remove '#'
-    const params = new URLSearchParams(hash.replace(/&/g, '&'));
-    const accessTokenParam = params.get('accessToken');
-    const refreshToken = params.get('refreshToken');
-    const userBase64 = params.get('user');
-    let user = null;
-    if (userBase64) {
-        try {
-            user = JSON.parse(atob(userBase64));
-        } catch (e) {
-            user = null;
-        }
-    }
-    if (accessTokenParam && user) {
-        localStorage.setItem('spotify_access_token', accessTokenParam);
-        localStorage.setItem('spotify_user', JSON.stringify(user));
-        accessToken = accessTokenParam;
-        currentUser = user;
-        updateAuthUI(true);
-        // Clean the URL (remove hash)
-        window.history.replaceState({}, document.title, window.location.pathname);
-    }
-}
-
-
 function showDJPopup(song) {
     const container = document.getElementById('djToastContainer');
 
     const toast = document.createElement('div');
     toast.className = "flex items-center justify-between bg-[#121212] text-white p-4 rounded-lg shadow-lg space-x-4 w-[400px] animate-fadeIn";
 
-    toast.innerHTML = `
-      <div class="flex items-center space-x-4">
-        <img src="${song.albumArt || 'https://via.placeholder.com/60'}" alt="Album Art" class="w-14 h-14 rounded">
-        <div>
-          <div class="font-semibold text-lg">Song Request:</div>
-          <div class="font-bold text-white text-base">${song.name}</div>
-          <div class="text-gray-400 text-sm">${song.artist}</div>
-        </div>
-      </div>
-      <div class="flex space-x-2">
-        <button class="deny-btn bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded flex items-center">
-          <span class="mr-1">✕</span>Deny
-        </button>
-        <button class="accept-btn bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded flex items-center">
-          Accept<span class="ml-1">✔</span>
-        </button>
-      </div>
-    `;
-
-    const acceptBtn = toast.querySelector('.accept-btn');
-    const denyBtn = toast.querySelector('.deny-btn');
+    // The request's fields are whatever the requester sent, so they go in as text
+    const info = textElement('div', 'flex items-center space-x-4', '');
+    const details = document.createElement('div');
+    details.append(
+        textElement('div', 'font-semibold text-lg', 'Song Request:'),
+        textElement('div', 'font-bold text-white text-base', song.name),
+        textElement('div', 'text-gray-400 text-sm', song.artist)
+    );
+    info.append(albumArt(song, 'w-14 h-14 rounded'), details);
+
+    const buttons = textElement('div', 'flex space-x-2', '');
+    const denyBtn = textElement('button', 'deny-btn bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded flex items-center', '');
+    denyBtn.append(textElement('span', 'mr-1', '✕'), 'Deny');
+    const acceptBtn = textElement('button', 'accept-btn bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded flex items-center', 'Accept');
+    acceptBtn.appendChild(textElement('span', 'ml-1', '✔'));
+    buttons.append(denyBtn, acceptBtn);
+    toast.append(info, buttons);
 
     acceptBtn.onclick = () => {
         // Call approveRequest which will handle adding to queue via the backend
@@ -1,9 +1,37 @@
 const express = require('express');
 const cors = require('cors');
 const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
 const socketIo = require('socket.io');
-const SpotifyWebApi = require('spotify-web-api-node');
+const QRCode = require('qrcode');
+const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
+const { createStore } = require('./lib/store');
+const { castVote, replayVotes, tallyVotes } = require('./lib/votes');
+const { createTokenSigner, readBearerToken } = require('./lib/tokens');
+const { createTokenVault } = require('./lib/tokenVault');
+const { createPlaybackScheduler } = require('./lib/playbackScheduler');
+const { createPresenceTracker } = require('./lib/presence');
+const { createRevisionLog } = require('./lib/revisions');
+const { roleOf, can, findMember, setRole, transferDj, djIsAway, pickSuccessor } = require('./lib/roles');
+const { isBanned, isBannedIp, bansView, isMuted, moderate } = require('./lib/moderation');
+const { createRateLimiter } = require('./lib/rateLimits');
+const { VOTE_FLIP_LIMIT, isVoteFlipping, flagAbuse } = require('./lib/abuse');
+const { statusOf, touchSession, expiryReason, archiveOf } = require('./lib/lifecycle');
+const { createJoinCode, normalizeJoinCode } = require('./lib/joinCodes');
+const { accessModeOf, hasPasscode, setAccess, checkPasscode, accessView, addToLobby, takeFromLobby } = require('./lib/access');
+const { newGuestId, isGuestId, guestCount } = require('./lib/guests');
+const { skipMeter } = require('./lib/skipVotes');
+const { DEFAULT_SETTINGS, applySettings } = require('./lib/settings');
+const { orderQueue, recordPlay } = require('./lib/queueOrdering');
+const { checkAdmission, recordTrackPlayed } = require('./lib/queueRules');
+const { recordHistory, settleHistory, historyToCsv } = require('./lib/history');
+const { playlistUris } = require('./lib/playlistExport');
+const { parseSources } = require('./lib/playlistImport');
+const { createProvider } = require('./lib/providers');
+const { ERROR_STATUS, sendError, errorBody, rateLimitedBody } = require('./lib/errors');
+const { schemas, validate, validationErrorBody, validateBody, validateQuery } = require('./lib/validation');
 
 const app = express();
 const server = http.createServer(app);
@@ -19,33 +47,822 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
-// Spotify API configuration
-const spotifyApi = new SpotifyWebApi({
+// Music provider (Spotify by default, MUSIC_PROVIDER=mock for offline dev and tests)
+const provider = createProvider(process.env.MUSIC_PROVIDER || 'spotify', {
   clientId: process.env.SPOTIFY_CLIENT_ID,
   clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
   redirectUri: process.env.SPOTIFY_REDIRECT_URI
 });
 
-// In-memory storage for active sessions and votes
-const activeSessions = new Map();
-const songVotes = new Map();
+// Session storage (in-memory by default, SESSION_STORE=file to persist)
+const store = createStore({
+  type: process.env.SESSION_STORE || 'memory',
+  filePath: process.env.SESSION_STORE_PATH
+});
+
+// Participant tokens and the token vault are keyed off SESSION_SECRET. Without one
+// we fall back to a random per-process secret, which means tokens and vaulted
+// Spotify logins stop working after a restart.
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set; tokens and Spotify logins will not survive a restart');
+}
+const sessionSecret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const tokens = createTokenSigner(sessionSecret);
+
+// Spotify access/refresh tokens live encrypted on the server, never in the browser
+const vault = createTokenVault({
+  secret: sessionSecret,
+  store,
+  refresh: refreshToken => provider.refreshAccessToken(refreshToken)
+});
+
+// Verify a Spotify user token (issued by the OAuth callback) and attach it as req.user
+function requireUser(req, res, next) {
+  const claims = tokens.verify(readBearerToken(req));
+  if (!claims || claims.kind !== 'user') {
+    return sendError(res, 'LOGIN_REQUIRED', 'Spotify login required');
+  }
+  req.user = claims;
+  next();
+}
+
+// Playback and search for a session always run on the current DJ's vaulted Spotify
+// login, so handing off the DJ role moves playback to the new DJ's account.
+// Resolves to a provider client acting as the DJ, or null if the DJ has to log in again.
+async function getSessionClient(session) {
+  const accessToken = await vault.getAccessToken(session.dj.userId);
+  return accessToken ? provider.client(accessToken) : null;
+}
+
+// A join code no live session has (lib/joinCodes.js)
+function newJoinCode() {
+  return createJoinCode(code => Boolean(store.getSessionByCode(code)));
+}
+
+// The deep link a join code's QR code points at; PUBLIC_URL overrides the request's host
+function joinUrl(req, joinCode) {
+  const base = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/+$/, '')}/join/${joinCode}`;
+}
+
+// Why a session isn't in the store: ended (it has an archive) or never existed.
+// Returns [code, message].
+function missingSessionError(sessionId) {
+  if (store.getArchive(sessionId)) return ['SESSION_ENDED', 'This session has ended'];
+  return ['SESSION_NOT_FOUND', 'Session not found'];
+}
+
+// Kicked and banned people still hold validly signed tokens, so everything a
+// participant does checks they're still in the session. Returns [code, message] or null.
+function standingError(session, userId) {
+  if (isBanned(session, userId)) return ['BANNED', 'You have been banned from this session'];
+  if (!findMember(session, userId)) return ['NOT_A_MEMBER', 'You are no longer in this session; join it again'];
+  return null;
+}
+
+// Verify the participant token for :sessionId (or ?sessionId=) and attach its claims as
+// req.participant, with role set to their role in the session now (see lib/roles.js).
+// Pass a permission to restrict the route, e.g. requireParticipant('savePlaylists').
+function requireParticipant(permission) {
+  return (req, res, next) => {
+    const token = readBearerToken(req);
+    if (!token) {
+      return sendError(res, 'TOKEN_REQUIRED', 'Participant token required');
+    }
+
+    // Login and lobby tokens have a kind; participant tokens don't
+    const claims = tokens.verify(token);
+    if (!claims || claims.kind) {
+      return sendError(res, 'TOKEN_INVALID', 'Invalid or expired participant token');
+    }
+    if (claims.sessionId !== (req.params.sessionId || req.query.sessionId)) {
+      return sendError(res, 'WRONG_SESSION', 'Token is not valid for this session');
+    }
+    const session = store.getSession(claims.sessionId);
+    if (!session) {
+      return sendError(res, ...missingSessionError(claims.sessionId));
+    }
+    const standing = standingError(session, claims.userId);
+    if (standing) {
+      return sendError(res, ...standing);
+    }
+    const role = roleOf(session, claims.userId);
+    if (permission && !can(session, role, permission)) {
+      return sendError(res, 'ROLE_FORBIDDEN', 'Your role in this session cannot do that');
+    }
+
+    req.participant = { ...claims, role };
+    next();
+  };
+}
+
+// Every queue entry gets its own id so votes belong to that entry, not the track.
+// seq records insertion order, which breaks ties when the queue is ordered.
+// addedBy is the participant the entry counts against (the requester for approved requests).
+function createQueueEntry(session, song, addedBy) {
+  session.entrySeq = (session.entrySeq || 0) + 1;
+  return {
+    ...song,
+    entryId: uuidv4(),
+    seq: session.entrySeq,
+    addedBy: { userId: addedBy.userId, username: addedBy.username },
+    addedAt: new Date().toISOString(),
+    votes: 0
+  };
+}
+
+// Send a state change to everyone in the session. Each one bumps session.revision
+// (see lib/revisions.js), counts as activity (lib/lifecycle.js) and saves the
+// session, so call it once the change is made.
+const revisions = createRevisionLog();
+
+function broadcast(session, event, payload) {
+  const tagged = revisions.record(session, event, payload);
+  touchSession(session);
+  store.saveSession(session);
+  io.to(session.id).emit(event, tagged);
+}
+
+// What only moderators see, from GET /api/session/:sessionId/moderation, the per-voter
+// ledgers behind each tally (lib/votes.js) and where guests joined from (lib/moderation.js)
+const HIDDEN_FIELDS = ['abuseFlags', 'moderationLog', 'bans', 'mutes', 'voteLedger', 'guestIps'];
+
+// The session as clients get it: everything but the hidden fields above and the
+// passcode hash (lib/access.js)
+function sessionView(session) {
+  const view = { ...session, access: accessView(session) };
+  HIDDEN_FIELDS.forEach(field => delete view[field]);
+  return view;
+}
+
+// What a client that last saw sinceRevision needs to catch up: the events it missed,
+// or the whole session if they're no longer in the log
+function resyncBody(session, sinceRevision) {
+  const events = revisions.since(session, sinceRevision);
+  if (events) return { revision: session.revision || 0, events };
+  return { revision: session.revision || 0, snapshot: sessionView(session) };
+}
+
+// Tell everyone about a new tally; order is the queue's new entryId order
+function broadcastVote(session, entry, tally) {
+  broadcast(session, 'voteUpdate', {
+    entryId: entry.entryId,
+    songId: entry.id,
+    ...tally,
+    order: session.queue.map(s => s.entryId)
+  });
+}
+
+// Add a track following the session's duplicate and cooldown rules (lib/queueRules.js).
+// Returns { entry }, { entry, merged: true, tally } or { error, code }. The caller saves and broadcasts.
+// Bulk callers pass { reorder: false } and call reorderQueue once at the end.
+function enqueueSong(session, song, addedBy, { reorder = true } = {}) {
+  const admission = checkAdmission(session, song);
+  if (admission.action === 'reject') {
+    return { error: admission.reason, code: admission.code };
+  }
+
+  if (admission.action === 'merge') {
+    const { entry } = admission;
+    const events = (session.voteLedger || {})[entry.entryId] || [];
+    // Adding it again counts as an upvote, unless this person already upvoted it
+    const tally = replayVotes(events).get(addedBy.userId) === 'up'
+      ? tallyVotes(events)
+      : castVote(session, entry.entryId, addedBy, 'up');
+    entry.votes = tally.votes;
+    if (reorder) reorderQueue(session);
+    return { entry, merged: true, tally };
+  }
+
+  const entry = createQueueEntry(session, song, addedBy);
+  session.queue.push(entry);
+  if (reorder) reorderQueue(session);
+  return { entry };
+}
+
+// Keep session.queue in the order chosen by the session's queueOrder setting
+function reorderQueue(session) {
+  session.queue = orderQueue(session);
+}
+
+function pickNextEntry(session) {
+  return orderQueue(session)[0];
+}
+
+// Move an entry from the queue to "now playing" and tell everyone in the session, along
+// with the settled history record of the song it replaces (skipped if the room voted it off)
+function markSongPlayed(session, entry, { skipped = false } = {}) {
+  const settledEntry = session.currentSong ? settleHistory(session, session.currentSong, { skipped }) : null;
+  session.queue = session.queue.filter(s => s.entryId !== entry.entryId);
+  session.currentSong = entry;
+  session.skipMeter = null; // a new song starts with no skip votes
+  session.songsPlayed = (session.songsPlayed || 0) + 1; // Increment counter
+  recordPlay(session, entry);
+  recordTrackPlayed(session, entry);
+  const historyEntry = recordHistory(session, entry);
+  reorderQueue(session);
+
+  broadcast(session, 'songPlayed', {
+    currentSong: entry,
+    queue: session.queue,
+    songsPlayed: session.songsPlayed,
+    historyEntry,
+    settledEntry
+  });
+}
+
+// Auto-advance: queue the top entry on the DJ's Spotify just before the current track ends
+const scheduler = createPlaybackScheduler({
+  getSession: sessionId => store.getSession(sessionId),
+  getPlaybackState: async (session) => {
+    const client = await getSessionClient(session);
+    return client ? client.getPlaybackState() : null;
+  },
+  pickNext: pickNextEntry,
+  queueTrack: async (session, entry) => {
+    const client = await getSessionClient(session);
+    if (!client) throw new Error('DJ needs to reconnect Spotify');
+    await client.queue(entry.uri);
+  },
+  onAdvance: markSongPlayed
+});
+
+// Play an entry from the queue on the DJ's Spotify (unless the DJ's Web Player already
+// started it) and make it "now playing"; skipped says the room voted the last song off.
+// Resolves to null, or [code, message] if it couldn't play.
+async function playEntry(session, entry, { startPlayback = true, skipped = false } = {}) {
+  if (startPlayback) {
+    try {
+      const client = await getSessionClient(session);
+      if (!client) return ['DJ_LOGIN_EXPIRED', 'DJ needs to reconnect Spotify'];
+      await client.play(entry.uri);
+    } catch (error) {
+      console.error('Error playing song:', error);
+      return ['PROVIDER_ERROR', 'Failed to play song'];
+    }
+  }
+
+  scheduler.reset(session.id);
+  markSongPlayed(session, entry, { skipped });
+  return null;
+}
+
+// Sessions moving on from a skipped song, so votes arriving meanwhile don't skip twice
+const skipsInFlight = new Set();
+
+// How many people a percentage skip threshold is a share of: everyone with the session
+// open (lib/presence.js), plus whoever voted on the song without a socket, over REST.
+// Counting voters means one vote from nowhere can't be a majority of nobody.
+function presentForSkip(session, tally, voter) {
+  const here = new Set(presence.list(session.id).filter(member => member.status !== 'offline').map(member => member.userId));
+  Object.keys(tally.userVotes).forEach(userId => here.add(userId));
+  here.add(voter.userId);
+  return here.size;
+}
+
+// Count a vote on the song that's playing and tell everyone where the skip meter stands
+// (lib/skipVotes.js). Once it reaches the threshold the top of the queue plays instead;
+// with nothing queued the song plays on. Resolves to { song, skipMeter, skipped }.
+async function voteToSkip(session, voter, voteType) {
+  const song = session.currentSong;
+  const tally = castVote(session, song.entryId, voter, voteType);
+  song.votes = tally.votes;
+  const { skipThreshold } = { ...DEFAULT_SETTINGS, ...session.settings };
+  session.skipMeter = skipMeter(song, tally, skipThreshold, presentForSkip(session, tally, voter));
+  broadcast(session, 'skipMeterUpdate', { ...session.skipMeter, userVotes: tally.userVotes });
+
+  const meter = session.skipMeter;
+  const next = pickNextEntry(session);
+  if (!meter.skip || !next || skipsInFlight.has(session.id)) return { song, skipMeter: meter, skipped: false };
+
+  skipsInFlight.add(session.id);
+  try {
+    const failure = await playEntry(session, next, { skipped: true });
+    if (failure) {
+      console.error(`Could not skip ${song.name} in session ${session.id}: ${failure[1]}`);
+      return { song, skipMeter: meter, skipped: false };
+    }
+  } finally {
+    skipsInFlight.delete(session.id);
+  }
+  console.log(`Room voted to skip ${song.name} in session ${session.id} (${meter.down}/${meter.needed})`);
+  io.to(session.id).emit('songSkipped', { entryId: song.entryId, songId: song.id, name: song.name, down: meter.down, needed: meter.needed });
+  return { song, skipMeter: meter, skipped: true };
+}
+
+// Presence: who has the session open right now (see lib/presence.js)
+const presence = createPresenceTracker({
+  onChange: (sessionId, member, counts) => {
+    io.to(sessionId).emit('presenceUpdate', { member, counts });
+  }
+});
+presence.start();
+
+// Tell everyone who holds which role now. change is { userId, role, reason } for the
+// person whose role changed; also pass anyone else whose role moved with it.
+function broadcastRoles(session, change, ...alsoChanged) {
+  broadcast(session, 'rolesUpdate', { dj: session.dj, roles: session.roles || {}, change });
+  [change.userId, ...alsoChanged].forEach(userId => presence.setRole(session.id, userId, roleOf(session, userId)));
+}
+
+// Rate limits on votes, searches and requests (lib/rateLimits.js)
+const rateLimiter = createRateLimiter();
+rateLimiter.start();
+
+// Send something only to the people in the session who can moderate it
+function notifyModerators(session, event, payload) {
+  io.sockets.sockets.forEach(socket => {
+    const participant = socket.data.participant;
+    if (!participant || participant.sessionId !== session.id) return;
+    if (can(session, roleOf(session, participant.userId), 'moderate')) socket.emit(event, payload);
+  });
+}
+
+// Flag abuse (lib/abuse.js) for the DJ and moderators
+function reportAbuse(session, kind, who, detail) {
+  const flag = flagAbuse(session, kind, who, detail);
+  if (!flag) return;
+  store.saveSession(session);
+  notifyModerators(session, 'abuseFlag', flag);
+}
+
+// Count a rate-limited action by participant from ip. Returns null, or the
+// RATE_LIMITED body to answer with. Pushing on past the request limit is a request flood.
+function limitAction(session, action, participant, ip) {
+  const limited = rateLimiter.check(session, action, { userId: participant.userId, ip });
+  if (!limited) return null;
+  if (action === 'request') {
+    reportAbuse(session, 'requestFlood', participant, 'Kept requesting songs after hitting the request limit');
+  }
+  return rateLimitedBody(limited.retryAfterMs);
+}
+
+// Route middleware for rate-limited actions that aren't commands (commands declare rateLimit)
+function rateLimit(action) {
+  return (req, res, next) => {
+    const session = store.getSession(req.participant.sessionId);
+    const limited = limitAction(session, action, req.participant, req.ip);
+    if (!limited) return next();
+    res.set('Retry-After', String(limited.retryAfter));
+    res.status(ERROR_STATUS.RATE_LIMITED).json(limited);
+  };
+}
+
+// Give the tabs of someone waiting in the lobby their answer (lobbyAdmitted or lobbyDenied)
+function answerJoiner(session, userId, event) {
+  io.sockets.sockets.forEach(socket => {
+    const joiner = socket.data.lobby;
+    if (!joiner || joiner.sessionId !== session.id || joiner.userId !== userId) return;
+    socket.data.lobby = null;
+    socket.emit(event, { sessionId: session.id });
+  });
+}
+
+// Let someone waiting in the lobby in: they join as a participant, and their waiting
+// tabs hear lobbyAdmitted so they can finish joining. The caller broadcasts lobbyUpdate.
+function admitFromLobby(session, entry) {
+  if (!findMember(session, entry.userId)) {
+    session.participants.push({ username: entry.username, userId: entry.userId, joinedAt: new Date() });
+  }
+  answerJoiner(session, entry.userId, 'lobbyAdmitted');
+}
+
+// Tell a kicked or banned person's open tabs why, then drop them from the session room
+function removeFromRoom(session, userId, notice) {
+  socketsOf(session, userId).forEach(socket => {
+    socket.emit('removedFromSession', notice);
+    socket.disconnect(true);
+  });
+}
+
+// Where a guest joined from, so banning them can keep that address out (lib/moderation.js)
+function rememberGuestIp(session, userId, ip) {
+  if (!session.guestIps) session.guestIps = {};
+  session.guestIps[userId] = ip;
+}
+
+// Sockets userId has in the session's room
+function socketsOf(session, userId) {
+  return [...io.sockets.sockets.values()].filter(socket => {
+    const participant = socket.data.participant;
+    return participant && participant.sessionId === session.id && participant.userId === userId;
+  });
+}
+
+// The rights userId is muted from; they only ever hear about their own
+function mutedFrom(session, userId) {
+  return (session.mutes || {})[userId] || [];
+}
+
+// Whether userId has a Spotify login in the vault for playback and search to run on,
+// which anyone made DJ needs
+async function canPlayFrom(userId) {
+  try {
+    return Boolean(await vault.getAccessToken(userId));
+  } catch (error) {
+    return false; // the refresh failed, so the login is as good as gone
+  }
+}
+
+// Hand the DJ role to whoever is here (and can play from their Spotify login) once the
+// DJ has been offline for the session's djAwayMinutes, so someone can keep the music
+// going. Runs every sweep below.
+async function promoteAwayDjs(now = Date.now()) {
+  for (const session of store.listSessions()) {
+    const members = presence.list(session.id);
+    if (!djIsAway(session, members, now)) continue;
+    const loggedIn = await Promise.all(members.map(member => canPlayFrom(member.userId)));
+    const successor = pickSuccessor(session, members.filter((member, i) => loggedIn[i]));
+    // The DJ may have come back, or been replaced, while we checked logins
+    if (!successor || !djIsAway(session, presence.list(session.id), now)) continue;
+    const previous = transferDj(session, successor);
+    console.log(`DJ ${previous.username} is away; ${successor.username} takes over session ${session.id}`);
+    broadcastRoles(session, { userId: successor.userId, role: 'dj', reason: 'djAway' }, previous.userId);
+  }
+}
+const djAwaySweep = setInterval(() => {
+  promoteAwayDjs().catch(error => console.error('Error promoting DJs:', error));
+}, 15 * 1000);
+if (djAwaySweep.unref) djAwaySweep.unref();
+
+// End a session for good: archive it (lib/lifecycle.js), send everyone in it back to
+// the start with sessionEnded, and drop it along with its queue, votes and live state.
+// reason is 'ended' when the DJ ends it, or why the sweeper did.
+function endSession(session, reason) {
+  if (session.currentSong) settleHistory(session, session.currentSong);
+  const archive = store.saveArchive(archiveOf(session, reason));
+  io.to(session.id).emit('sessionEnded', { sessionId: session.id, reason });
+  io.in(session.id).disconnectSockets(true);
+  store.deleteSession(session.id);
+  scheduler.stop(session.id);
+  presence.forget(session.id);
+  revisions.forget(session.id);
+  console.log(`Session ${session.id} ended (${reason})`);
+  return archive;
+}
+
+// End sessions idle past their idleTimeoutMinutes (pausedTimeoutMinutes when paused).
+// Anyone actively using the session keeps it alive, even if nothing changes in it.
+function sweepSessions(now = Date.now()) {
+  store.listSessions().forEach(session => {
+    if (presence.counts(session.id).online) {
+      touchSession(session, now);
+      return;
+    }
+    const reason = expiryReason(session, now);
+    if (reason) endSession(session, reason);
+  });
+}
+const sessionSweep = setInterval(() => sweepSessions(), 60 * 1000);
+if (sessionSweep.unref) sessionSweep.unref();
+
+// Session commands
+// Everything participants do to the queue is one of these commands, and both the
+// REST routes below and the socket events of the same name run it:
+//
+//   command          REST route                                 permission
+//   vote             POST /api/session/:sessionId/vote             anyone
+//   addSong          POST /api/session/:sessionId/add-song         queueSongs
+//   requestSong      POST /api/session/:sessionId/request-song     anyone
+//   approveRequest   POST /api/session/:sessionId/approve-request  reviewRequests
+//   denyRequest      POST /api/session/:sessionId/deny-request     reviewRequests
+//   playNext         POST /api/session/:sessionId/play-next        playNext
+//   setRole          POST /api/session/:sessionId/set-role         manageRoles
+//   transferDj       POST /api/session/:sessionId/transfer-dj      DJ only
+//   moderate         POST /api/session/:sessionId/moderate         moderate
+//   pauseSession     POST /api/session/:sessionId/pause            DJ only
+//   endSession       POST /api/session/:sessionId/end              DJ only
+//   setAccess        POST /api/session/:sessionId/access           changeSettings
+//   admitJoiner      POST /api/session/:sessionId/admit            admitJoiners
+//   denyJoiner       POST /api/session/:sessionId/turn-away        admitJoiners
+//
+// Permissions belong to roles (lib/roles.js). Commands with a rateLimit count against
+// that action's limits (lib/rateLimits.js). Only commands marked whilePaused run while
+// the DJ has the session paused (lib/lifecycle.js). run(session, participant, input) gets
+// input already checked against schema and the participant's current role, and
+// resolves to { reply } or commandError(...). Broadcasts happen inside run.
+
+function commandError(code, message) {
+  return { error: errorBody(code, message) };
+}
+
+const commands = {
+  // Vote on a queued entry, or on the song that's playing to skip it (voteToSkip)
+  vote: {
+    rateLimit: 'vote',
+    schema: schemas.vote,
+    async run(session, participant, { entryId, voteType }) {
+      if (isMuted(session, participant.userId, 'vote')) return commandError('MUTED', 'You have been muted from voting');
+      const voter = { userId: participant.userId, username: participant.username };
+      const playing = session.currentSong && session.currentSong.entryId === entryId;
+      const song = playing ? session.currentSong : session.queue.find(s => s.entryId === entryId);
+      if (!song) return commandError('ENTRY_NOT_FOUND', 'Song not found');
+
+      let reply = { song };
+      if (playing) {
+        reply = await voteToSkip(session, voter, voteType);
+      } else {
+        const tally = castVote(session, entryId, voter, voteType);
+        song.votes = tally.votes;
+        reorderQueue(session);
+        broadcastVote(session, song, tally);
+      }
+      if (isVoteFlipping(session.voteLedger[entryId], participant.userId)) {
+        reportAbuse(session, 'voteFlipping', participant, `Voted on ${song.name} ${VOTE_FLIP_LIMIT} times within a minute`);
+      }
+      return { reply };
+    }
+  },
+
+  addSong: {
+    permission: 'queueSongs',
+    schema: schemas.song,
+    run(session, participant, { song }) {
+      if (isMuted(session, participant.userId, 'request')) return commandError('MUTED', 'You have been muted from adding songs');
+      // Add song to queue with 0 votes (or merge into the queued copy)
+      const result = enqueueSong(session, song, participant);
+      if (result.error) return commandError(result.code, result.error);
+
+      if (result.merged) {
+        broadcastVote(session, result.entry, result.tally);
+      } else {
+        broadcast(session, 'queueUpdate', { queue: session.queue });
+      }
+      return { reply: { song: result.entry, merged: Boolean(result.merged) } };
+    }
+  },
+
+  requestSong: {
+    rateLimit: 'request',
+    schema: schemas.song,
+    run(session, participant, { song }) {
+      if (isMuted(session, participant.userId, 'request')) return commandError('MUTED', 'You have been muted from requesting songs');
+      const requestedBy = { username: participant.username, userId: participant.userId };
+      if (session.pendingRequests.some(s => s.id === song.id)) {
+        return commandError('ALREADY_REQUESTED', 'Song has already been requested');
+      }
+      const admission = checkAdmission(session, song);
+      if (admission.action === 'reject') return commandError(admission.code, admission.reason);
+
+      session.pendingRequests.push({ ...song, requestedBy });
+      broadcast(session, 'pendingRequestsUpdate', { pendingRequests: session.pendingRequests });
+      // Toast popup for the DJ; not a state change, so it has no revision
+      io.to(session.id).emit('newSongRequest', { ...song, requestedBy, sessionId: session.id });
+      return { reply: {} };
+    }
+  },
+
+  approveRequest: {
+    permission: 'reviewRequests',
+    schema: schemas.requestDecision,
+    run(session, participant, { songId }) {
+      const idx = session.pendingRequests.findIndex(s => s.id === songId);
+      if (idx === -1) return commandError('REQUEST_NOT_FOUND', 'Request not found');
+
+      const { requestedBy, ...song } = session.pendingRequests[idx];
+      // The entry is credited to whoever requested it, not the approving DJ
+      const result = enqueueSong(session, song, requestedBy);
+      if (result.error) return commandError(result.code, result.error);
+      session.pendingRequests.splice(idx, 1);
+
+      if (result.merged) {
+        broadcastVote(session, result.entry, result.tally);
+      } else {
+        broadcast(session, 'queueUpdate', { queue: session.queue });
+      }
+      broadcast(session, 'pendingRequestsUpdate', { pendingRequests: session.pendingRequests });
+      return { reply: { merged: Boolean(result.merged) } };
+    }
+  },
+
+  denyRequest: {
+    permission: 'reviewRequests',
+    whilePaused: true,
+    schema: schemas.requestDecision,
+    run(session, participant, { songId }) {
+      session.pendingRequests = session.pendingRequests.filter(s => s.id !== songId);
+      broadcast(session, 'pendingRequestsUpdate', { pendingRequests: session.pendingRequests });
+      return { reply: {} };
+    }
+  },
+
+  // startPlayback: false records a track the DJ's Web Player already started
+  playNext: {
+    permission: 'playNext',
+    schema: schemas.playNext,
+    async run(session, participant, { entryId, startPlayback }) {
+      const nextSong = entryId ? session.queue.find(s => s.entryId === entryId) : pickNextEntry(session);
+      if (!nextSong) {
+        return entryId ? commandError('ENTRY_NOT_FOUND', 'Song not found') : commandError('QUEUE_EMPTY', 'No songs in queue');
+      }
+
+      const failure = await playEntry(session, nextSong, { startPlayback });
+      if (failure) return commandError(...failure);
+      return { reply: { currentSong: nextSong, songsPlayed: session.songsPlayed } };
+    }
+  },
+
+  // Make someone who joined a co-DJ or moderator, or back to a participant
+  setRole: {
+    permission: 'manageRoles',
+    whilePaused: true,
+    schema: schemas.setRole,
+    run(session, participant, { userId, role }) {
+      if (!findMember(session, userId)) return commandError('MEMBER_NOT_FOUND', 'Nobody with that user id has joined this session');
+      if (roleOf(session, userId) === 'dj') {
+        return commandError('ROLE_FORBIDDEN', 'The DJ role only changes hands with transferDj');
+      }
+
+      setRole(session, userId, role);
+      broadcastRoles(session, { userId, role, reason: 'appointed' });
+      return { reply: { userId, role } };
+    }
+  },
+
+  // The DJ hands the role to someone else and stays on as a co-DJ
+  transferDj: {
+    permission: 'transferDj',
+    whilePaused: true,
+    schema: schemas.transferDj,
+    async run(session, participant, { userId }) {
+      const member = findMember(session, userId);
+      if (!member) return commandError('MEMBER_NOT_FOUND', 'Nobody with that user id has joined this session');
+      if (isGuestId(userId)) return commandError('ROLE_FORBIDDEN', 'Guests have no Spotify login to play music from');
+      if (!(await canPlayFrom(userId))) {
+        return commandError('NO_SPOTIFY_LOGIN', `${member.username} has to connect Spotify before they can DJ`);
+      }
+
+      if (member.userId !== participant.userId) {
+        const previous = transferDj(session, member);
+        broadcastRoles(session, { userId, role: 'dj', reason: 'transfer' }, previous.userId);
+      }
+      return { reply: { dj: session.dj } };
+    }
+  },
+
+  // Kick, ban, unban, mute or unmute someone (lib/moderation.js)
+  moderate: {
+    permission: 'moderate',
+    whilePaused: true,
+    schema: schemas.moderate,
+    run(session, participant, { action, userId, rights, reason }) {
+      const banned = (session.bans || {})[userId];
+      const target = findMember(session, userId) || (banned && { userId, username: banned.username });
+      if (!target) return commandError('MEMBER_NOT_FOUND', 'Nobody with that user id has joined this session');
+      const targetRole = roleOf(session, userId);
+      if (targetRole === 'dj' || userId === participant.userId) {
+        return commandError('ROLE_FORBIDDEN', 'You cannot moderate the DJ or yourself');
+      }
+      if (targetRole !== 'participant' && participant.role !== 'dj') {
+        return commandError('ROLE_FORBIDDEN', 'Only the DJ can moderate someone with a role');
+      }
+
+      const entry = moderate(session, { action, target, by: participant, rights, reason });
+      if (action === 'kick' || action === 'ban') {
+        removeFromRoom(session, userId, { action, reason: reason || null });
+        if (targetRole !== 'participant') broadcastRoles(session, { userId, role: 'participant', reason: action });
+      }
+      // Not a broadcast: only moderators see bans and mutes, and the one muted hears
+      // what they're muted from
+      touchSession(session);
+      store.saveSession(session);
+      notifyModerators(session, 'moderationUpdate', { bans: bansView(session), mutes: session.mutes, entry });
+      if (action === 'mute' || action === 'unmute') {
+        socketsOf(session, userId).forEach(socket => socket.emit('muteUpdate', { mutedFrom: mutedFrom(session, userId) }));
+      }
+      return { reply: { entry } };
+    }
+  },
+
+  // Pause the session ({ paused: false } resumes it): auto-advance stops and the queue
+  // is frozen until then
+  pauseSession: {
+    permission: 'pauseSession',
+    whilePaused: true,
+    schema: schemas.pauseSession,
+    run(session, participant, { paused }) {
+      const status = paused ? 'paused' : 'active';
+      if (statusOf(session) !== status) {
+        session.status = status;
+        session.pausedAt = paused ? new Date().toISOString() : null;
+        if (paused) {
+          scheduler.stop(session.id);
+        } else {
+          scheduler.start(session.id);
+        }
+        broadcast(session, 'sessionStatusUpdate', {
+          status,
+          pausedAt: session.pausedAt,
+          by: { userId: participant.userId, username: participant.username }
+        });
+      }
+      return { reply: { status } };
+    }
+  },
+
+  // Choose who may join: open, passcode or approval (lib/access.js). Opening the
+  // session up lets everyone waiting in the lobby in.
+  setAccess: {
+    permission: 'changeSettings',
+    whilePaused: true,
+    schema: schemas.setAccess,
+    run(session, participant, { mode, passcode }) {
+      if (mode === 'passcode' && !passcode && !hasPasscode(session)) {
+        return commandError('VALIDATION_FAILED', 'Choose a passcode for the session');
+      }
+      setAccess(session, { mode, passcode });
+      if (mode === 'open' && (session.lobby || []).length) {
+        session.lobby.splice(0).forEach(entry => admitFromLobby(session, entry));
+        broadcast(session, 'lobbyUpdate', { lobby: session.lobby });
+      }
+      broadcast(session, 'accessUpdate', { access: accessView(session) });
+      return { reply: { access: accessView(session) } };
+    }
+  },
+
+  admitJoiner: {
+    permission: 'admitJoiners',
+    whilePaused: true,
+    schema: schemas.lobbyDecision,
+    run(session, participant, { userId }) {
+      const entry = takeFromLobby(session, userId);
+      if (!entry) return commandError('JOINER_NOT_FOUND', 'Nobody with that user id is waiting to join');
+      admitFromLobby(session, entry);
+      broadcast(session, 'lobbyUpdate', { lobby: session.lobby });
+      return { reply: { userId } };
+    }
+  },
+
+  denyJoiner: {
+    permission: 'admitJoiners',
+    whilePaused: true,
+    schema: schemas.lobbyDecision,
+    run(session, participant, { userId }) {
+      const entry = takeFromLobby(session, userId);
+      if (!entry) return commandError('JOINER_NOT_FOUND', 'Nobody with that user id is waiting to join');
+      answerJoiner(session, userId, 'lobbyDenied');
+      broadcast(session, 'lobbyUpdate', { lobby: session.lobby });
+      return { reply: { userId } };
+    }
+  },
+
+  // End the session for everyone; what's left is at GET /api/session/:sessionId/archive
+  endSession: {
+    permission: 'endSession',
+    whilePaused: true,
+    schema: schemas.endSession,
+    run(session) {
+      const archive = endSession(session, 'ended');
+      return { reply: { archive } };
+    }
+  }
+};
+
+// Check the participant's current role, their rate limits and the input, then run the
+// command on their session. ip is where the command came from, for per-IP limits.
+async function runCommand(name, participant, input, { ip } = {}) {
+  const command = commands[name];
+  const session = store.getSession(participant.sessionId);
+  if (!session) return commandError(...missingSessionError(participant.sessionId));
+  const standing = standingError(session, participant.userId);
+  if (standing) return commandError(...standing);
+
+  const role = roleOf(session, participant.userId);
+  if (command.permission && !can(session, role, command.permission)) {
+    return commandError('ROLE_FORBIDDEN', 'Your role in this session cannot do that');
+  }
+  if (statusOf(session) === 'paused' && !command.whilePaused) {
+    return commandError('SESSION_PAUSED', 'The DJ has paused this session');
+  }
+  if (command.rateLimit) {
+    const limited = limitAction(session, command.rateLimit, participant, ip);
+    if (limited) return { error: limited };
+  }
+  const { value, errors } = validate(command.schema, input === undefined || input === null ? {} : input);
+  if (errors) return { error: validationErrorBody(errors) };
+
+  return command.run(session, { ...participant, role }, value);
+}
+
+// REST face of a command; requireParticipant has already matched the token to :sessionId
+function commandRoute(name) {
+  return async (req, res, next) => {
+    try {
+      const outcome = await runCommand(name, req.participant, req.body, { ip: req.ip });
+      if (outcome.error) {
+        if (outcome.error.retryAfter) res.set('Retry-After', String(outcome.error.retryAfter));
+        return res.status(ERROR_STATUS[outcome.error.code]).json(outcome.error);
+      }
+      res.json({ success: true, ...outcome.reply });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
 
 // Spotify authentication endpoints
 app.get('/auth/spotify', (req, res) => {
-  const scopes = [
-    'streaming',
-    'user-read-private',
-    'user-read-email',
-    'playlist-read-private',
-    'playlist-modify-public',
-    'playlist-modify-private',
-    'user-modify-playback-state',
-    'user-read-playback-state',
-    'user-read-currently-playing'
-  ];
-
-  const authorizeURL = spotifyApi.createAuthorizeURL(scopes);
-  res.redirect(authorizeURL);
+  res.redirect(provider.authorizeUrl());
 });
 
 app.get('/auth/spotify/callback', async (req, res) => {
@@ -62,21 +879,23 @@ app.get('/auth/spotify/callback', async (req, res) => {
   }
 
   try {
-    const data = await spotifyApi.authorizationCodeGrant(code);
-    const { access_token, refresh_token } = data.body;
+    const { accessToken, refreshToken, expiresIn, user } = await provider.exchangeCode(code);
 
-    spotifyApi.setAccessToken(access_token);
-    // Get user info
-    const user = await spotifyApi.getMe();
+    // Keep the Spotify tokens on the server; the browser only gets a signed user token
+    vault.save(user.id, { accessToken, refreshToken, expiresIn });
+    const authToken = tokens.issue({
+      kind: 'user',
+      userId: user.id,
+      username: user.display_name
+    });
+    const toScript = value => JSON.stringify(value).replace(/</g, '\\u003c');
 
     res.send(`
       <html>
         <body>
           <script>
-            // Store tokens securely and redirect
-            localStorage.setItem('spotify_access_token', '${access_token}');
-            localStorage.setItem('spotify_refresh_token', '${refresh_token}');
-            localStorage.setItem('spotify_user', '${JSON.stringify(user.body)}');
+            localStorage.setItem('auth_token', ${toScript(authToken)});
+            localStorage.setItem('spotify_user', ${toScript(JSON.stringify(user))});
             window.location.href = '/';
           </script>
         </body>
@@ -88,60 +907,190 @@ app.get('/auth/spotify/callback', async (req, res) => {
   }
 });
 
+// Which music provider the server runs on; the client skips the Web Playback SDK for mock
+app.get('/api/config', (req, res) => {
+  res.json({ provider: provider.name });
+});
+
+// Short-lived access token for the Web Playback SDK, refreshed from the vault as needed
+app.get('/auth/spotify/token', requireUser, async (req, res) => {
+  try {
+    const accessToken = await vault.getAccessToken(req.user.userId);
+    if (!accessToken) {
+      return sendError(res, 'LOGIN_REQUIRED', 'Spotify login required');
+    }
+    res.json({ accessToken, expiresAt: vault.getExpiry(req.user.userId) });
+  } catch (error) {
+    console.error('Error refreshing Spotify token:', error);
+    sendError(res, 'PROVIDER_ERROR', 'Failed to refresh Spotify token');
+  }
+});
+
+// Forget the user's vaulted Spotify tokens
+app.post('/auth/logout', requireUser, (req, res) => {
+  vault.remove(req.user.userId);
+  res.json({ success: true });
+});
+
 // Create a new jam session
-app.post('/api/session/create', async (req, res) => {
+app.post('/api/session/create', requireUser, validateBody(schemas.createSession), async (req, res) => {
   try {
-    const { accessToken, playlistId, sessionName, username, userId } = req.body;
+    const { playlistId, sessionName } = req.body;
+    const { userId, username } = req.user;
+
+    // playlistId may hold several playlists, albums or tracks as ids, URIs or links
+    const { sources, invalid } = parseSources(playlistId);
+    if (invalid.length) {
+      return sendError(res, 'VALIDATION_FAILED', `Not a Spotify playlist, album or track: ${invalid.join(', ')}`,
+        invalid.map(value => ({ field: 'playlistId', message: `${value} is not a Spotify playlist, album or track` })));
+    }
+
+    const accessToken = await vault.getAccessToken(userId);
     if (!accessToken) {
-      return res.status(401).json({ error: 'Access token required' });
+      return sendError(res, 'LOGIN_REQUIRED', 'Spotify login required');
     }
-    spotifyApi.setAccessToken(accessToken);
-    const sessionId = require('uuid').v4();
+    const sessionId = uuidv4();
     const session = {
       id: sessionId,
+      joinCode: newJoinCode(), // what guests type or scan, see lib/joinCodes.js
       name: sessionName || 'New Jam Session',
       playlistId,
-      accessToken,
       createdAt: new Date(),
       dj: { username, userId },
+      roles: {}, // userId -> 'coDj' | 'moderator', see lib/roles.js
+      bans: {}, // userId -> { username, bannedAt }, see lib/moderation.js
+      mutes: {}, // userId -> rights taken away ('vote', 'request')
+      moderationLog: [],
+      abuseFlags: [], // see lib/abuse.js
       participants: [],
       currentSong: null,
       queue: [],
       pendingRequests: [],
+      voteLedger: {}, // entryId -> vote events, see lib/votes.js
+      revision: 0, // bumped by every broadcast, see lib/revisions.js
+      status: 'active', // 'active' | 'paused', see lib/lifecycle.js
+      pausedAt: null,
+      lastActiveAt: new Date().toISOString(),
+      access: { mode: 'open' }, // who may join, see lib/access.js
+      lobby: [], // people waiting to be let in: { userId, username, requestedAt }
+      settings: { ...DEFAULT_SETTINGS },
       songsPlayed: 0 // Initialize songs played counter
     };
-    activeSessions.set(sessionId, session);
-    // Get playlist tracks
-    if (playlistId) {
-      const playlist = await spotifyApi.getPlaylist(playlistId);
-      session.queue = playlist.body.tracks.items.map(item => ({
-        id: item.track.id,
-        name: item.track.name,
-        artist: item.track.artists[0].name,
-        album: item.track.album.name,
-        duration: item.track.duration_ms,
-        uri: item.track.uri,
-        votes: 0
-      }));
-    }
-    res.json({ sessionId, session });
+    store.saveSession(session);
+    scheduler.start(sessionId);
+    // Get every track from every source; the summary is the DJ's import preview
+    let importSummary = null;
+    if (sources.length) {
+      const { tracks, report } = await provider.client(accessToken).importSources(sources);
+      const results = tracks.map(track => enqueueSong(session, track, session.dj, { reorder: false }));
+      reorderQueue(session);
+      store.saveSession(session);
+      importSummary = {
+        sources: report,
+        queued: results.filter(result => result.entry && !result.merged).length,
+        duplicates: results.filter(result => result.error || result.merged).length,
+        preview: session.queue.slice(0, 10).map(({ name, artist }) => ({ name, artist }))
+      };
+    }
+    const token = tokens.issue({ sessionId, userId, username, role: 'dj' });
+    res.json({
+      sessionId,
+      session: sessionView(session),
+      token,
+      participant: { userId, username, role: 'dj' },
+      import: importSummary
+    });
   } catch (error) {
     console.error('Error creating session:', error);
-    res.status(500).json({ error: 'Failed to create session' });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to create session');
   }
 });
 
-// Join a jam session
-app.post('/api/session/join', (req, res) => {
-  const { sessionId, username, userId } = req.body;
+// Join a jam session. Passcode sessions need { passcode }; in approval sessions newcomers
+// get 202 { pending: true, lobbyToken } and wait in the lobby (see waitInLobby below).
+// Leave out userId to join as a guest, without a Spotify login (lib/guests.js).
+app.post('/api/session/join', validateBody(schemas.joinSession), (req, res) => {
+  const { sessionId, username, passcode } = req.body;
 
-    const session = activeSessions.get(sessionId);
+    const session = store.getSession(sessionId);
     if (!session) {
-        return res.status(404).json({ error: 'Session not found' });
+        return sendError(res, ...missingSessionError(sessionId));
+    }
+
+    // A user id is only ever joined by its owner: with the Spotify login it belongs to, or
+    // a participant or lobby token for it in this session (so the DJ can reload the page or
+    // switch devices). Guests send no user id: they are who their token for this session
+    // says they are, or new guests the server names.
+    const previous = tokens.verify(readBearerToken(req));
+    const forThisSession = Boolean(previous) && previous.sessionId === sessionId;
+    let userId = req.body.userId;
+    let newGuest = false;
+    if (!userId) {
+        if (forThisSession) {
+            userId = previous.userId;
+        } else {
+            // Banned people don't get a fresh guest id: not with their Spotify login, nor
+            // from where a banned guest joined
+            if ((previous && isBanned(session, previous.userId)) || isBannedIp(session, req.ip)) {
+                return sendError(res, 'BANNED', 'You have been banned from this session');
+            }
+            userId = newGuestId();
+            newGuest = true;
+        }
+    }
+    const proven = Boolean(previous) && previous.userId === userId && (previous.kind === 'user' || forThisSession);
+    if (!proven && !newGuest) {
+        return sendError(res, 'IDENTITY_REQUIRED', 'Connect Spotify or use your token for this session to join as that user');
+    }
+
+    if (isBanned(session, userId)) {
+        return sendError(res, 'BANNED', 'You have been banned from this session');
+    }
+    const role = roleOf(session, userId);
+
+    // Newcomers get past the session's access mode first (lib/access.js); people coming
+    // back with proof of who they are don't. Attempts, and new guests, count against the
+    // join rate limit, so nobody can mint guests to get fresh vote and request budgets.
+    const returning = proven && (role !== 'participant' || Boolean(findMember(session, userId)));
+    const mode = accessModeOf(session);
+    if (!returning && (mode !== 'open' || newGuest)) {
+        const limited = limitAction(session, 'join', { userId, username }, req.ip);
+        if (limited) {
+            res.set('Retry-After', String(limited.retryAfter));
+            return res.status(ERROR_STATUS.RATE_LIMITED).json(limited);
+        }
+    }
+    // New guests are the only way in without a Spotify login (any other user id needs
+    // the proof checked above), so a made-up user id can't get round these caps
+    if (newGuest) {
+        const { maxGuests } = { ...DEFAULT_SETTINGS, ...session.settings };
+        if (!maxGuests) {
+            return sendError(res, 'GUESTS_NOT_ALLOWED', 'Connect Spotify to join this session');
+        }
+        if (guestCount(session) >= maxGuests) {
+            return sendError(res, 'GUESTS_FULL', 'This session has no room for more guests');
+        }
+    }
+    if (!returning && mode !== 'open') {
+        if (mode === 'passcode' && !passcode) {
+            return sendError(res, 'PASSCODE_REQUIRED', 'This session needs a passcode');
+        }
+        if (mode === 'passcode' && !checkPasscode(session, passcode)) {
+            return sendError(res, 'PASSCODE_INVALID', 'That passcode is not right');
+        }
+        if (mode === 'approval') {
+            if (newGuest) rememberGuestIp(session, userId, req.ip);
+            const entry = addToLobby(session, { userId, username });
+            if (!entry) return sendError(res, 'LOBBY_FULL', 'Too many people are waiting to join; try again later');
+            broadcast(session, 'lobbyUpdate', { lobby: session.lobby });
+            const lobbyToken = tokens.issue({ kind: 'lobby', sessionId, userId, username });
+            return res.status(202).json({ pending: true, lobbyToken, position: session.lobby.indexOf(entry) + 1 });
+        }
     }
 
     const existingParticipant = session.participants.find(p => p.userId === userId);
 
+    if (newGuest) rememberGuestIp(session, userId, req.ip);
     if (!existingParticipant) {
         session.participants.push({
             username,
@@ -149,257 +1098,445 @@ app.post('/api/session/join', (req, res) => {
             joinedAt: new Date()
         });
     }
+    touchSession(session);
+    store.saveSession(session);
 
-    res.json({ session });
+    const token = tokens.issue({ sessionId, userId, username, role });
+
+    const participant = isGuestId(userId) ? { userId, username, role, guest: true } : { userId, username, role };
+    res.json({ session: sessionView(session), token, participant });
+});
+
+// Look up the session a join code belongs to ({ sessionId, joinCode, name, access, joinUrl });
+// codes are case-insensitive and may have spaces or dashes
+app.get('/api/join/:code', (req, res) => {
+  const joinCode = normalizeJoinCode(req.params.code);
+  const session = joinCode && store.getSessionByCode(joinCode);
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND', 'No session with that join code');
+  res.json({
+    sessionId: session.id,
+    joinCode,
+    name: session.name,
+    access: accessModeOf(session), // so the join form knows to ask for a passcode
+    joinUrl: joinUrl(req, joinCode)
+  });
+});
+
+// QR code (SVG) of the join code's deep link, for the DJ to put up on a screen
+app.get('/api/join/:code/qr', async (req, res, next) => {
+  const joinCode = normalizeJoinCode(req.params.code);
+  if (!joinCode || !store.getSessionByCode(joinCode)) {
+    return sendError(res, 'SESSION_NOT_FOUND', 'No session with that join code');
+  }
+  try {
+    const svg = await QRCode.toString(joinUrl(req, joinCode), { type: 'svg', margin: 1 });
+    res.type('image/svg+xml').send(svg);
+  } catch (error) {
+    next(error);
+  }
 });
 
 // Get session info
 app.get('/api/session/:sessionId', (req, res) => {
   const { sessionId } = req.params;
-  const session = activeSessions.get(sessionId);
+  const session = store.getSession(sessionId);
 
   if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
+    return sendError(res, ...missingSessionError(sessionId));
   }
 
   res.json({
     session: {
-      ...session,
+      ...sessionView(session),
       songsPlayed: session.songsPlayed || 0 // Ensure it's always a number
     }
   });
 });
 
-// Vote for a song
-app.post('/api/session/:sessionId/vote', (req, res) => {
-  const { sessionId } = req.params;
-  const { songId, username, voteType } = req.body; // voteType: 'up' or 'down'
-
-  const session = activeSessions.get(sessionId);
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
-  }
-
-  const song = session.queue.find(s => s.id === songId);
-  if (!song) {
-    return res.status(404).json({ error: 'Song not found' });
-  }
+// What's left of an ended session: a summary and everything it played
+app.get('/api/session/:sessionId/archive', (req, res) => {
+  const archive = store.getArchive(req.params.sessionId);
+  if (!archive) return sendError(res, 'SESSION_NOT_FOUND', 'No ended session with that id');
+  res.json({ archive });
+});
 
-  // Initialize vote tracking for this song if not exists
-  if (!songVotes.has(songId)) {
-    songVotes.set(songId, new Map());
-  }
+// Vote for a queue entry
+app.post('/api/session/:sessionId/vote', requireParticipant(), commandRoute('vote'));
 
-  const songVoteMap = songVotes.get(songId);
-  const userVote = songVoteMap.get(username);
-
-  // Handle vote logic
-  if (voteType === 'up') {
-    if (userVote === 'up') {
-      // Remove upvote
-      songVoteMap.delete(username);
-      song.votes--;
-    } else if (userVote === 'down') {
-      // Change downvote to upvote
-      songVoteMap.set(username, 'up');
-      song.votes += 2;
-    } else {
-      // Add upvote
-      songVoteMap.set(username, 'up');
-      song.votes++;
-    }
-  } else if (voteType === 'down') {
-    if (userVote === 'down') {
-      // Remove downvote
-      songVoteMap.delete(username);
-      song.votes++;
-    } else if (userVote === 'up') {
-      // Change upvote to downvote
-      songVoteMap.set(username, 'down');
-      song.votes -= 2;
-    } else {
-      // Add downvote
-      songVoteMap.set(username, 'down');
-      song.votes--;
-    }
-  }
+// Who is in the session right now, plus everyone seen earlier as offline
+app.get('/api/session/:sessionId/presence', (req, res) => {
+  const { sessionId } = req.params;
+  if (!store.getSession(sessionId)) return sendError(res, 'SESSION_NOT_FOUND', 'Session not found');
+  res.json({ presence: presence.list(sessionId), counts: presence.counts(sessionId) });
+});
 
-  // Emit real-time update to all connected clients
-  io.to(sessionId).emit('voteUpdate', {
-    songId,
-    votes: song.votes,
-    userVotes: Object.fromEntries(songVoteMap)
+// Everything moderators have done in the session, who is banned or muted now, and
+// possible abuse to look at (lib/abuse.js)
+app.get('/api/session/:sessionId/moderation', requireParticipant('moderate'), (req, res) => {
+  const session = store.getSession(req.params.sessionId);
+  res.json({
+    log: session.moderationLog || [],
+    bans: bansView(session),
+    mutes: session.mutes || {},
+    flags: session.abuseFlags || []
   });
+});
 
-  res.json({ success: true, song });
+// Vote history for a queue entry, with the tally replayed from the ledger. It says who
+// voted which way, so only moderators get it.
+app.get('/api/session/:sessionId/votes/:entryId', requireParticipant('moderate'), (req, res) => {
+  const { sessionId, entryId } = req.params;
+  const session = store.getSession(sessionId);
+  const events = (session.voteLedger || {})[entryId] || [];
+  res.json({ entryId, events, ...tallyVotes(events) });
 });
 
 // Search for songs to add to queue
-app.get('/api/search', async (req, res) => {
+// Searches run on the session DJ's Spotify login, so participants don't need their own
+app.get('/api/search', requireParticipant(), validateQuery(schemas.search), rateLimit('search'), async (req, res) => {
   try {
-    const { query, accessToken } = req.query;
+    const { query, sessionId } = req.query;
 
-    if (!accessToken) {
-      return res.status(401).json({ error: 'Access token required' });
+    const session = store.getSession(sessionId);
+    if (!session) {
+      return sendError(res, 'SESSION_NOT_FOUND', 'Session not found');
     }
 
-    spotifyApi.setAccessToken(accessToken);
-
-    const results = await spotifyApi.searchTracks(query, { limit: 10 });
+    const client = await getSessionClient(session);
+    if (!client) {
+      return sendError(res, 'DJ_LOGIN_EXPIRED', 'DJ needs to reconnect Spotify');
+    }
 
-    const tracks = results.body.tracks.items.map(track => ({
-      id: track.id,
-      name: track.name,
-      artist: track.artists[0].name,
-      album: track.album.name,
-      duration: track.duration_ms,
-      uri: track.uri,
-      albumArt: track.album.images[0]?.url
-    }));
+    const tracks = await client.search(query, { limit: 10 });
 
     res.json({ tracks });
   } catch (error) {
     console.error('Error searching tracks:', error);
-    res.status(500).json({ error: 'Search failed' });
+    sendError(res, 'PROVIDER_ERROR', 'Search failed');
   }
 });
 
 // Add song to queue
-app.post('/api/session/:sessionId/add-song', (req, res) => {
-  const { sessionId } = req.params;
-  const { song } = req.body;
+app.post('/api/session/:sessionId/add-song', requireParticipant(), commandRoute('addSong'));
 
-  const session = activeSessions.get(sessionId);
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
-  }
+// Play next song (highest voted, or { entryId })
+app.post('/api/session/:sessionId/play-next', requireParticipant(), commandRoute('playNext'));
 
-  // Add song to queue with 0 votes
-  const newSong = {
-    ...song,
-    votes: 0
-  };
+// Make someone a co-DJ, moderator or participant ({ userId, role })
+app.post('/api/session/:sessionId/set-role', requireParticipant(), commandRoute('setRole'));
+
+// DJ hands the DJ role to someone else ({ userId })
+app.post('/api/session/:sessionId/transfer-dj', requireParticipant(), commandRoute('transferDj'));
+
+// Kick, ban or mute someone ({ action, userId, rights?, reason? })
+app.post('/api/session/:sessionId/moderate', requireParticipant(), commandRoute('moderate'));
+
+// DJ pauses or resumes the session ({ paused })
+app.post('/api/session/:sessionId/pause', requireParticipant(), commandRoute('pauseSession'));
 
-  session.queue.push(newSong);
+// DJ ends the session for everyone
+app.post('/api/session/:sessionId/end', requireParticipant(), commandRoute('endSession'));
 
-  // Emit real-time update
-  io.to(sessionId).emit('queueUpdate', { queue: session.queue });
+// Who may join: { mode: 'open' | 'passcode' | 'approval', passcode? }
+app.post('/api/session/:sessionId/access', requireParticipant(), commandRoute('setAccess'));
 
-  res.json({ success: true, song: newSong });
+// Let someone waiting in the lobby in, or turn them away ({ userId })
+app.post('/api/session/:sessionId/admit', requireParticipant(), commandRoute('admitJoiner'));
+app.post('/api/session/:sessionId/turn-away', requireParticipant(), commandRoute('denyJoiner'));
+
+// Everything played in the session so far, oldest first
+app.get('/api/session/:sessionId/history', (req, res) => {
+  const { sessionId } = req.params;
+  const session = store.getSession(sessionId);
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND', 'Session not found');
+  res.json({ history: session.history || [] });
 });
 
-// Play next song (highest voted)
-app.post('/api/session/:sessionId/play-next', async (req, res) => {
+// Download the play history as ?format=csv or ?format=json
+app.get('/api/session/:sessionId/history/export', validateQuery(schemas.historyExport), (req, res) => {
   const { sessionId } = req.params;
-  const { accessToken } = req.body;
+  const { format } = req.query;
+  const session = store.getSession(sessionId);
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND', 'Session not found');
 
-  const session = activeSessions.get(sessionId);
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
+  const history = session.history || [];
+  const filename = `${session.name.replace(/[^\w-]+/g, '_')}-history.${format}`;
+  res.attachment(filename);
+  if (format === 'csv') {
+    res.type('text/csv').send(historyToCsv(history));
+  } else {
+    res.json({ session: { id: session.id, name: session.name }, history });
   }
+});
 
-  // Sort queue by votes (highest first)
-  session.queue.sort((a, b) => b.votes - a.votes);
+// Saves the played tracks (source: 'history') or the current queue (source: 'queue')
+// to a Spotify playlist. Each source keeps its playlist, so saving again updates it.
+app.post('/api/session/:sessionId/save-playlist', requireParticipant('savePlaylists'), validateBody(schemas.savePlaylist), async (req, res) => {
+  const { sessionId } = req.params;
+  const { source } = req.body;
+  const session = store.getSession(sessionId);
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND', 'Session not found');
 
-  const nextSong = session.queue[0];
-  if (!nextSong) {
-    return res.status(400).json({ error: 'No songs in queue' });
+  const uris = playlistUris(source === 'history' ? session.history || [] : session.queue);
+  if (!uris.length) {
+    return sendError(res, 'NOTHING_TO_SAVE', source === 'history' ? 'Nothing has been played yet' : 'No songs in queue');
   }
 
   try {
-    spotifyApi.setAccessToken(accessToken);
-    await spotifyApi.play({ uris: [nextSong.uri] });
-
-    // Remove song from queue
-    session.queue.shift();
-    session.currentSong = nextSong;
-    session.songsPlayed = (session.songsPlayed || 0) + 1; // Increment counter
-
-    // Emit real-time update
-    io.to(sessionId).emit('songPlayed', {
-      currentSong: nextSong,
-      queue: session.queue,
-      songsPlayed: session.songsPlayed // Include in broadcast
-    });
+    const client = await getSessionClient(session);
+    if (!client) {
+      return sendError(res, 'DJ_LOGIN_EXPIRED', 'DJ needs to reconnect Spotify');
+    }
 
-    res.json({
-      success: true,
-      currentSong: nextSong,
-      songsPlayed: session.songsPlayed
+    if (!session.savedPlaylists) session.savedPlaylists = {};
+    const date = new Date(session.createdAt).toLocaleDateString();
+    const playlist = await client.savePlaylist({
+      playlistId: session.savedPlaylists[source],
+      name: source === 'history' ? `${session.name} (${date})` : `${session.name} - Up Next`,
+      description: source === 'history'
+        ? 'Everything played at this jam, in order. Saved from CTRL THE AUX.'
+        : 'The queue at this jam, in play order. Saved from CTRL THE AUX.',
+      uris
     });
+
+    session.savedPlaylists[source] = playlist.playlistId;
+    store.saveSession(session);
+    res.json({ success: true, ...playlist });
   } catch (error) {
-    console.error('Error playing song:', error);
-    res.status(500).json({ error: 'Failed to play song' });
+    console.error('Error saving playlist:', error);
+    sendError(res, 'PROVIDER_ERROR', 'Failed to save playlist');
   }
 });
 
-// User submits a song request
-app.post('/api/session/:sessionId/request-song', (req, res) => {
+// DJ (or whoever may changeSettings) changes session settings (e.g. { autoAdvance: false })
+app.post('/api/session/:sessionId/settings', requireParticipant('changeSettings'), validateBody(schemas.settings), (req, res) => {
   const { sessionId } = req.params;
-  const { song, requestedBy } = req.body; // song: { id, name, artist, uri }, requestedBy: { username, userId }
-  const session = activeSessions.get(sessionId);
-  if (!session) return res.status(404).json({ error: 'Session not found' });
-  session.pendingRequests.push({ ...song, requestedBy });
-  // Notify DJ only of new request
-  io.to(sessionId).emit('pendingRequestsUpdate', { pendingRequests: session.pendingRequests });
+  const session = store.getSession(sessionId);
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND', 'Session not found');
 
-  // Emit toast popup to DJ
-  io.to(sessionId).emit('newSongRequest', { ...song, requestedBy, sessionId });
+  const { settings, error, field } = applySettings(session.settings, req.body);
+  if (error) return sendError(res, 'VALIDATION_FAILED', error, [{ field, message: error }]);
 
-  res.json({ success: true });
+  session.settings = settings;
+  reorderQueue(session);
+  broadcast(session, 'settingsUpdate', { settings });
+  broadcast(session, 'queueUpdate', { queue: session.queue });
+  res.json({ success: true, settings });
 });
 
+// User submits a song request
+app.post('/api/session/:sessionId/request-song', requireParticipant(), commandRoute('requestSong'));
+
 // DJ fetches pending requests
 app.get('/api/session/:sessionId/pending-requests', (req, res) => {
   const { sessionId } = req.params;
-  const session = activeSessions.get(sessionId);
-  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const session = store.getSession(sessionId);
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND', 'Session not found');
   res.json({ pendingRequests: session.pendingRequests });
 });
 
 // DJ approves a song request
-app.post('/api/session/:sessionId/approve-request', (req, res) => {
-  const { sessionId } = req.params;
-  const { songId, userId } = req.body; // userId: DJ's userId
-  const session = activeSessions.get(sessionId);
-  if (!session) return res.status(404).json({ error: 'Session not found' });
-  if (session.dj.userId !== userId) return res.status(403).json({ error: 'Only DJ can approve requests' });
-  const idx = session.pendingRequests.findIndex(s => s.id === songId);
-  if (idx === -1) return res.status(404).json({ error: 'Request not found' });
-  const song = session.pendingRequests.splice(idx, 1)[0];
-  session.queue.push({ ...song, votes: 0 });
-  io.to(sessionId).emit('queueUpdate', { queue: session.queue });
-  io.to(sessionId).emit('pendingRequestsUpdate', { pendingRequests: session.pendingRequests });
-  res.json({ success: true });
-});
+app.post('/api/session/:sessionId/approve-request', requireParticipant(), commandRoute('approveRequest'));
 
 // DJ denies a song request
-app.post('/api/session/:sessionId/deny-request', (req, res) => {
-  const { sessionId } = req.params;
-  const { songId, userId } = req.body; // userId: DJ's userId
-  const session = activeSessions.get(sessionId);
-  if (!session) return res.status(404).json({ error: 'Session not found' });
-  if (session.dj.userId !== userId) return res.status(403).json({ error: 'Only DJ can deny requests' });
-  session.pendingRequests = session.pendingRequests.filter(s => s.id !== songId);
-  io.to(sessionId).emit('pendingRequestsUpdate', { pendingRequests: session.pendingRequests });
-  res.json({ success: true });
+app.post('/api/session/:sessionId/deny-request', requireParticipant(), commandRoute('denyRequest'));
+
+// Deep link from a QR code or shared link: the app opens the join flow with the code filled in
+app.get('/join/:code', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Unknown API routes and errors no route handled get the same envelope as everything else
+app.use('/api', (req, res) => {
+  sendError(res, 'NOT_FOUND', `No such endpoint: ${req.method} ${req.originalUrl.split('?')[0]}`);
+});
+
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+  console.error('Unhandled error:', error);
+  sendError(res, 'INTERNAL_ERROR', 'Something went wrong');
 });
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
-  socket.on('joinSession', (sessionId) => {
+  // Clients join a session room with the token they got from create/join. A client
+  // coming back after a drop sends the last revision it saw (sinceRevision) and the
+  // ack carries what it missed, as from resync below.
+  socket.on('joinSession', (payload, ack) => {
+    const { sessionId, token, sinceRevision } = payload || {};
+    if (typeof ack !== 'function') ack = () => {};
+
+    const claims = tokens.verify(token);
+    if (!claims || claims.kind || claims.sessionId !== sessionId) {
+      return ack(errorBody('TOKEN_INVALID', 'Invalid or expired participant token'));
+    }
+    const session = store.getSession(sessionId);
+    if (!session) {
+      return ack(errorBody(...missingSessionError(sessionId)));
+    }
+    const standing = standingError(session, claims.userId);
+    if (standing) {
+      return ack(errorBody(...standing));
+    }
+    touchSession(session);
+
+    const role = roleOf(session, claims.userId);
+    socket.data.participant = claims;
     socket.join(sessionId);
-    console.log(`User ${socket.id} joined session ${sessionId}`);
+    presence.connect(sessionId, { ...claims, role }, socket.id);
+    console.log(`User ${claims.username} (${socket.id}) joined session ${sessionId}`);
+    const reply = { success: true, role, presence: presence.list(sessionId), mutedFrom: mutedFrom(session, claims.userId) };
+    if (sinceRevision !== undefined) {
+      reply.resync = resyncBody(session, sinceRevision);
+    }
+    ack(reply);
+  });
+
+  // Someone in the lobby waits here for their answer: { sessionId, token } with the
+  // lobbyToken from join. They get lobbyAdmitted (then join again with that token) or
+  // lobbyDenied. If the answer came while they were away, the ack has it.
+  socket.on('waitInLobby', (payload, ack) => {
+    const { sessionId, token } = payload || {};
+    if (typeof ack !== 'function') ack = () => {};
+
+    const claims = tokens.verify(token);
+    if (!claims || claims.kind !== 'lobby' || claims.sessionId !== sessionId) {
+      return ack(errorBody('TOKEN_INVALID', 'Invalid or expired lobby token'));
+    }
+    const session = store.getSession(sessionId);
+    if (!session) {
+      return ack(errorBody(...missingSessionError(sessionId)));
+    }
+    if (findMember(session, claims.userId)) {
+      return ack({ success: true, admitted: true });
+    }
+    const position = (session.lobby || []).findIndex(entry => entry.userId === claims.userId) + 1;
+    if (!position) {
+      return ack(errorBody('JOINER_NOT_FOUND', 'You were not let in; you can ask again'));
+    }
+    socket.data.lobby = claims;
+    ack({ success: true, admitted: false, position });
+  });
+
+  // Catch up on missed state changes: { sinceRevision } acks { revision, events } with
+  // the missed broadcasts in order, or { revision, snapshot } with the whole session.
+  // Clients ask when a broadcast's revision skips ahead of the one they have.
+  socket.on('resync', (payload, ack) => {
+    if (typeof payload === 'function') {
+      ack = payload;
+      payload = {};
+    }
+    if (typeof ack !== 'function') return;
+
+    const participant = socket.data.participant;
+    if (!participant) return ack(errorBody('TOKEN_REQUIRED', 'Join a session first'));
+    const { value, errors } = validate(schemas.resync, payload === undefined || payload === null ? {} : payload);
+    if (errors) return ack(validationErrorBody(errors));
+
+    const session = store.getSession(participant.sessionId);
+    if (!session) return ack(errorBody('SESSION_NOT_FOUND', 'Session not found'));
+    ack({ success: true, ...resyncBody(session, value.sinceRevision) });
+  });
+
+  // Clients report activity and tab visibility ({ hidden }) so presence can tell online from idle
+  socket.on('presence', (state) => {
+    presence.touch(socket.id, { hidden: Boolean(state && state.hidden) });
+  });
+
+  // The DJ's Web Playback SDK reports track progress so auto-advance can react right away
+  socket.on('playbackState', (state) => {
+    const participant = socket.data.participant;
+    const session = participant && store.getSession(participant.sessionId);
+    if (!session || roleOf(session, participant.userId) !== 'dj' || !state) return;
+    scheduler.reportState(participant.sessionId, {
+      trackUri: state.trackUri,
+      progressMs: Number(state.progressMs) || 0,
+      durationMs: Number(state.durationMs) || 0,
+      isPlaying: Boolean(state.isPlaying)
+    });
+  });
+
+  // Session commands as socket events, e.g. socket.emit('vote', { entryId, voteType }, ack).
+  // The ack gets the same body as the REST route; without an ack, failures arrive
+  // as a commandError event instead.
+  Object.keys(commands).forEach(name => {
+    socket.on(name, async (payload, ack) => {
+      if (typeof payload === 'function') {
+        ack = payload;
+        payload = {};
+      }
+      const reply = body => {
+        if (typeof ack === 'function') ack(body);
+        else if (body.error) socket.emit('commandError', { command: name, ...body });
+      };
+
+      const participant = socket.data.participant;
+      if (!participant) return reply(errorBody('TOKEN_REQUIRED', 'Join a session first'));
+      presence.touch(socket.id);
+      try {
+        const outcome = await runCommand(name, participant, payload, { ip: socket.handshake.address });
+        reply(outcome.error || { success: true, ...outcome.reply });
+      } catch (error) {
+        console.error(`Error running ${name}:`, error);
+        reply(errorBody('INTERNAL_ERROR', 'Something went wrong'));
+      }
+    });
   });
 
   socket.on('disconnect', () => {
+    presence.disconnect(socket.id);
     console.log('User disconnected:', socket.id);
   });
 });
 
-const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Restore stored sessions and start listening. Tests require this file and
+// drive app/server on their own port instead.
+function start(port = process.env.PORT || 3001) {
+  const restoredSessions = store.load();
+  if (restoredSessions) {
+    console.log(`Restored ${restoredSessions} session(s) from storage`);
+  }
+  // Sessions saved before join codes existed get one now
+  store.listSessions().filter(session => !session.joinCode).forEach(session => {
+    session.joinCode = newJoinCode();
+    store.saveSession(session);
+  });
+  store.listSessions()
+    .filter(session => statusOf(session) === 'active')
+    .forEach(session => scheduler.start(session.id));
+
+  // The file store writes changes in batches; get the last batch out before going down
+  // (nodemon restarts with SIGUSR2)
+  process.on('exit', () => store.flush());
+  ['SIGINT', 'SIGTERM', 'SIGUSR2'].forEach(signal => process.once(signal, () => process.exit(0)));
+
+  server.listen(port, () => {
+    console.log(`Server running on port ${port}`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = {
+  app,
+  server,
+  io,
+  store,
+  scheduler,
+  presence,
+  rateLimiter,
+  provider,
+  promoteAwayDjs,
+  sweepSessions,
+  start
+};
\ No newline at end of file
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ERROR_STATUS } = require('../lib/errors');
+const { startServer, send, nextEvent } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+async function setup(name, access) {
+  const created = await harness.createSession(name);
+  const dj = await harness.connect(created.sessionId, created.token);
+  if (access) await send(dj, 'setAccess', access);
+  return { sessionId: created.sessionId, djToken: created.token, authToken: created.authToken, dj };
+}
+
+test('passcode sessions let in only people with the passcode', async () => {
+  const { sessionId, dj } = await setup('keeper');
+  assert.strictEqual((await send(dj, 'setAccess', { mode: 'passcode' })).code, 'VALIDATION_FAILED');
+
+  const announced = nextEvent(dj, 'accessUpdate');
+  assert.strictEqual((await send(dj, 'setAccess', { mode: 'passcode', passcode: 'letmein' })).success, true);
+  assert.deepStrictEqual((await announced).access, { mode: 'passcode', hasPasscode: true });
+
+  const missing = await harness.join(sessionId, 'keeper-guest');
+  assert.strictEqual(missing.status, ERROR_STATUS.PASSCODE_REQUIRED);
+  assert.strictEqual(missing.body.code, 'PASSCODE_REQUIRED');
+  const wrong = await harness.join(sessionId, 'keeper-guest', { passcode: 'open sesame' });
+  assert.strictEqual(wrong.status, ERROR_STATUS.PASSCODE_INVALID);
+  assert.strictEqual(wrong.body.code, 'PASSCODE_INVALID');
+  const right = await harness.join(sessionId, 'keeper-guest', { passcode: 'letmein' });
+  assert.strictEqual(right.status, 200);
+
+  // Coming back with their token doesn't need the passcode again
+  assert.strictEqual((await harness.join(sessionId, 'keeper-guest', { token: right.body.token })).status, 200);
+
+  // The passcode never leaves the server
+  const { text } = await harness.request('GET', `/api/session/${sessionId}`);
+  assert.ok(!text.includes('salt') && !text.includes('hash'), text);
+  assert.deepStrictEqual(JSON.parse(text).session.access, { mode: 'passcode', hasPasscode: true });
+
+  // Changing modes keeps the passcode until a new one is set
+  await send(dj, 'setAccess', { mode: 'open' });
+  await send(dj, 'setAccess', { mode: 'passcode' });
+  assert.strictEqual((await harness.join(sessionId, 'keeper-late', { passcode: 'letmein' })).status, 200);
+});
+
+test('passcode guesses count against the join rate limit', async () => {
+  const { sessionId, djToken } = await setup('lockout', { mode: 'passcode', passcode: 'hunter2' });
+  await harness.request('POST', `/api/session/${sessionId}/settings`, { token: djToken, body: { rateLimits: { join: { participant: 2, ip: 100 } } } });
+
+  assert.strictEqual((await harness.join(sessionId, 'guesser', { passcode: 'a' })).status, 403);
+  assert.strictEqual((await harness.join(sessionId, 'guesser', { passcode: 'b' })).status, 403);
+  const limited = await harness.join(sessionId, 'guesser', { passcode: 'hunter2' });
+  assert.strictEqual(limited.status, 429);
+  assert.ok(limited.headers.get('retry-after'));
+});
+
+test('approval sessions keep newcomers in the lobby until they are let in', async () => {
+  const { sessionId, dj } = await setup('bouncer', { mode: 'approval' });
+
+  const queued = nextEvent(dj, 'lobbyUpdate');
+  const knock = await harness.join(sessionId, 'bouncer-guest');
+  assert.strictEqual(knock.status, 202);
+  assert.deepStrictEqual([knock.body.pending, knock.body.position], [true, 1]);
+  assert.deepStrictEqual((await queued).lobby.map(entry => entry.userId), ['bouncer-guest']);
+
+  // The lobby token is no participant token
+  const early = await harness.request('POST', `/api/session/${sessionId}/request-song`, { token: knock.body.lobbyToken, body: {} });
+  assert.strictEqual(early.body.code, 'TOKEN_INVALID');
+  await assert.rejects(harness.connect(sessionId, knock.body.lobbyToken), { code: 'TOKEN_INVALID' });
+
+  const { socket, ack } = await harness.waitInLobby(sessionId, knock.body.lobbyToken);
+  assert.deepStrictEqual(ack, { success: true, admitted: false, position: 1 });
+
+  const admitted = nextEvent(socket, 'lobbyAdmitted');
+  const emptied = nextEvent(dj, 'lobbyUpdate');
+  assert.strictEqual((await send(dj, 'admitJoiner', { userId: 'bouncer-guest' })).success, true);
+  assert.deepStrictEqual(await admitted, { sessionId });
+  assert.deepStrictEqual((await emptied).lobby, []);
+
+  const joined = await harness.join(sessionId, 'bouncer-guest', { token: knock.body.lobbyToken });
+  assert.strictEqual(joined.status, 200);
+  assert.strictEqual(joined.body.participant.role, 'participant');
+  await harness.connect(sessionId, joined.body.token);
+
+  // Someone else can't claim the same user id
+  const impostor = await harness.request('POST', '/api/session/join', { body: { sessionId, userId: 'bouncer-guest', username: 'bouncer-guest' } });
+  assert.strictEqual(impostor.body.code, 'IDENTITY_REQUIRED');
+});
+
+test('turned-away joiners hear about it and can ask again', async () => {
+  const { sessionId, dj } = await setup('doorman', { mode: 'approval' });
+  const knock = await harness.join(sessionId, 'doorman-guest');
+  const { socket } = await harness.waitInLobby(sessionId, knock.body.lobbyToken);
+
+  const denied = nextEvent(socket, 'lobbyDenied');
+  assert.strictEqual((await send(dj, 'denyJoiner', { userId: 'doorman-guest' })).success, true);
+  assert.deepStrictEqual(await denied, { sessionId });
+  assert.strictEqual((await send(dj, 'denyJoiner', { userId: 'doorman-guest' })).code, 'JOINER_NOT_FOUND');
+
+  const { ack } = await harness.waitInLobby(sessionId, knock.body.lobbyToken);
+  assert.strictEqual(ack.code, 'JOINER_NOT_FOUND');
+  assert.strictEqual((await harness.join(sessionId, 'doorman-guest')).status, 202);
+});
+
+test('only people who may admit joiners decide, and the DJ never waits', async () => {
+  const { sessionId, authToken, dj } = await setup('gatekeeper');
+  const guest = await harness.joinSession(sessionId, 'gatekeeper-mod');
+  const guestSocket = await harness.connect(sessionId, guest.token);
+  await send(dj, 'setAccess', { mode: 'approval' });
+
+  await harness.join(sessionId, 'gatekeeper-guest');
+  assert.strictEqual((await send(guestSocket, 'admitJoiner', { userId: 'gatekeeper-guest' })).code, 'ROLE_FORBIDDEN');
+  await send(dj, 'setRole', { userId: 'gatekeeper-mod', role: 'moderator' });
+  assert.strictEqual((await send(guestSocket, 'admitJoiner', { userId: 'gatekeeper-guest' })).success, true);
+
+  assert.strictEqual((await harness.join(sessionId, 'gatekeeper', { token: authToken })).status, 200);
+});
+
+test('opening the session up lets everyone waiting in', async () => {
+  const { sessionId, dj } = await setup('opener', { mode: 'approval' });
+  const first = await harness.join(sessionId, 'opener-a');
+  await harness.join(sessionId, 'opener-b');
+  const { socket } = await harness.waitInLobby(sessionId, first.body.lobbyToken);
+
+  const admitted = nextEvent(socket, 'lobbyAdmitted');
+  await send(dj, 'setAccess', { mode: 'open' });
+  await admitted;
+
+  const { body } = await harness.request('GET', `/api/session/${sessionId}`);
+  assert.deepStrictEqual(body.session.lobby, []);
+  assert.deepStrictEqual(body.session.participants.map(p => p.userId), ['opener-a', 'opener-b']);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { io: connectSocket } = require('socket.io-client');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { startServer, send, nextEvent } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+test('add, vote and play over the socket, with acks and broadcasts', async () => {
+  const { dj, guest } = await harness.setupSession('socketeer');
+
+  const queued = nextEvent(guest, 'queueUpdate');
+  const added = await send(dj, 'addSong', { song: tracks[0] });
+  assert.strictEqual(added.success, true);
+  assert.strictEqual(added.merged, false);
+  const { entryId } = added.song;
+  assert.deepStrictEqual((await queued).queue.map(entry => entry.entryId), [entryId]);
+
+  const voted = nextEvent(dj, 'voteUpdate');
+  const vote = await send(guest, 'vote', { entryId, voteType: 'up' });
+  assert.strictEqual(vote.success, true);
+  assert.strictEqual(vote.song.votes, 1);
+  assert.strictEqual((await voted).votes, 1);
+
+  const played = nextEvent(guest, 'songPlayed');
+  const play = await send(dj, 'playNext', {});
+  assert.strictEqual(play.success, true);
+  assert.strictEqual(play.currentSong.entryId, entryId);
+  assert.strictEqual((await played).songsPlayed, 1);
+  assert.strictEqual(harness.provider.getPlayer('socketeer').current.uri, tracks[0].uri);
+});
+
+test('request, approve and deny over the socket', async () => {
+  const { dj, guest } = await harness.setupSession('asker');
+
+  const toast = nextEvent(dj, 'newSongRequest');
+  assert.strictEqual((await send(guest, 'requestSong', { song: tracks[1] })).success, true);
+  assert.strictEqual((await toast).id, tracks[1].id);
+  await send(guest, 'requestSong', { song: tracks[2] });
+
+  const queued = nextEvent(guest, 'queueUpdate');
+  const approved = await send(dj, 'approveRequest', { songId: tracks[1].id });
+  assert.deepStrictEqual(approved, { success: true, merged: false });
+  assert.strictEqual((await queued).queue[0].addedBy.userId, 'asker-guest');
+
+  const pending = nextEvent(guest, 'pendingRequestsUpdate');
+  assert.deepStrictEqual(await send(dj, 'denyRequest', { songId: tracks[2].id }), { success: true });
+  assert.deepStrictEqual((await pending).pendingRequests, []);
+});
+
+test('a track already playing on the DJ\'s Web Player is recorded without starting it again', async () => {
+  const { dj, guest } = await harness.setupSession('webplayer');
+  const first = await send(dj, 'addSong', { song: tracks[3] });
+  const second = await send(dj, 'addSong', { song: tracks[4] });
+
+  const played = nextEvent(guest, 'songPlayed');
+  const play = await send(dj, 'playNext', { entryId: second.song.entryId, startPlayback: false });
+  assert.strictEqual(play.currentSong.entryId, second.song.entryId);
+  assert.deepStrictEqual((await played).queue.map(entry => entry.entryId), [first.song.entryId]);
+  assert.strictEqual(harness.provider.getPlayer('webplayer').current, null);
+
+  const missing = await send(dj, 'playNext', { entryId: second.song.entryId });
+  assert.strictEqual(missing.code, 'ENTRY_NOT_FOUND');
+});
+
+test('socket commands fail with the same envelope as REST', async () => {
+  const { sessionId, djToken, dj, guest } = await harness.setupSession('refuser');
+
+  const forbidden = await send(guest, 'addSong', { song: tracks[5] });
+  const rest = await harness.request('POST', `/api/session/${sessionId}/vote`, { token: djToken, body: { entryId: 'nope', voteType: 'up' } });
+  assert.deepStrictEqual(forbidden, { error: 'Your role in this session cannot do that', code: 'ROLE_FORBIDDEN' });
+  assert.deepStrictEqual(await send(dj, 'vote', { entryId: 'nope', voteType: 'up' }), rest.body);
+
+  const invalid = await send(dj, 'vote', { voteType: 'sideways' });
+  assert.strictEqual(invalid.code, 'VALIDATION_FAILED');
+  assert.deepStrictEqual(invalid.details.map(detail => detail.field), ['entryId', 'voteType']);
+
+  assert.strictEqual((await send(dj, 'playNext')).code, 'QUEUE_EMPTY');
+});
+
+test('commands need a joined session', async () => {
+  const socket = connectSocket(harness.baseUrl, { transports: ['websocket'], forceNew: true });
+  try {
+    const reply = await send(socket, 'vote', { entryId: 'x', voteType: 'up' });
+    assert.strictEqual(reply.code, 'TOKEN_REQUIRED');
+  } finally {
+    socket.disconnect();
+  }
+});
+
+test('without an ack, failures arrive as commandError', async () => {
+  const { guest } = await harness.setupSession('fire-and-forget');
+  const failed = nextEvent(guest, 'commandError');
+  guest.emit('denyRequest', { songId: tracks[0].id });
+  assert.deepStrictEqual(await failed, {
+    command: 'denyRequest',
+    error: 'Your role in this session cannot do that',
+    code: 'ROLE_FORBIDDEN'
+  });
+});
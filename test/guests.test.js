@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { pickSuccessor } = require('../lib/roles');
+const { ERROR_STATUS } = require('../lib/errors');
+const { startServer, send } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+test('guests get an id from the server and search, vote and request on the DJ login', async () => {
+  const { sessionId, token: djToken } = await harness.createSession('host');
+  const dj = await harness.connect(sessionId, djToken);
+
+  const { status, body } = await harness.joinAsGuest(sessionId, 'Sam');
+  assert.strictEqual(status, 200);
+  assert.match(body.participant.userId, /^guest-[0-9a-f-]{36}$/);
+  assert.deepStrictEqual([body.participant.username, body.participant.role, body.participant.guest], ['Sam', 'participant', true]);
+  const guest = await harness.connect(sessionId, body.token);
+
+  const search = await harness.request('GET', `/api/search?query=city&sessionId=${sessionId}`, { token: body.token });
+  assert.strictEqual(search.status, 200);
+  assert.ok(search.body.tracks.length);
+
+  const { song } = await send(dj, 'addSong', { song: tracks[0] });
+  assert.strictEqual((await send(guest, 'vote', { entryId: song.entryId, voteType: 'up' })).success, true);
+  assert.strictEqual((await send(guest, 'requestSong', { song: tracks[1] })).success, true);
+
+  // Their token brings the same guest back; another guest is someone else
+  const again = await harness.joinAsGuest(sessionId, 'Sam', { token: body.token });
+  assert.strictEqual(again.body.participant.userId, body.participant.userId);
+  assert.notStrictEqual((await harness.joinAsGuest(sessionId, 'Sam')).body.participant.userId, body.participant.userId);
+});
+
+test('guest ids cannot be claimed and guests cannot take over as DJ', async () => {
+  const { sessionId, token: djToken } = await harness.createSession('warden');
+  const dj = await harness.connect(sessionId, djToken);
+  const { body } = await harness.joinAsGuest(sessionId, 'Alex');
+  const guestId = body.participant.userId;
+
+  const claimed = await harness.request('POST', '/api/session/join', { body: { sessionId, userId: guestId, username: 'Not Alex' } });
+  assert.strictEqual(claimed.status, ERROR_STATUS.IDENTITY_REQUIRED);
+  assert.strictEqual(claimed.body.code, 'IDENTITY_REQUIRED');
+
+  assert.strictEqual((await send(dj, 'transferDj', { userId: guestId })).code, 'ROLE_FORBIDDEN');
+  assert.strictEqual((await send(dj, 'setRole', { userId: guestId, role: 'coDj' })).success, true);
+
+  const session = harness.store.getSession(sessionId);
+  assert.strictEqual(pickSuccessor(session, [{ userId: guestId, status: 'online' }]), null);
+});
+
+test('sessions cap their guests and how fast new ones arrive', async () => {
+  const { sessionId, token } = await harness.createSession('bouncer');
+
+  await harness.changeSettings(sessionId, token, { maxGuests: 0 });
+  const refused = await harness.joinAsGuest(sessionId, 'early');
+  assert.strictEqual(refused.status, ERROR_STATUS.GUESTS_NOT_ALLOWED);
+  assert.strictEqual(refused.body.code, 'GUESTS_NOT_ALLOWED');
+  // People with a Spotify login still get in; made-up user ids don't
+  assert.strictEqual((await harness.joinSession(sessionId, 'bouncer-friend')).participant.role, 'participant');
+  const madeUp = await harness.request('POST', '/api/session/join', { body: { sessionId, userId: 'made-up', username: 'made-up' } });
+  assert.strictEqual(madeUp.body.code, 'IDENTITY_REQUIRED');
+
+  await harness.changeSettings(sessionId, token, { maxGuests: 1 });
+  const first = await harness.joinAsGuest(sessionId, 'first');
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual((await harness.joinAsGuest(sessionId, 'second')).body.code, 'GUESTS_FULL');
+  const sneaky = await harness.request('POST', '/api/session/join', { body: { sessionId, userId: 'second', username: 'second' } });
+  assert.strictEqual(sneaky.body.code, 'IDENTITY_REQUIRED');
+  assert.strictEqual((await harness.joinAsGuest(sessionId, 'first', { token: first.body.token })).status, 200);
+
+  // Three new-guest attempts so far, turned away or not; the returning guest didn't count
+  await harness.changeSettings(sessionId, token, { maxGuests: 100, rateLimits: { join: { participant: 10, ip: 4 } } });
+  assert.strictEqual((await harness.joinAsGuest(sessionId, 'third')).status, 200);
+  const limited = await harness.joinAsGuest(sessionId, 'fourth');
+  assert.strictEqual(limited.status, 429);
+  assert.ok(limited.headers.get('retry-after'));
+});
+
+test('guests let in from the lobby keep their id', async () => {
+  const { sessionId, token } = await harness.createSession('keeper');
+  const dj = await harness.connect(sessionId, token);
+  await send(dj, 'setAccess', { mode: 'approval' });
+
+  const knock = await harness.joinAsGuest(sessionId, 'Robin');
+  assert.strictEqual(knock.status, 202);
+  const guestId = harness.store.getSession(sessionId).lobby[0].userId;
+  assert.match(guestId, /^guest-/);
+
+  await send(dj, 'admitJoiner', { userId: guestId });
+  const joined = await harness.joinAsGuest(sessionId, 'Robin', { token: knock.body.lobbyToken });
+  assert.strictEqual(joined.status, 200);
+  assert.strictEqual(joined.body.participant.userId, guestId);
+});
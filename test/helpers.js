@@ -0,0 +1,180 @@
+const { io: connectSocket } = require('socket.io-client');
+
+// Test harness
+// Boots server.js on a random port with an in-memory store and the chosen music
+// provider (the mock one unless a test stubs Spotify itself), and wraps the
+// HTTP and Socket.IO calls the tests make.
+
+async function startServer({ provider = 'mock' } = {}) {
+  process.env.MUSIC_PROVIDER = provider;
+  process.env.SESSION_STORE = 'memory';
+  process.env.SESSION_SECRET = 'test-secret';
+
+  const server = require('../server');
+  await new Promise(resolve => server.server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+  const sockets = [];
+
+  async function request(method, path, { token, body } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const json = (response.headers.get('content-type') || '').includes('application/json') ? JSON.parse(text) : undefined;
+    return { status: response.status, headers: response.headers, body: json, text };
+  }
+
+  // Log in through the OAuth callback; resolves to the signed user token and profile
+  async function login(code) {
+    const { status, text } = await request('GET', `/auth/spotify/callback?code=${encodeURIComponent(code)}`);
+    if (status !== 200) throw new Error(`Login failed with ${status}: ${text}`);
+    // The callback page writes both into localStorage as JS string literals
+    const stored = key => JSON.parse(text.match(new RegExp(`'${key}', (".*?[^\\\\]")\\);`))[1]);
+    return { authToken: stored('auth_token'), user: JSON.parse(stored('spotify_user')) };
+  }
+
+  // Resolves to { sessionId, token, session, import } for a session run by a fresh DJ
+  async function createSession(djId, body = {}) {
+    const { authToken } = await login(`mock:${djId}`);
+    const { status, body: created } = await request('POST', '/api/session/create', {
+      token: authToken,
+      body: { sessionName: `${djId}'s jam`, ...body }
+    });
+    if (status !== 200) throw new Error(`Create failed with ${status}: ${JSON.stringify(created)}`);
+    return { ...created, authToken };
+  }
+
+  // Log userId in and join with that login; resolves to the join response
+  async function joinSession(sessionId, userId) {
+    const { authToken } = await login(`mock:${userId}`);
+    const { status, body } = await request('POST', '/api/session/join', {
+      token: authToken,
+      body: { sessionId, userId, username: userId }
+    });
+    if (status !== 200) throw new Error(`Join failed with ${status}: ${JSON.stringify(body)}`);
+    return body;
+  }
+
+  // Join as userId with their Spotify login, or the token given (null for none);
+  // resolves to the raw response so refusals can be checked
+  async function join(sessionId, userId, { token, passcode } = {}) {
+    const proof = token === undefined ? (await login(`mock:${userId}`)).authToken : token;
+    return request('POST', '/api/session/join', { token: proof, body: { sessionId, userId, username: userId, passcode } });
+  }
+
+  // Join without a user id, the way someone without a Spotify login does
+  function joinAsGuest(sessionId, username, { token, passcode } = {}) {
+    return request('POST', '/api/session/join', { token, body: { sessionId, username, passcode } });
+  }
+
+  function changeSettings(sessionId, token, body) {
+    return request('POST', `/api/session/${sessionId}/settings`, { token, body });
+  }
+
+  // A session with a connected DJ and one connected guest, `${name}-guest`, who
+  // joins after any settings given are applied
+  async function setupSession(name, settings) {
+    const dj = await createSession(name);
+    if (settings) await changeSettings(dj.sessionId, dj.token, settings);
+    const guestId = `${name}-guest`;
+    const guest = await joinSession(dj.sessionId, guestId);
+    return {
+      sessionId: dj.sessionId,
+      djToken: dj.token,
+      guestId,
+      guestToken: guest.token,
+      dj: await connect(dj.sessionId, dj.token),
+      guest: await connect(dj.sessionId, guest.token)
+    };
+  }
+
+  // A socket that has joined the session's room with the given participant token
+  async function connect(sessionId, token) {
+    const socket = connectSocket(baseUrl, { transports: ['websocket'], forceNew: true });
+    sockets.push(socket);
+    const ack = await socket.timeout(2000).emitWithAck('joinSession', { sessionId, token });
+    if (ack.error) throw Object.assign(new Error(ack.error), { code: ack.code });
+    return socket;
+  }
+
+  // A socket waiting in the session's lobby with the lobbyToken from join; resolves to { socket, ack }
+  async function waitInLobby(sessionId, lobbyToken) {
+    const socket = connectSocket(baseUrl, { transports: ['websocket'], forceNew: true });
+    sockets.push(socket);
+    const ack = await socket.timeout(2000).emitWithAck('waitInLobby', { sessionId, token: lobbyToken });
+    return { socket, ack };
+  }
+
+  function close() {
+    sockets.forEach(socket => socket.disconnect());
+    server.scheduler.stopAll();
+    server.presence.stop();
+    server.rateLimiter.stop();
+    server.io.close();
+    server.server.close();
+  }
+
+  return {
+    ...server,
+    baseUrl,
+    request,
+    login,
+    createSession,
+    joinSession,
+    join,
+    joinAsGuest,
+    changeSettings,
+    setupSession,
+    connect,
+    waitInLobby,
+    close
+  };
+}
+
+// Send a socket command; resolves to its ack
+function send(socket, command, payload) {
+  return socket.timeout(2000).emitWithAck(command, payload);
+}
+
+// Resolves with the payload of the socket's next `event`; start waiting before triggering it
+function nextEvent(socket, event, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    function onEvent(payload) {
+      clearTimeout(timer);
+      resolve(payload);
+    }
+    socket.once(event, onEvent);
+  });
+}
+
+// Resolves to true if `event` is not emitted within windowMs
+function noEvent(socket, event, windowMs = 200) {
+  return new Promise(resolve => {
+    const onEvent = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      resolve(true);
+    }, windowMs);
+    socket.once(event, onEvent);
+  });
+}
+
+module.exports = {
+  startServer,
+  send,
+  nextEvent,
+  noEvent
+};
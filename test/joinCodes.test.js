@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJoinCode, normalizeJoinCode } = require('../lib/joinCodes');
+const { startServer } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+test('typed codes are normalized and look-alikes are refused', () => {
+  assert.strictEqual(normalizeJoinCode('k7qx-2m'), 'K7QX2M');
+  assert.strictEqual(normalizeJoinCode(' K7Q X2M '), 'K7QX2M');
+  assert.strictEqual(normalizeJoinCode('K7QX2O'), null); // O could be a zero
+  assert.strictEqual(normalizeJoinCode('K7QX2'), null);
+  assert.strictEqual(normalizeJoinCode(undefined), null);
+});
+
+test('new codes skip the ones already taken', () => {
+  const candidates = ['AAAAAA', 'BBBBBB', 'CCCCCC'];
+  const taken = new Set(['AAAAAA', 'BBBBBB']);
+  assert.strictEqual(createJoinCode(code => taken.has(code), () => candidates.shift()), 'CCCCCC');
+  assert.throws(() => createJoinCode(() => true), /free join code/);
+});
+
+test('guests find a session by its join code', async () => {
+  const { sessionId, session } = await harness.createSession('coder');
+  assert.match(session.joinCode, /^[A-HJKMNP-Z2-9]{6}$/);
+
+  const typed = `${session.joinCode.slice(0, 3).toLowerCase()}-${session.joinCode.slice(3)}`;
+  const { status, body } = await harness.request('GET', `/api/join/${typed}`);
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual([body.sessionId, body.joinCode, body.name], [sessionId, session.joinCode, "coder's jam"]);
+  assert.strictEqual(body.joinUrl, `${harness.baseUrl}/join/${session.joinCode}`);
+
+  assert.strictEqual((await harness.request('GET', '/api/join/ZZZZZZ')).body.code, 'SESSION_NOT_FOUND');
+  assert.strictEqual((await harness.request('GET', `/api/join/${sessionId}`)).body.code, 'SESSION_NOT_FOUND');
+});
+
+test('the QR code and deep link point at the join flow', async () => {
+  const { session } = await harness.createSession('scanner');
+
+  const qr = await harness.request('GET', `/api/join/${session.joinCode}/qr`);
+  assert.strictEqual(qr.status, 200);
+  assert.match(qr.headers.get('content-type'), /^image\/svg\+xml/);
+  assert.match(qr.text, /^<svg/);
+  assert.strictEqual((await harness.request('GET', '/api/join/ZZZZZZ/qr')).status, 404);
+
+  const page = await harness.request('GET', `/join/${session.joinCode}`);
+  assert.strictEqual(page.status, 200);
+  assert.match(page.text, /<script src="\/app.js"><\/script>/);
+});
+
+test('an ended session frees its code', async () => {
+  const { sessionId, token, session } = await harness.createSession('retiree');
+  await harness.request('POST', `/api/session/${sessionId}/end`, { token, body: {} });
+
+  assert.strictEqual(harness.store.getSessionByCode(session.joinCode), undefined);
+  assert.strictEqual((await harness.request('GET', `/api/join/${session.joinCode}`)).status, 404);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { expiryReason } = require('../lib/lifecycle');
+const { ERROR_STATUS } = require('../lib/errors');
+const { startServer, send, nextEvent } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+// Pretend nothing has happened in the session for this many minutes
+function idleFor(sessionId, minutes) {
+  const session = harness.store.getSession(sessionId);
+  session.lastActiveAt = new Date(Date.now() - minutes * 60 * 1000).toISOString();
+}
+
+test('sessions expire after their idle timeout, or the paused one', () => {
+  const now = Date.parse('2024-06-01T12:00:00Z');
+  const session = { createdAt: '2024-06-01T09:00:00Z', lastActiveAt: '2024-06-01T11:00:00Z', settings: {} };
+
+  assert.strictEqual(expiryReason(session, now), null);
+  assert.strictEqual(expiryReason({ ...session, lastActiveAt: '2024-06-01T10:00:00Z' }, now), 'idle');
+  assert.strictEqual(expiryReason({ ...session, lastActiveAt: undefined }, now), 'idle');
+  assert.strictEqual(expiryReason({ ...session, settings: { idleTimeoutMinutes: 30 } }, now), 'idle');
+  assert.strictEqual(expiryReason({ ...session, lastActiveAt: undefined, settings: { idleTimeoutMinutes: 0 } }, now), null);
+  assert.strictEqual(expiryReason({ ...session, status: 'paused', lastActiveAt: '2024-06-01T10:00:00Z' }, now), null);
+  assert.strictEqual(expiryReason({ ...session, status: 'paused', settings: { pausedTimeoutMinutes: 60 } }, now), 'pausedTooLong');
+});
+
+test('a paused session freezes the queue until the DJ resumes it', async () => {
+  const { sessionId, guestToken, dj, guest } = await harness.setupSession('pauser');
+  const { song } = await send(dj, 'addSong', { song: tracks[0] });
+
+  const announced = nextEvent(guest, 'sessionStatusUpdate');
+  assert.deepStrictEqual(await send(dj, 'pauseSession', { paused: true }), { success: true, status: 'paused' });
+  const update = await announced;
+  assert.deepStrictEqual([update.status, update.by.userId], ['paused', 'pauser']);
+  assert.ok(update.pausedAt);
+
+  const vote = await harness.request('POST', `/api/session/${sessionId}/vote`, { token: guestToken, body: { entryId: song.entryId, voteType: 'up' } });
+  assert.strictEqual(vote.status, ERROR_STATUS.SESSION_PAUSED);
+  assert.strictEqual(vote.body.code, 'SESSION_PAUSED');
+  assert.strictEqual((await send(guest, 'requestSong', { song: tracks[1] })).code, 'SESSION_PAUSED');
+  assert.strictEqual((await send(dj, 'playNext', {})).code, 'SESSION_PAUSED');
+  assert.strictEqual((await send(dj, 'moderate', { action: 'mute', userId: 'pauser-guest', rights: ['request'] })).success, true);
+
+  const { body } = await harness.request('GET', `/api/session/${sessionId}`);
+  assert.strictEqual(body.session.status, 'paused');
+
+  // Only the DJ pauses and resumes
+  assert.strictEqual((await send(guest, 'pauseSession', { paused: false })).code, 'ROLE_FORBIDDEN');
+  assert.strictEqual((await send(dj, 'pauseSession', { paused: false })).status, 'active');
+  assert.strictEqual((await send(guest, 'vote', { entryId: song.entryId, voteType: 'up' })).success, true);
+});
+
+test('ending a session sends everyone back and keeps only its archive', async () => {
+  const { sessionId, djToken, guestToken, dj, guest } = await harness.setupSession('closer');
+  await send(dj, 'addSong', { song: tracks[2] });
+  await send(dj, 'playNext', {});
+
+  assert.strictEqual((await send(guest, 'endSession', {})).code, 'ROLE_FORBIDDEN');
+
+  const ended = nextEvent(guest, 'sessionEnded');
+  const gone = nextEvent(guest, 'disconnect');
+  const { status, body } = await harness.request('POST', `/api/session/${sessionId}/end`, { token: djToken, body: {} });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(await ended, { sessionId, reason: 'ended' });
+  await gone;
+
+  assert.deepStrictEqual([body.archive.reason, body.archive.songsPlayed, body.archive.participantCount], ['ended', 1, 1]);
+  assert.deepStrictEqual(body.archive.history.map(record => record.name), [tracks[2].name]);
+  assert.strictEqual(harness.store.getSession(sessionId), undefined);
+
+  const archived = await harness.request('GET', `/api/session/${sessionId}/archive`);
+  assert.deepStrictEqual(archived.body.archive, body.archive);
+
+  // The session is gone for new and old participants alike
+  const lookup = await harness.request('GET', `/api/session/${sessionId}`);
+  assert.strictEqual(lookup.status, ERROR_STATUS.SESSION_ENDED);
+  assert.strictEqual(lookup.body.code, 'SESSION_ENDED');
+  const join = await harness.request('POST', '/api/session/join', { body: { sessionId, userId: 'late', username: 'late' } });
+  assert.strictEqual(join.body.code, 'SESSION_ENDED');
+  const stale = await harness.request('POST', `/api/session/${sessionId}/request-song`, { token: guestToken, body: { song: tracks[3] } });
+  assert.strictEqual(stale.body.code, 'SESSION_ENDED');
+  await assert.rejects(harness.connect(sessionId, guestToken), { code: 'SESSION_ENDED' });
+
+  assert.strictEqual((await harness.request('GET', '/api/session/nope/archive')).body.code, 'SESSION_NOT_FOUND');
+});
+
+test('the sweeper ends sessions nobody is using', async () => {
+  const idle = await harness.createSession('sleeper');
+  idleFor(idle.sessionId, 3 * 60);
+
+  // Someone active in the session keeps it going however quiet it is
+  const busy = await harness.setupSession('regular');
+  idleFor(busy.sessionId, 3 * 60);
+
+  const never = await harness.createSession('insomniac');
+  await harness.request('POST', `/api/session/${never.sessionId}/settings`, { token: never.token, body: { idleTimeoutMinutes: 0 } });
+  idleFor(never.sessionId, 3 * 60);
+
+  const paused = await harness.createSession('napper');
+  await harness.request('POST', `/api/session/${paused.sessionId}/pause`, { token: paused.token, body: { paused: true } });
+  idleFor(paused.sessionId, 3 * 60);
+
+  harness.sweepSessions();
+
+  assert.strictEqual(harness.store.getSession(idle.sessionId), undefined);
+  assert.strictEqual(harness.store.getArchive(idle.sessionId).reason, 'idle');
+  assert.ok(harness.store.getSession(busy.sessionId));
+  assert.ok(harness.store.getSession(never.sessionId));
+  assert.ok(harness.store.getSession(paused.sessionId));
+
+  idleFor(paused.sessionId, 25 * 60);
+  harness.sweepSessions();
+  assert.strictEqual(harness.store.getArchive(paused.sessionId).reason, 'pausedTooLong');
+});
+
+test('settings reject out-of-range idle timeouts', async () => {
+  const { sessionId, token } = await harness.createSession('tinkerer');
+  const settings = body => harness.request('POST', `/api/session/${sessionId}/settings`, { token, body });
+
+  assert.strictEqual((await settings({ idleTimeoutMinutes: 45 })).body.settings.idleTimeoutMinutes, 45);
+  assert.strictEqual((await settings({ idleTimeoutMinutes: -1 })).body.code, 'VALIDATION_FAILED');
+  assert.strictEqual((await settings({ pausedTimeoutMinutes: 8 * 24 * 60 })).body.code, 'VALIDATION_FAILED');
+});
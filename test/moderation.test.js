@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { ERROR_STATUS } = require('../lib/errors');
+const { startServer, send, nextEvent, noEvent } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+test('muted guests cannot vote or request until unmuted', async () => {
+  const { sessionId, guestId, guestToken, dj, guest } = await harness.setupSession('muter');
+  const { song } = await send(dj, 'addSong', { song: tracks[0] });
+
+  // Moderators see the details; the guest only hears what they're muted from
+  const announced = nextEvent(dj, 'moderationUpdate');
+  const told = nextEvent(guest, 'muteUpdate');
+  const unseen = noEvent(guest, 'moderationUpdate');
+  const muted = await send(dj, 'moderate', { action: 'mute', userId: guestId, rights: ['vote'], reason: 'downvoting everything' });
+  assert.strictEqual(muted.success, true);
+  const update = await announced;
+  assert.deepStrictEqual(update.mutes, { [guestId]: ['vote'] });
+  assert.deepStrictEqual([update.entry.action, update.entry.userId, update.entry.by.userId, update.entry.reason], ['mute', guestId, 'muter', 'downvoting everything']);
+  assert.deepStrictEqual(await told, { mutedFrom: ['vote'] });
+  assert.strictEqual(await unseen, true);
+
+  const vote = await harness.request('POST', `/api/session/${sessionId}/vote`, { token: guestToken, body: { entryId: song.entryId, voteType: 'down' } });
+  assert.strictEqual(vote.status, ERROR_STATUS.MUTED);
+  assert.strictEqual(vote.body.code, 'MUTED');
+  assert.strictEqual((await send(guest, 'requestSong', { song: tracks[1] })).success, true);
+
+  await send(dj, 'moderate', { action: 'mute', userId: guestId, rights: ['request'] });
+  assert.strictEqual((await send(guest, 'requestSong', { song: tracks[2] })).code, 'MUTED');
+
+  await send(dj, 'moderate', { action: 'unmute', userId: guestId, rights: ['vote'] });
+  assert.strictEqual((await send(guest, 'vote', { entryId: song.entryId, voteType: 'up' })).success, true);
+  assert.strictEqual((await send(guest, 'requestSong', { song: tracks[2] })).code, 'MUTED');
+
+  await send(dj, 'moderate', { action: 'unmute', userId: guestId });
+  assert.strictEqual((await send(guest, 'requestSong', { song: tracks[2] })).success, true);
+});
+
+test('muting from requests also stops a co-DJ adding songs', async () => {
+  const { guestId, dj, guest } = await harness.setupSession('silencer');
+  await send(dj, 'setRole', { userId: guestId, role: 'coDj' });
+  await send(dj, 'moderate', { action: 'mute', userId: guestId, rights: ['request'] });
+  assert.strictEqual((await send(guest, 'addSong', { song: tracks[3] })).code, 'MUTED');
+});
+
+test('kicked guests are disconnected and have to join again', async () => {
+  const { sessionId, guestId, guestToken, dj, guest } = await harness.setupSession('kicker');
+
+  const removed = nextEvent(guest, 'removedFromSession');
+  const gone = nextEvent(guest, 'disconnect');
+  await send(dj, 'moderate', { action: 'kick', userId: guestId, reason: 'spamming requests' });
+  assert.deepStrictEqual(await removed, { action: 'kick', reason: 'spamming requests' });
+  await gone;
+
+  // The old token no longer works, over REST or the socket
+  const stale = await harness.request('POST', `/api/session/${sessionId}/request-song`, { token: guestToken, body: { song: tracks[4] } });
+  assert.strictEqual(stale.body.code, 'NOT_A_MEMBER');
+  await assert.rejects(harness.connect(sessionId, guestToken), { code: 'NOT_A_MEMBER' });
+
+  const { body } = await harness.request('GET', `/api/session/${sessionId}`);
+  assert.deepStrictEqual(body.session.participants.map(p => p.userId), []);
+
+  const rejoined = await harness.join(sessionId, guestId, { token: guestToken });
+  assert.strictEqual(rejoined.status, 200);
+  await harness.connect(sessionId, rejoined.body.token);
+});
+
+test('banned guests cannot join again until unbanned', async () => {
+  const { sessionId, guestId, guestToken, dj } = await harness.setupSession('banner');
+  await send(dj, 'moderate', { action: 'ban', userId: guestId });
+
+  const refused = await harness.join(sessionId, guestId, { token: guestToken });
+  assert.strictEqual(refused.status, ERROR_STATUS.BANNED);
+  assert.strictEqual(refused.body.code, 'BANNED');
+  await assert.rejects(harness.connect(sessionId, guestToken), { code: 'BANNED' });
+
+  // A fresh user id doesn't get round the ban: nothing proves it is theirs
+  const { authToken } = await harness.login(`mock:${guestId}`);
+  for (const token of [null, guestToken, authToken]) {
+    const renamed = await harness.join(sessionId, `${guestId}-again`, { token });
+    assert.strictEqual(renamed.status, ERROR_STATUS.IDENTITY_REQUIRED);
+    assert.strictEqual(renamed.body.code, 'IDENTITY_REQUIRED');
+  }
+  assert.strictEqual((await harness.join(sessionId, guestId, { token: authToken })).body.code, 'BANNED');
+  // Nor does joining as a new guest with their Spotify login
+  const asGuest = await harness.joinAsGuest(sessionId, 'someone new', { token: authToken });
+  assert.strictEqual(asGuest.body.code, 'BANNED');
+
+  assert.strictEqual((await send(dj, 'moderate', { action: 'unban', userId: guestId })).success, true);
+  assert.strictEqual((await harness.join(sessionId, guestId, { token: guestToken })).status, 200);
+});
+
+test('a banned guest cannot come back as a new guest from the same address', async () => {
+  const { sessionId, token: djToken } = await harness.createSession('doorman');
+  const dj = await harness.connect(sessionId, djToken);
+  const { body } = await harness.joinAsGuest(sessionId, 'Pat');
+  const guestId = body.participant.userId;
+
+  await send(dj, 'moderate', { action: 'ban', userId: guestId });
+  const again = await harness.joinAsGuest(sessionId, 'Pat');
+  assert.strictEqual(again.status, ERROR_STATUS.BANNED);
+  assert.strictEqual(again.body.code, 'BANNED');
+  assert.strictEqual((await harness.joinAsGuest(sessionId, 'Pat', { token: body.token })).body.code, 'BANNED');
+
+  // Moderators see the ban, but not the address
+  const { body: moderation } = await harness.request('GET', `/api/session/${sessionId}/moderation`, { token: djToken });
+  assert.deepStrictEqual(Object.keys(moderation.bans[guestId]), ['username', 'bannedAt']);
+  assert.ok(!('guestIps' in (await harness.request('GET', `/api/session/${sessionId}`)).body.session));
+
+  await send(dj, 'moderate', { action: 'unban', userId: guestId });
+  assert.strictEqual((await harness.joinAsGuest(sessionId, 'Pat')).status, 200);
+});
+
+test('moderators moderate guests, and only the DJ moderates people with a role', async () => {
+  const { sessionId, guestId, dj, guest } = await harness.setupSession('warden');
+  const others = {};
+  for (const userId of ['warden-mod', 'warden-co']) {
+    const { token } = await harness.joinSession(sessionId, userId);
+    others[userId] = await harness.connect(sessionId, token);
+  }
+  await send(dj, 'setRole', { userId: 'warden-mod', role: 'moderator' });
+  await send(dj, 'setRole', { userId: 'warden-co', role: 'coDj' });
+  const mod = others['warden-mod'];
+
+  assert.strictEqual((await send(guest, 'moderate', { action: 'kick', userId: 'warden-mod' })).code, 'ROLE_FORBIDDEN');
+  assert.strictEqual((await send(mod, 'moderate', { action: 'kick', userId: 'warden-co' })).code, 'ROLE_FORBIDDEN');
+  assert.strictEqual((await send(mod, 'moderate', { action: 'ban', userId: 'warden' })).code, 'ROLE_FORBIDDEN');
+  assert.strictEqual((await send(mod, 'moderate', { action: 'mute', userId: 'warden-mod' })).code, 'ROLE_FORBIDDEN');
+  assert.strictEqual((await send(mod, 'moderate', { action: 'mute', userId: 'nobody' })).code, 'MEMBER_NOT_FOUND');
+  assert.strictEqual((await send(mod, 'moderate', { action: 'mute', userId: guestId, rights: [] })).code, 'VALIDATION_FAILED');
+  assert.strictEqual((await send(mod, 'moderate', { action: 'mute', userId: guestId })).success, true);
+
+  // Kicking someone with a role takes the role away
+  const roles = nextEvent(dj, 'rolesUpdate');
+  assert.strictEqual((await send(dj, 'moderate', { action: 'kick', userId: 'warden-co' })).success, true);
+  assert.deepStrictEqual((await roles).roles, { 'warden-mod': 'moderator' });
+});
+
+test('moderators can review the moderation log', async () => {
+  const { sessionId, guestId, djToken, guestToken, dj } = await harness.setupSession('chronicler');
+  await send(dj, 'moderate', { action: 'mute', userId: guestId, rights: ['vote', 'request'] });
+  await send(dj, 'moderate', { action: 'ban', userId: guestId, reason: 'enough' });
+
+  const { body } = await harness.request('GET', `/api/session/${sessionId}/moderation`, { token: djToken });
+  assert.deepStrictEqual(body.log.map(entry => [entry.action, entry.userId, entry.by.userId]), [['mute', guestId, 'chronicler'], ['ban', guestId, 'chronicler']]);
+  assert.deepStrictEqual(body.log[0].rights, ['vote', 'request']);
+  assert.strictEqual(body.log[1].reason, 'enough');
+  assert.deepStrictEqual(Object.keys(body.bans), [guestId]);
+  assert.deepStrictEqual(body.mutes, { [guestId]: ['vote', 'request'] });
+
+  const other = await harness.joinSession(sessionId, 'chronicler-guest2');
+  assert.strictEqual((await harness.request('GET', `/api/session/${sessionId}/moderation`, { token: other.token })).body.code, 'ROLE_FORBIDDEN');
+  assert.strictEqual((await harness.request('GET', `/api/session/${sessionId}/moderation`, { token: guestToken })).body.code, 'BANNED');
+});
+
+test('session views leave out moderation data and vote ledgers', async () => {
+  const { sessionId, guestId, guestToken, dj, guest } = await harness.setupSession('keeper');
+  const { song } = await send(dj, 'addSong', { song: tracks[0] });
+  await send(guest, 'vote', { entryId: song.entryId, voteType: 'up' });
+  await send(dj, 'moderate', { action: 'mute', userId: guestId, rights: ['request'] });
+
+  const { authToken } = await harness.login(`mock:${guestId}`);
+  const views = [
+    (await harness.request('GET', `/api/session/${sessionId}`)).body.session,
+    (await harness.join(sessionId, guestId, { token: authToken })).body.session,
+    (await send(guest, 'resync', { sinceRevision: 50 })).snapshot
+  ];
+  views.forEach(view => {
+    ['abuseFlags', 'moderationLog', 'bans', 'mutes', 'voteLedger'].forEach(field => assert.ok(!(field in view), field));
+  });
+
+  // Joining the room tells the guest what they alone are muted from
+  const ack = await send(guest, 'joinSession', { sessionId, token: guestToken });
+  assert.deepStrictEqual(ack.mutedFrom, ['request']);
+});
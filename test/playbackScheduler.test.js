@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { createMockProvider } = require('../lib/providers/mock');
+const { createPlaybackScheduler, LOOKAHEAD_MS } = require('../lib/playbackScheduler');
+const { startServer, send, nextEvent } = require('./helpers');
+
+// A scheduler driving a mock DJ player on a clock the test moves by hand, with
+// tracks[1] and tracks[2] queued and tracks[0] playing
+function setup(t, options) {
+  let clock = 1000000;
+  const provider = createMockProvider({ now: () => clock });
+  const client = provider.client('mock-access:dj:1');
+  const session = {
+    id: 'scheduled',
+    settings: {},
+    queue: [tracks[1], tracks[2]].map((track, index) => ({ ...track, entryId: `entry${index + 1}` }))
+  };
+  const advanced = [];
+  const scheduler = createPlaybackScheduler({
+    getSession: sessionId => (sessionId === session.id ? session : undefined),
+    getPlaybackState: () => client.getPlaybackState(),
+    pickNext: () => session.queue[0],
+    queueTrack: (current, entry) => client.queue(entry.uri),
+    onAdvance: (current, entry) => {
+      advanced.push(entry.entryId);
+      session.queue = session.queue.filter(queued => queued !== entry);
+    }
+  }, options);
+  scheduler.start(session.id);
+  t.after(() => scheduler.stopAll());
+
+  return {
+    session,
+    client,
+    scheduler,
+    advanced,
+    player: provider.getPlayer('dj'),
+    tick: () => scheduler.tick(session.id),
+    elapse: ms => { clock += ms; }
+  };
+}
+
+test('the top entry is queued once the current track is inside the lookahead', async (t) => {
+  const { client, player, tick, elapse, advanced } = setup(t);
+  await client.play(tracks[0].uri);
+
+  await tick();
+  assert.deepStrictEqual(player.upNext, []);
+
+  elapse(tracks[0].duration - LOOKAHEAD_MS + 1000);
+  await tick();
+  assert.deepStrictEqual(player.upNext, [tracks[1].uri]);
+
+  // Still waiting on it: not queued twice, and nothing committed yet
+  await tick();
+  assert.deepStrictEqual(player.upNext, [tracks[1].uri]);
+  assert.deepStrictEqual(advanced, []);
+});
+
+test('the queued entry is committed once it is actually playing', async (t) => {
+  const { session, client, tick, elapse, advanced } = setup(t);
+  await client.play(tracks[0].uri);
+  elapse(tracks[0].duration - 2000);
+  await tick();
+
+  elapse(3000);
+  await tick();
+  assert.deepStrictEqual(advanced, ['entry1']);
+  assert.deepStrictEqual(session.queue.map(entry => entry.entryId), ['entry2']);
+});
+
+test('a fresh web player report is trusted, and a stale one falls back to polling', async (t) => {
+  const { scheduler, session, client, player, tick, elapse } = setup(t, { reportTtlMs: 20 });
+  await client.play(tracks[0].uri);
+  elapse(tracks[0].duration - 2000);
+
+  // The report says the track has only just started, so nothing is queued yet
+  scheduler.reportState(session.id, { trackUri: tracks[0].uri, progressMs: 0, durationMs: tracks[0].duration, isPlaying: true });
+  await tick();
+  assert.deepStrictEqual(player.upNext, []);
+
+  // Once it's stale the provider's own state shows the track nearly over
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await tick();
+  assert.deepStrictEqual(player.upNext, [tracks[1].uri]);
+});
+
+test('after a manual play the queued entry is no longer the scheduler\'s to commit', async (t) => {
+  const { scheduler, session, client, player, tick, elapse, advanced } = setup(t);
+  await client.play(tracks[0].uri);
+  elapse(tracks[0].duration - 2000);
+  await tick();
+  assert.deepStrictEqual(player.upNext, [tracks[1].uri]);
+
+  // The DJ plays that same entry by hand (playEntry resets the scheduler), which
+  // commits it there; the scheduler seeing it play mustn't commit it again
+  scheduler.reset(session.id);
+  await client.play(tracks[1].uri);
+  await tick();
+  assert.deepStrictEqual(advanced, []);
+});
+
+test('auto-advance plays the top entry when the current track ends', async () => {
+  const harness = await startServer();
+  try {
+    const { sessionId, token } = await harness.createSession('autopilot');
+    const dj = await harness.connect(sessionId, token);
+    await send(dj, 'addSong', { song: tracks[0] });
+    await send(dj, 'playNext', {});
+    const { song: next } = await send(dj, 'addSong', { song: tracks[1] });
+
+    // Wind the DJ's player on to just inside the lookahead
+    const player = harness.provider.getPlayer('autopilot');
+    player.current.startedAt -= tracks[0].duration - 2000;
+    await harness.scheduler.tick(sessionId);
+    assert.deepStrictEqual(player.upNext, [tracks[1].uri]);
+    assert.strictEqual(harness.store.getSession(sessionId).currentSong.id, tracks[0].id);
+
+    const played = nextEvent(dj, 'songPlayed');
+    player.current.startedAt -= 3000;
+    await harness.scheduler.tick(sessionId);
+    assert.strictEqual((await played).currentSong.entryId, next.entryId);
+    const session = harness.store.getSession(sessionId);
+    assert.deepStrictEqual([session.currentSong.entryId, session.queue.length], [next.entryId, 0]);
+  } finally {
+    harness.close();
+  }
+});
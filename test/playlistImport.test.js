@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSources, importSources } = require('../lib/playlistImport');
+
+function spotifyTrack(id, extra = {}) {
+  return {
+    id,
+    type: 'track',
+    name: `Song ${id}`,
+    artists: [{ name: 'Artist' }],
+    album: { name: 'Album', images: [{ url: `https://img/${id}` }] },
+    duration_ms: 1000,
+    uri: `spotify:track:${id}`,
+    ...extra
+  };
+}
+
+// A spotify-web-api-node stand-in with a two-page playlist, a one-page album and
+// a track that isn't there; pages records every page asked for
+function stubApi() {
+  const pages = [];
+  const playlistPages = [
+    {
+      items: [
+        { track: spotifyTrack('first') },
+        { track: null }, // removed from Spotify
+        { track: spotifyTrack('local', { is_local: true, id: null }) },
+        { track: { ...spotifyTrack('episode'), type: 'episode' } }
+      ],
+      next: 'https://api.spotify.com/v1/playlists/mixed/tracks?offset=50&limit=50'
+    },
+    {
+      items: [{ track: spotifyTrack('second') }, { track: spotifyTrack('blocked', { is_playable: false }) }],
+      next: null
+    }
+  ];
+
+  return {
+    pages,
+    async getPlaylist(id) {
+      return { body: { name: 'Mixed bag' } };
+    },
+    async getPlaylistTracks(id, { offset, limit }) {
+      pages.push({ id, offset, limit });
+      return { body: playlistPages[offset / limit] };
+    },
+    async getAlbum(id) {
+      return { body: { name: 'Whole album', images: [{ url: 'https://img/album' }] } };
+    },
+    async getAlbumTracks(id, { offset, limit }) {
+      pages.push({ id, offset, limit });
+      const { album, ...listed } = spotifyTrack('album-track');
+      return { body: { items: [listed], next: null } };
+    },
+    async getTrack(id) {
+      throw Object.assign(new Error('Not found'), { statusCode: 404 });
+    }
+  };
+}
+
+test('sources parse from ids, URIs and links, and anything else is reported', () => {
+  const { sources, invalid } = parseSources('37i9dQZF1DXcBWIGoYBM5M, spotify:album:4aawyAB9vmqN3uQ7FjRGTy\nhttps://open.spotify.com/intl-de/track/11dFghVXANMlKmJXsNCbNl?si=x nope');
+  assert.deepStrictEqual(sources, [
+    { type: 'playlist', id: '37i9dQZF1DXcBWIGoYBM5M' },
+    { type: 'album', id: '4aawyAB9vmqN3uQ7FjRGTy' },
+    { type: 'track', id: '11dFghVXANMlKmJXsNCbNl' }
+  ]);
+  assert.deepStrictEqual(invalid, ['nope']);
+});
+
+test('playlists are paged through in full and unplayable items are skipped', async () => {
+  const api = stubApi();
+  const { tracks, report } = await importSources(api, [{ type: 'playlist', id: 'mixed' }]);
+
+  assert.deepStrictEqual(api.pages, [{ id: 'mixed', offset: 0, limit: 50 }, { id: 'mixed', offset: 50, limit: 50 }]);
+  assert.deepStrictEqual(tracks.map(track => track.id), ['first', 'second']);
+  assert.deepStrictEqual(tracks[0], {
+    id: 'first',
+    name: 'Song first',
+    artist: 'Artist',
+    album: 'Album',
+    albumArt: 'https://img/first',
+    duration: 1000,
+    uri: 'spotify:track:first'
+  });
+  // Null, local, episode and unplayable items
+  assert.deepStrictEqual(report, [{ type: 'playlist', id: 'mixed', name: 'Mixed bag', imported: 2, skipped: 4 }]);
+});
+
+test('album tracks get the album, and a missing source is reported without stopping the rest', async () => {
+  const { tracks, report } = await importSources(stubApi(), [{ type: 'track', id: 'gone' }, { type: 'album', id: 'whole' }]);
+
+  assert.deepStrictEqual(tracks.map(track => [track.id, track.album, track.albumArt]), [['album-track', 'Whole album', 'https://img/album']]);
+  assert.deepStrictEqual(report, [
+    { type: 'track', id: 'gone', imported: 0, skipped: 0, error: 'Not found or not accessible' },
+    { type: 'album', id: 'whole', name: 'Whole album', imported: 1, skipped: 0 }
+  ]);
+});
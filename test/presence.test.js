@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPresenceTracker } = require('../lib/presence');
+const { startServer, send, nextEvent } = require('./helpers');
+
+function trackerWithClock() {
+  let time = 0;
+  const changes = [];
+  const tracker = createPresenceTracker({
+    idleAfterMs: 1000,
+    now: () => time,
+    onChange: (sessionId, member, counts) => changes.push({ sessionId, status: member.status, userId: member.userId, counts })
+  });
+  return { tracker, changes, advance: ms => { time += ms; } };
+}
+
+const alice = { userId: 'alice', username: 'Alice', role: 'participant' };
+
+test('members go idle after a quiet spell and come back on activity', () => {
+  const { tracker, changes, advance } = trackerWithClock();
+  tracker.connect('s1', alice, 'socket-1');
+  assert.deepStrictEqual(changes.pop(), { sessionId: 's1', status: 'online', userId: 'alice', counts: { online: 1, idle: 0, offline: 0 } });
+
+  advance(500);
+  tracker.sweep();
+  assert.strictEqual(changes.length, 0);
+
+  advance(600);
+  tracker.sweep();
+  assert.strictEqual(changes.pop().status, 'idle');
+
+  tracker.touch('socket-1');
+  assert.strictEqual(changes.pop().status, 'online');
+});
+
+test('a hidden tab is idle right away', () => {
+  const { tracker, changes } = trackerWithClock();
+  tracker.connect('s1', alice, 'socket-1');
+  tracker.touch('socket-1', { hidden: true });
+  assert.strictEqual(changes.pop().status, 'idle');
+  tracker.touch('socket-1', { hidden: false });
+  assert.strictEqual(changes.pop().status, 'online');
+});
+
+test('several tabs count as one person until the last one closes', () => {
+  const { tracker, changes } = trackerWithClock();
+  tracker.connect('s1', alice, 'socket-1');
+  tracker.connect('s1', alice, 'socket-2');
+  tracker.disconnect('socket-1');
+  assert.strictEqual(changes.length, 1);
+
+  tracker.disconnect('socket-2');
+  assert.strictEqual(changes.pop().status, 'offline');
+  assert.deepStrictEqual(tracker.list('s1').map(member => [member.userId, member.status]), [['alice', 'offline']]);
+});
+
+test('a socket that joins another session leaves the first', () => {
+  const { tracker } = trackerWithClock();
+  tracker.connect('s1', alice, 'socket-1');
+  tracker.connect('s2', alice, 'socket-1');
+  assert.strictEqual(tracker.list('s1')[0].status, 'offline');
+  assert.strictEqual(tracker.list('s2')[0].status, 'online');
+});
+
+test('sockets broadcast presence as people arrive, hide the tab and leave', async () => {
+  const harness = await startServer();
+  try {
+    const dj = await harness.createSession('presence-dj');
+    const djSocket = await harness.connect(dj.sessionId, dj.token);
+    const guest = await harness.joinSession(dj.sessionId, 'presence-guest');
+
+    const arrived = nextEvent(djSocket, 'presenceUpdate');
+    const firstTab = await harness.connect(dj.sessionId, guest.token);
+    const { member, counts } = await arrived;
+    assert.deepStrictEqual([member.userId, member.status, member.role], ['presence-guest', 'online', 'participant']);
+    assert.deepStrictEqual(counts, { online: 2, idle: 0, offline: 0 });
+
+    const secondTab = await harness.connect(dj.sessionId, guest.token);
+    const ack = await send(secondTab, 'joinSession', { sessionId: dj.sessionId, token: guest.token });
+    assert.deepStrictEqual(ack.presence.map(m => [m.userId, m.status]), [['presence-dj', 'online'], ['presence-guest', 'online']]);
+
+    // Hiding one tab doesn't make you idle while another is in use
+    const idle = nextEvent(djSocket, 'presenceUpdate');
+    firstTab.emit('presence', { hidden: true });
+    secondTab.emit('presence', { hidden: true });
+    assert.strictEqual((await idle).member.status, 'idle');
+
+    firstTab.disconnect();
+    const left = nextEvent(djSocket, 'presenceUpdate');
+    secondTab.disconnect();
+    assert.strictEqual((await left).member.status, 'offline');
+
+    const { body } = await harness.request('GET', `/api/session/${dj.sessionId}/presence`);
+    assert.deepStrictEqual(body.counts, { online: 1, idle: 0, offline: 1 });
+    assert.deepStrictEqual(body.presence.map(m => m.userId), ['presence-dj', 'presence-guest']);
+  } finally {
+    harness.close();
+  }
+});
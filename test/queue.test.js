@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { startServer, nextEvent, noEvent } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+// A session with a DJ socket, one participant and the given catalog tracks queued
+async function setup(name, trackIndexes = []) {
+  const dj = await harness.createSession(name);
+  const guest = await harness.joinSession(dj.sessionId, `${name}-guest`);
+  const socket = await harness.connect(dj.sessionId, dj.token);
+  const entries = [];
+  for (const index of trackIndexes) {
+    const { body } = await addSong(dj, tracks[index]);
+    entries.push(body.song);
+  }
+  return { sessionId: dj.sessionId, djToken: dj.token, guestToken: guest.token, socket, entries };
+}
+
+function addSong({ sessionId, token }, song) {
+  return harness.request('POST', `/api/session/${sessionId}/add-song`, { token, body: { song } });
+}
+
+function vote({ sessionId, token }, entryId, voteType) {
+  return harness.request('POST', `/api/session/${sessionId}/vote`, { token, body: { entryId, voteType } });
+}
+
+test('adding a song is DJ only and broadcasts queueUpdate', async () => {
+  const { sessionId, djToken, guestToken, socket } = await setup('adder');
+
+  const refused = await addSong({ sessionId, token: guestToken }, tracks[0]);
+  assert.strictEqual(refused.status, 403);
+
+  const update = nextEvent(socket, 'queueUpdate');
+  const { status, body } = await addSong({ sessionId, token: djToken }, tracks[0]);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.merged, false);
+  assert.deepStrictEqual(body.song.addedBy, { userId: 'adder', username: 'adder' });
+
+  const { queue } = await update;
+  assert.deepStrictEqual(queue.map(entry => entry.entryId), [body.song.entryId]);
+});
+
+test('votes toggle and switch, and every change broadcasts voteUpdate', async () => {
+  const { sessionId, djToken, guestToken, socket, entries: [entry] } = await setup('voter', [0]);
+  const guest = { sessionId, token: guestToken };
+
+  const steps = [
+    [guest, 'up', 1], // up
+    [guest, 'down', -1], // up -> down moves the tally by 2
+    [guest, 'down', 0], // the same vote again takes it back
+    [guest, 'up', 1],
+    [{ sessionId, token: djToken }, 'up', 2] // a second voter adds to it
+  ];
+  for (const [voter, voteType, expected] of steps) {
+    const update = nextEvent(socket, 'voteUpdate');
+    const { status, body } = await vote(voter, entry.entryId, voteType);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.song.votes, expected);
+
+    const broadcast = await update;
+    assert.strictEqual(broadcast.entryId, entry.entryId);
+    assert.strictEqual(broadcast.songId, entry.id);
+    assert.strictEqual(broadcast.votes, expected);
+    assert.deepStrictEqual(broadcast.order, [entry.entryId]);
+  }
+
+  // Who voted how is for moderators only
+  const ledgerPath = `/api/session/${sessionId}/votes/${entry.entryId}`;
+  assert.strictEqual((await harness.request('GET', ledgerPath)).body.code, 'TOKEN_REQUIRED');
+  assert.strictEqual((await harness.request('GET', ledgerPath, { token: guestToken })).body.code, 'ROLE_FORBIDDEN');
+  const { body: ledger } = await harness.request('GET', ledgerPath, { token: djToken });
+  assert.strictEqual(ledger.events.length, 5);
+  assert.deepStrictEqual(ledger.events.map(event => event.vote), ['up', 'down', null, 'up', 'up']);
+  assert.strictEqual(ledger.votes, 2);
+  assert.strictEqual(ledger.up, 2);
+  assert.strictEqual(ledger.down, 0);
+});
+
+test('votes reorder the queue', async () => {
+  const { sessionId, guestToken, socket, entries: [first, second] } = await setup('reorder', [0, 1]);
+
+  const update = nextEvent(socket, 'voteUpdate');
+  await vote({ sessionId, token: guestToken }, second.entryId, 'up');
+  assert.deepStrictEqual((await update).order, [second.entryId, first.entryId]);
+
+  const { body } = await harness.request('GET', `/api/session/${sessionId}`);
+  assert.deepStrictEqual(body.session.queue.map(entry => entry.entryId), [second.entryId, first.entryId]);
+});
+
+test('voting needs a token for the session and an entry in its queue', async () => {
+  const { sessionId, guestToken, entries: [entry] } = await setup('strict-voter', [0]);
+  const other = await setup('other-voter', [0]);
+
+  assert.strictEqual((await vote({ sessionId }, entry.entryId, 'up')).status, 401);
+  assert.strictEqual((await vote({ sessionId, token: 'forged.token' }, entry.entryId, 'up')).status, 401);
+  assert.strictEqual((await vote({ sessionId, token: other.guestToken }, entry.entryId, 'up')).status, 403);
+  assert.strictEqual((await vote({ sessionId, token: guestToken }, 'no-such-entry', 'up')).status, 404);
+});
+
+test('duplicates are refused by default and merged as an upvote when the DJ allows it', async () => {
+  const { sessionId, djToken, socket, entries: [entry] } = await setup('dupes', [0]);
+  const dj = { sessionId, token: djToken };
+
+  const refused = await addSong(dj, tracks[0]);
+  assert.strictEqual(refused.status, 409);
+  assert.strictEqual(refused.body.error, 'Song is already in the queue');
+
+  await harness.request('POST', `/api/session/${sessionId}/settings`, { token: djToken, body: { duplicatePolicy: 'merge' } });
+  const update = nextEvent(socket, 'voteUpdate');
+  const merged = await addSong(dj, tracks[0]);
+  assert.strictEqual(merged.body.merged, true);
+  assert.strictEqual(merged.body.song.entryId, entry.entryId);
+  assert.strictEqual((await update).votes, 1);
+});
+
+test('play-next is DJ only, plays the top entry and broadcasts songPlayed', async () => {
+  const { sessionId, djToken, guestToken, socket, entries: [first, second] } = await setup('player', [0, 1]);
+
+  const refused = await harness.request('POST', `/api/session/${sessionId}/play-next`, { token: guestToken });
+  assert.strictEqual(refused.status, 403);
+
+  const played = nextEvent(socket, 'songPlayed');
+  const { status, body } = await harness.request('POST', `/api/session/${sessionId}/play-next`, { token: djToken });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.currentSong.entryId, first.entryId);
+  assert.strictEqual(body.songsPlayed, 1);
+
+  const broadcast = await played;
+  assert.strictEqual(broadcast.currentSong.entryId, first.entryId);
+  assert.deepStrictEqual(broadcast.queue.map(entry => entry.entryId), [second.entryId]);
+  assert.strictEqual(broadcast.songsPlayed, 1);
+  assert.strictEqual(broadcast.historyEntry.entryId, first.entryId);
+
+  // The mock provider is now playing it for the DJ
+  assert.strictEqual(harness.provider.getPlayer('player').current.uri, first.uri);
+});
+
+test('play-next on an empty queue is a 400', async () => {
+  const { sessionId, djToken } = await setup('empty');
+  const { status } = await harness.request('POST', `/api/session/${sessionId}/play-next`, { token: djToken });
+  assert.strictEqual(status, 400);
+});
+
+test('played songs go to the history, its exports and the replay cooldown', async () => {
+  const { sessionId, djToken, guestToken, entries: [entry] } = await setup('historian', [2]);
+  await vote({ sessionId, token: guestToken }, entry.entryId, 'up');
+  await harness.request('POST', `/api/session/${sessionId}/play-next`, { token: djToken });
+
+  const { body } = await harness.request('GET', `/api/session/${sessionId}/history`);
+  assert.strictEqual(body.history.length, 1);
+  assert.strictEqual(body.history[0].name, tracks[2].name);
+  assert.strictEqual(body.history[0].votes, 1);
+  assert.deepStrictEqual(body.history[0].requestedBy, { userId: 'historian', username: 'historian' });
+
+  const csv = await harness.request('GET', `/api/session/${sessionId}/history/export?format=csv`);
+  assert.match(csv.headers.get('content-type'), /text\/csv/);
+  assert.match(csv.headers.get('content-disposition'), /historian_s_jam-history\.csv/);
+  const [header, row] = csv.text.trim().split('\n');
+  assert.strictEqual(header, 'Played At,Track,Artist,Album,Spotify URI,Requested By,Votes,Upvotes,Downvotes,Skipped');
+  assert.match(row, new RegExp(`,${tracks[2].name},.*,historian,1,1,0,false$`));
+
+  const json = await harness.request('GET', `/api/session/${sessionId}/history/export?format=json`);
+  assert.strictEqual(json.body.history.length, 1);
+  assert.strictEqual((await harness.request('GET', `/api/session/${sessionId}/history/export?format=xml`)).status, 400);
+
+  const again = await addSong({ sessionId, token: djToken }, tracks[2]);
+  assert.strictEqual(again.status, 409);
+  assert.match(again.body.error, /played recently/);
+});
+
+test('settings are DJ only, validated, and broadcast with the reordered queue', async () => {
+  const { sessionId, djToken, guestToken, socket } = await setup('tweaker', [0]);
+  const path = `/api/session/${sessionId}/settings`;
+
+  assert.strictEqual((await harness.request('POST', path, { token: guestToken, body: { autoAdvance: false } })).status, 403);
+  const invalid = await harness.request('POST', path, { token: djToken, body: { queueOrder: 'random' } });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.body.error, 'Invalid value for queueOrder');
+  assert.strictEqual((await harness.request('POST', path, { token: djToken, body: { volume: 11 } })).status, 400);
+
+  const settingsUpdate = nextEvent(socket, 'settingsUpdate');
+  const queueUpdate = nextEvent(socket, 'queueUpdate');
+  const { body } = await harness.request('POST', path, { token: djToken, body: { queueOrder: 'fair', autoAdvance: false } });
+  assert.strictEqual(body.settings.queueOrder, 'fair');
+  assert.strictEqual((await settingsUpdate).settings.autoAdvance, false);
+  assert.strictEqual((await queueUpdate).queue.length, 1);
+});
+
+test('saving to a playlist creates it once and then updates it', async () => {
+  const { sessionId, djToken, guestToken } = await setup('saver', [3, 4]);
+  const path = `/api/session/${sessionId}/save-playlist`;
+
+  assert.strictEqual((await harness.request('POST', path, { token: guestToken, body: { source: 'queue' } })).status, 403);
+  assert.strictEqual((await harness.request('POST', path, { token: djToken, body: { source: 'history' } })).status, 400);
+
+  const first = await harness.request('POST', path, { token: djToken, body: { source: 'queue' } });
+  assert.strictEqual(first.body.created, true);
+  assert.strictEqual(first.body.trackCount, 2);
+
+  await harness.request('POST', `/api/session/${sessionId}/play-next`, { token: djToken });
+  const second = await harness.request('POST', path, { token: djToken, body: { source: 'queue' } });
+  assert.strictEqual(second.body.created, false);
+  assert.strictEqual(second.body.playlistId, first.body.playlistId);
+  assert.deepStrictEqual(harness.provider.getSavedPlaylist(first.body.playlistId).uris, [tracks[4].uri]);
+});
+
+test('broadcasts stay inside their session', async () => {
+  const watched = await setup('watched');
+  const busy = await setup('busy');
+
+  const quiet = noEvent(watched.socket, 'queueUpdate');
+  await addSong({ sessionId: busy.sessionId, token: busy.djToken }, tracks[5]);
+  assert.strictEqual(await quiet, true);
+});
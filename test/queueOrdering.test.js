@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { orderQueue, recordPlay } = require('../lib/queueOrdering');
+
+// A session ordered by queueOrder; entries are [name, requester, votes] in the order
+// they were added, and requester null means the DJ added it
+function sessionWith(queueOrder, entries, extra = {}) {
+  return {
+    dj: { userId: 'dj' },
+    settings: { queueOrder },
+    queue: entries.map(([entryId, requester, votes], seq) => ({
+      entryId,
+      votes,
+      seq,
+      addedBy: requester ? { userId: requester } : null
+    })),
+    ...extra
+  };
+}
+
+const ids = queue => queue.map(entry => entry.entryId);
+
+test('votes puts the most voted first and ties in the order they were added', () => {
+  const session = sessionWith('votes', [['a1', 'amy', 1], ['b1', 'bob', 3], ['a2', 'amy', 1], ['c1', 'cat', 2]]);
+  assert.deepStrictEqual(ids(orderQueue(session)), ['b1', 'c1', 'a1', 'a2']);
+});
+
+test('round-robin takes turns between requesters, best song of each round first', () => {
+  const session = sessionWith('round-robin', [
+    ['a1', 'amy', 5],
+    ['a2', 'amy', 4],
+    ['a3', 'amy', 3],
+    ['b1', 'bob', 0],
+    ['b2', 'bob', 1],
+    ['d1', null, 2]
+  ]);
+  // Round one: amy's a1 (5), the DJ's d1 (2), bob's b2 (1); round two: a2, b1; then a3
+  assert.deepStrictEqual(ids(orderQueue(session)), ['a1', 'd1', 'b2', 'a2', 'b1', 'a3']);
+});
+
+test('fair boosts requesters who have waited longest since their last song', () => {
+  const session = sessionWith('fair', [['a1', 'amy', 3], ['b1', 'bob', 0], ['c1', 'cat', 0]], { songsPlayed: 10 });
+  session.lastPlayedByRequester = { amy: 10, bob: 8 };
+  // amy just played: 3 + 0; bob two songs ago: 0 + 2; cat never, so the capped 5
+  assert.deepStrictEqual(ids(orderQueue(session)), ['c1', 'a1', 'b1']);
+
+  // Playing cat's song takes their boost away
+  recordPlay(session, session.queue[2]);
+  assert.deepStrictEqual(session.lastPlayedByRequester, { amy: 10, bob: 8, cat: 10 });
+  assert.deepStrictEqual(ids(orderQueue(session)), ['a1', 'b1', 'c1']);
+
+  // A long wait counts no more than the cap: bob's 22 songs are worth 5, not 22
+  session.songsPlayed = 30;
+  session.lastPlayedByRequester = { amy: 30, bob: 8, cat: 29 };
+  session.queue[0].votes = 6;
+  assert.deepStrictEqual(ids(orderQueue(session)), ['a1', 'b1', 'c1']);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { createRateLimiter } = require('../lib/rateLimits');
+const { VOTE_FLIP_LIMIT } = require('../lib/abuse');
+const { startServer, send, nextEvent, noEvent } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+test('budgets refill as hits leave the window', () => {
+  let time = 0;
+  const limiter = createRateLimiter({ windowMs: 1000, now: () => time });
+  const session = { id: 's1', settings: { rateLimits: { vote: { participant: 2, ip: 3 } } } };
+  const vote = (userId, ip) => limiter.check(session, 'vote', { userId, ip });
+
+  assert.strictEqual(vote('a', '10.0.0.1'), null);
+  time = 400;
+  assert.strictEqual(vote('a', '10.0.0.1'), null);
+  assert.deepStrictEqual(vote('a', '10.0.0.1'), { retryAfterMs: 600 });
+
+  // The address has one hit left, shared by everyone on it
+  assert.strictEqual(vote('b', '10.0.0.1'), null);
+  assert.deepStrictEqual(vote('c', '10.0.0.1'), { retryAfterMs: 600 });
+  assert.strictEqual(vote('c', '10.0.0.2'), null);
+
+  time = 1001;
+  assert.strictEqual(vote('a', '10.0.0.1'), null);
+  limiter.sweep();
+});
+
+test('votes over the limit get a 429 with a retry hint, over REST and the socket', async () => {
+  const { sessionId, djToken, guestToken, dj, guest } = await harness.setupSession('hammer', { rateLimits: { vote: { participant: 2, ip: 100 } } });
+  const { song } = await send(dj, 'addSong', { song: tracks[0] });
+  const vote = () => harness.request('POST', `/api/session/${sessionId}/vote`, { token: guestToken, body: { entryId: song.entryId, voteType: 'up' } });
+
+  assert.strictEqual((await vote()).status, 200);
+  assert.strictEqual((await vote()).status, 200);
+  const limited = await vote();
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.body.code, 'RATE_LIMITED');
+  assert.ok(limited.body.retryAfter >= 1 && limited.body.retryAfter <= 60, limited.body.retryAfter);
+  assert.strictEqual(limited.headers.get('retry-after'), String(limited.body.retryAfter));
+
+  const overSocket = await send(guest, 'vote', { entryId: song.entryId, voteType: 'up' });
+  assert.strictEqual(overSocket.code, 'RATE_LIMITED');
+  assert.strictEqual(typeof overSocket.retryAfter, 'number');
+
+  // Everyone has their own budget
+  const djVote = await harness.request('POST', `/api/session/${sessionId}/vote`, { token: djToken, body: { entryId: song.entryId, voteType: 'up' } });
+  assert.strictEqual(djVote.status, 200);
+});
+
+test('everyone behind one address shares its budget', async () => {
+  const { sessionId, djToken, guestToken } = await harness.setupSession('cafe', { rateLimits: { search: { participant: 10, ip: 3 } } });
+  const search = token => harness.request('GET', `/api/search?query=city&sessionId=${sessionId}`, { token });
+
+  assert.strictEqual((await search(guestToken)).status, 200);
+  assert.strictEqual((await search(guestToken)).status, 200);
+  assert.strictEqual((await search(djToken)).status, 200);
+  const limited = await search(djToken);
+  assert.strictEqual(limited.status, 429);
+  assert.ok(limited.headers.get('retry-after'));
+});
+
+test('rate limits are checked like any other setting', async () => {
+  const { sessionId, token: djToken } = await harness.createSession('configurer');
+  const settings = body => harness.request('POST', `/api/session/${sessionId}/settings`, { token: djToken, body });
+
+  const { body } = await settings({ rateLimits: { request: { participant: 2, ip: 4 } } });
+  assert.deepStrictEqual(body.settings.rateLimits.request, { participant: 2, ip: 4 });
+  assert.deepStrictEqual(body.settings.rateLimits.vote, { participant: 30, ip: 120 });
+
+  assert.strictEqual((await settings({ rateLimits: { request: { participant: 0, ip: 4 } } })).body.code, 'VALIDATION_FAILED');
+  assert.strictEqual((await settings({ rateLimits: { request: { participant: 2 } } })).body.code, 'VALIDATION_FAILED');
+  assert.strictEqual((await settings({ rateLimits: { playNext: { participant: 2, ip: 4 } } })).body.code, 'VALIDATION_FAILED');
+});
+
+test('request floods and vote flipping are flagged to the DJ only', async () => {
+  const { sessionId, djToken, dj, guest } = await harness.setupSession('flooder', { rateLimits: { request: { participant: 1, ip: 100 } } });
+
+  assert.strictEqual((await send(guest, 'requestSong', { song: tracks[1] })).success, true);
+  const flooded = nextEvent(dj, 'abuseFlag');
+  const guestHears = noEvent(guest, 'abuseFlag');
+  assert.strictEqual((await send(guest, 'requestSong', { song: tracks[2] })).code, 'RATE_LIMITED');
+  const flood = await flooded;
+  assert.deepStrictEqual([flood.kind, flood.userId], ['requestFlood', 'flooder-guest']);
+  await guestHears;
+
+  // Flagged once, not on every retry
+  const quiet = noEvent(dj, 'abuseFlag');
+  await send(guest, 'requestSong', { song: tracks[2] });
+  await quiet;
+
+  const { song } = await send(dj, 'addSong', { song: tracks[3] });
+  const flipped = nextEvent(dj, 'abuseFlag');
+  for (let i = 0; i < VOTE_FLIP_LIMIT; i++) {
+    await send(guest, 'vote', { entryId: song.entryId, voteType: i % 2 ? 'down' : 'up' });
+  }
+  const flip = await flipped;
+  assert.deepStrictEqual([flip.kind, flip.userId], ['voteFlipping', 'flooder-guest']);
+
+  const { body } = await harness.request('GET', `/api/session/${sessionId}/moderation`, { token: djToken });
+  assert.deepStrictEqual(body.flags.map(flag => flag.kind), ['requestFlood', 'voteFlipping']);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { startServer, nextEvent } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+// A session where `guest` can request songs and the DJ watches the socket
+async function setup(name) {
+  const dj = await harness.createSession(name);
+  const guest = await harness.joinSession(dj.sessionId, `${name}-guest`);
+  const socket = await harness.connect(dj.sessionId, dj.token);
+  const call = (token, action, body) => harness.request('POST', `/api/session/${dj.sessionId}/${action}`, { token, body });
+  return {
+    sessionId: dj.sessionId,
+    socket,
+    dj: (action, body) => call(dj.token, action, body),
+    guest: (action, body) => call(guest.token, action, body)
+  };
+}
+
+test('requesting a song broadcasts pendingRequestsUpdate and a toast for the DJ', async () => {
+  const { sessionId, socket, guest } = await setup('requested');
+
+  const pending = nextEvent(socket, 'pendingRequestsUpdate');
+  const toast = nextEvent(socket, 'newSongRequest');
+  assert.strictEqual((await guest('request-song', { song: tracks[0] })).status, 200);
+
+  const { pendingRequests } = await pending;
+  assert.deepStrictEqual(pendingRequests.map(song => song.id), [tracks[0].id]);
+  // Credited to the token holder, whatever the body claims
+  assert.deepStrictEqual(pendingRequests[0].requestedBy, { username: 'requested-guest', userId: 'requested-guest' });
+  assert.strictEqual((await toast).sessionId, sessionId);
+
+  const { body } = await harness.request('GET', `/api/session/${sessionId}/pending-requests`);
+  assert.strictEqual(body.pendingRequests.length, 1);
+});
+
+test('the same song cannot be requested twice or while it is queued', async () => {
+  const { guest, dj } = await setup('repeat');
+  await guest('request-song', { song: tracks[0] });
+
+  const again = await guest('request-song', { song: tracks[0] });
+  assert.strictEqual(again.status, 409);
+  assert.strictEqual(again.body.error, 'Song has already been requested');
+
+  await dj('add-song', { song: tracks[1] });
+  const queued = await guest('request-song', { song: tracks[1] });
+  assert.strictEqual(queued.status, 409);
+  assert.strictEqual(queued.body.error, 'Song is already in the queue');
+});
+
+test('only the DJ can approve or deny requests', async () => {
+  const { guest } = await setup('bouncer');
+  await guest('request-song', { song: tracks[0] });
+
+  assert.strictEqual((await guest('approve-request', { songId: tracks[0].id })).status, 403);
+  assert.strictEqual((await guest('deny-request', { songId: tracks[0].id })).status, 403);
+  assert.strictEqual((await harness.request('POST', '/api/session/missing/approve-request', { body: { songId: tracks[0].id } })).status, 401);
+});
+
+test('approving queues the song for its requester and broadcasts both lists', async () => {
+  const { socket, guest, dj } = await setup('approver');
+  await guest('request-song', { song: tracks[0] });
+
+  const queueUpdate = nextEvent(socket, 'queueUpdate');
+  const pendingUpdate = nextEvent(socket, 'pendingRequestsUpdate');
+  const { status, body } = await dj('approve-request', { songId: tracks[0].id });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.merged, false);
+
+  const { queue } = await queueUpdate;
+  assert.strictEqual(queue.length, 1);
+  assert.strictEqual(queue[0].id, tracks[0].id);
+  assert.deepStrictEqual(queue[0].addedBy, { userId: 'approver-guest', username: 'approver-guest' });
+  assert.deepStrictEqual((await pendingUpdate).pendingRequests, []);
+
+  assert.strictEqual((await dj('approve-request', { songId: tracks[0].id })).status, 404);
+});
+
+test('approving a song that has since been queued keeps the request and reports the conflict', async () => {
+  const { sessionId, guest, dj } = await setup('late');
+  await guest('request-song', { song: tracks[0] });
+  await dj('add-song', { song: tracks[0] });
+
+  const { status, body } = await dj('approve-request', { songId: tracks[0].id });
+  assert.strictEqual(status, 409);
+  assert.strictEqual(body.error, 'Song is already in the queue');
+  const pending = await harness.request('GET', `/api/session/${sessionId}/pending-requests`);
+  assert.strictEqual(pending.body.pendingRequests.length, 1);
+});
+
+test('denying drops the request and broadcasts pendingRequestsUpdate', async () => {
+  const { sessionId, socket, guest, dj } = await setup('denier');
+  await guest('request-song', { song: tracks[0] });
+  await guest('request-song', { song: tracks[1] });
+
+  const pendingUpdate = nextEvent(socket, 'pendingRequestsUpdate');
+  assert.strictEqual((await dj('deny-request', { songId: tracks[0].id })).status, 200);
+  assert.deepStrictEqual((await pendingUpdate).pendingRequests.map(song => song.id), [tracks[1].id]);
+
+  const { body } = await harness.request('GET', `/api/session/${sessionId}`);
+  assert.strictEqual(body.session.queue.length, 0);
+});
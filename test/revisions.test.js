@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { createRevisionLog } = require('../lib/revisions');
+const { startServer, send, nextEvent } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+test('the log hands back missed events until they fall off the end', () => {
+  const log = createRevisionLog({ limit: 3 });
+  const session = { id: 's1' };
+  ['a', 'b', 'c', 'd'].forEach(event => log.record(session, event, { event }));
+
+  assert.strictEqual(session.revision, 4);
+  assert.deepStrictEqual(log.since(session, 2).map(entry => [entry.revision, entry.event, entry.payload.revision]), [[3, 'c', 3], [4, 'd', 4]]);
+  assert.deepStrictEqual(log.since(session, 4), []);
+  assert.deepStrictEqual(log.since(session, 1).map(entry => entry.event), ['b', 'c', 'd']);
+  assert.strictEqual(log.since(session, 0), null); // 'a' is gone
+  assert.strictEqual(log.since(session, 9), null); // from before a restart
+  assert.strictEqual(log.since(session, undefined), null);
+});
+
+test('broadcasts carry the session revision and reconnects catch up on what they missed', async () => {
+  const dj = await harness.createSession('revisionist');
+  const guest = await harness.joinSession(dj.sessionId, 'revisionist-guest');
+  const djSocket = await harness.connect(dj.sessionId, dj.token);
+  const guestSocket = await harness.connect(dj.sessionId, guest.token);
+
+  const queued = nextEvent(guestSocket, 'queueUpdate');
+  const { song } = await send(djSocket, 'addSong', { song: tracks[0] });
+  const seen = (await queued).revision;
+  assert.strictEqual(seen, 1);
+
+  // The guest drops off while the queue changes
+  guestSocket.disconnect();
+  await send(djSocket, 'addSong', { song: tracks[1] });
+  await send(djSocket, 'vote', { entryId: song.entryId, voteType: 'up' });
+
+  const { body } = await harness.request('GET', `/api/session/${dj.sessionId}`);
+  assert.strictEqual(body.session.revision, 3);
+
+  const back = await harness.connect(dj.sessionId, guest.token);
+  const ack = await send(back, 'joinSession', { sessionId: dj.sessionId, token: guest.token, sinceRevision: seen });
+  assert.strictEqual(ack.resync.revision, 3);
+  assert.deepStrictEqual(ack.resync.events.map(({ revision, event }) => [revision, event]), [[2, 'queueUpdate'], [3, 'voteUpdate']]);
+  assert.strictEqual(ack.resync.events[1].payload.votes, 1);
+
+  const upToDate = await send(back, 'resync', { sinceRevision: 3 });
+  assert.deepStrictEqual(upToDate, { success: true, revision: 3, events: [] });
+
+  // Without a revision (or one the log can't reach) the whole session comes back
+  const full = await send(back, 'resync', {});
+  assert.strictEqual(full.revision, 3);
+  assert.deepStrictEqual(full.snapshot.queue.map(entry => [entry.id, entry.votes]), [[tracks[0].id, 1], [tracks[1].id, 0]]);
+  assert.strictEqual((await send(back, 'resync', { sinceRevision: 50 })).snapshot.revision, 3);
+});
+
+test('settings changes and requests count as revisions; toasts do not', async () => {
+  const dj = await harness.createSession('counter');
+  const guest = await harness.joinSession(dj.sessionId, 'counter-guest');
+  const djSocket = await harness.connect(dj.sessionId, dj.token);
+  const guestSocket = await harness.connect(dj.sessionId, guest.token);
+
+  const toast = nextEvent(djSocket, 'newSongRequest');
+  await send(guestSocket, 'requestSong', { song: tracks[2] });
+  assert.strictEqual((await toast).revision, undefined);
+
+  const settings = nextEvent(guestSocket, 'settingsUpdate');
+  await harness.request('POST', `/api/session/${dj.sessionId}/settings`, { token: dj.token, body: { autoAdvance: false } });
+  assert.strictEqual((await settings).revision, 2);
+
+  const sync = await send(guestSocket, 'resync', { sinceRevision: 0 });
+  assert.deepStrictEqual(sync.events.map(entry => entry.event), ['pendingRequestsUpdate', 'settingsUpdate', 'queueUpdate']);
+});
+
+test('resync wants a whole-number revision', async () => {
+  const dj = await harness.createSession('resyncer');
+  const socket = await harness.connect(dj.sessionId, dj.token);
+  const invalid = await send(socket, 'resync', { sinceRevision: 'latest' });
+  assert.strictEqual(invalid.code, 'VALIDATION_FAILED');
+  assert.strictEqual(invalid.details[0].field, 'sinceRevision');
+});
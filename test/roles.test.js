@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { djIsAway, pickSuccessor } = require('../lib/roles');
+const { startServer, send, nextEvent } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+// A session with a DJ and the given guests, everyone connected
+async function setup(name, guestIds) {
+  const dj = await harness.createSession(name);
+  const sockets = { dj: await harness.connect(dj.sessionId, dj.token) };
+  const tokens = { dj: dj.token };
+  for (const guestId of guestIds) {
+    const guest = await harness.joinSession(dj.sessionId, guestId);
+    tokens[guestId] = guest.token;
+    sockets[guestId] = await harness.connect(dj.sessionId, guest.token);
+  }
+  return { sessionId: dj.sessionId, authToken: dj.authToken, sockets, tokens };
+}
+
+test('successors are co-DJs first, then moderators, then whoever joined first', () => {
+  const session = {
+    dj: { userId: 'dj', username: 'dj' },
+    roles: { mod: 'moderator', co: 'coDj' },
+    participants: ['early', 'late', 'mod', 'co'].map(userId => ({ userId, username: userId }))
+  };
+  const member = (userId, status) => ({ userId, status });
+
+  assert.strictEqual(pickSuccessor(session, [member('dj', 'offline'), member('late', 'online'), member('early', 'online'), member('mod', 'idle'), member('co', 'offline')]).userId, 'mod');
+  assert.strictEqual(pickSuccessor(session, [member('late', 'online'), member('early', 'idle')]).userId, 'late');
+  assert.strictEqual(pickSuccessor(session, [member('late', 'online'), member('early', 'online')]).userId, 'early');
+  assert.strictEqual(pickSuccessor(session, [member('stranger', 'online'), member('early', 'offline')]), null);
+});
+
+test('the DJ is away once offline for djAwayMinutes', () => {
+  const session = { dj: { userId: 'dj' }, settings: { djAwayMinutes: 5 } };
+  const left = Date.parse('2024-01-01T20:00:00Z');
+  const members = [{ userId: 'dj', status: 'offline', lastSeenAt: new Date(left).toISOString() }];
+
+  assert.strictEqual(djIsAway(session, members, left + 4 * 60 * 1000), false);
+  assert.strictEqual(djIsAway(session, members, left + 5 * 60 * 1000), true);
+  assert.strictEqual(djIsAway({ ...session, settings: { djAwayMinutes: 0 } }, members, left + 60 * 60 * 1000), false);
+  assert.strictEqual(djIsAway(session, [{ ...members[0], status: 'idle' }], left + 60 * 60 * 1000), false);
+});
+
+test('the DJ appoints a co-DJ and a moderator, and each gets what their role allows', async () => {
+  const { sockets } = await setup('appointer', ['appointer-co', 'appointer-mod']);
+
+  const announced = nextEvent(sockets['appointer-mod'], 'rolesUpdate');
+  assert.deepStrictEqual(await send(sockets.dj, 'setRole', { userId: 'appointer-co', role: 'coDj' }), { success: true, userId: 'appointer-co', role: 'coDj' });
+  const update = await announced;
+  assert.deepStrictEqual(update.change, { userId: 'appointer-co', role: 'coDj', reason: 'appointed' });
+  assert.deepStrictEqual(update.roles, { 'appointer-co': 'coDj' });
+  assert.strictEqual(update.dj.userId, 'appointer');
+  await send(sockets.dj, 'setRole', { userId: 'appointer-mod', role: 'moderator' });
+
+  // Co-DJs queue and play on the DJ's Spotify
+  const added = await send(sockets['appointer-co'], 'addSong', { song: tracks[0] });
+  assert.strictEqual(added.success, true);
+  assert.strictEqual((await send(sockets['appointer-co'], 'playNext', {})).success, true);
+  assert.strictEqual(harness.provider.getPlayer('appointer').current.uri, tracks[0].uri);
+
+  // Moderators review requests but can't queue songs or hand out roles
+  await send(sockets['appointer-mod'], 'requestSong', { song: tracks[1] });
+  assert.strictEqual((await send(sockets['appointer-mod'], 'approveRequest', { songId: tracks[1].id })).success, true);
+  assert.strictEqual((await send(sockets['appointer-mod'], 'addSong', { song: tracks[2] })).code, 'ROLE_FORBIDDEN');
+  assert.strictEqual((await send(sockets['appointer-co'], 'setRole', { userId: 'appointer-mod', role: 'coDj' })).code, 'ROLE_FORBIDDEN');
+
+  // Nobody changes the DJ's role this way
+  assert.strictEqual((await send(sockets.dj, 'setRole', { userId: 'appointer', role: 'participant' })).code, 'ROLE_FORBIDDEN');
+  assert.strictEqual((await send(sockets.dj, 'setRole', { userId: 'stranger', role: 'moderator' })).code, 'MEMBER_NOT_FOUND');
+
+  // Taking the role away takes the permissions with it
+  await send(sockets.dj, 'setRole', { userId: 'appointer-mod', role: 'participant' });
+  assert.strictEqual((await send(sockets['appointer-mod'], 'denyRequest', { songId: tracks[1].id })).code, 'ROLE_FORBIDDEN');
+});
+
+test('the DJ decides what each role may do', async () => {
+  const { sessionId, tokens, sockets } = await setup('delegator', ['delegator-mod']);
+  await send(sockets.dj, 'setRole', { userId: 'delegator-mod', role: 'moderator' });
+  assert.strictEqual((await send(sockets['delegator-mod'], 'addSong', { song: tracks[3] })).code, 'ROLE_FORBIDDEN');
+
+  const settings = changes => harness.request('POST', `/api/session/${sessionId}/settings`, { token: tokens.dj, body: changes });
+  const { body } = await settings({ rolePermissions: { moderator: ['reviewRequests', 'queueSongs'] } });
+  assert.deepStrictEqual(body.settings.rolePermissions.moderator, ['reviewRequests', 'queueSongs']);
+  assert.deepStrictEqual(body.settings.rolePermissions.coDj, ['queueSongs', 'playNext', 'reviewRequests', 'savePlaylists', 'moderate', 'admitJoiners']);
+  assert.strictEqual((await send(sockets['delegator-mod'], 'addSong', { song: tracks[3] })).success, true);
+
+  assert.strictEqual((await settings({ rolePermissions: { moderator: ['transferDj'] } })).body.code, 'VALIDATION_FAILED');
+  assert.strictEqual((await settings({ rolePermissions: { dj: [] } })).body.code, 'VALIDATION_FAILED');
+  const forbidden = await harness.request('POST', `/api/session/${sessionId}/settings`, { token: tokens['delegator-mod'], body: { autoAdvance: false } });
+  assert.strictEqual(forbidden.body.code, 'ROLE_FORBIDDEN');
+});
+
+test('handing off the DJ role moves control and playback to the new DJ', async () => {
+  const { sessionId, sockets } = await setup('handoff', []);
+  // The new DJ has a Spotify login of their own for playback
+  const { authToken } = await harness.login('mock:handoff-next');
+  const joined = await harness.request('POST', '/api/session/join', {
+    token: authToken,
+    body: { sessionId, userId: 'handoff-next', username: 'Next' }
+  });
+  const next = await harness.connect(sessionId, joined.body.token);
+
+  const announced = nextEvent(next, 'rolesUpdate');
+  const reply = await send(sockets.dj, 'transferDj', { userId: 'handoff-next' });
+  assert.deepStrictEqual(reply, { success: true, dj: { userId: 'handoff-next', username: 'Next' } });
+  const update = await announced;
+  assert.deepStrictEqual(update.change, { userId: 'handoff-next', role: 'dj', reason: 'transfer' });
+  assert.deepStrictEqual(update.roles, { handoff: 'coDj' });
+
+  assert.strictEqual((await send(sockets.dj, 'transferDj', { userId: 'handoff' })).code, 'ROLE_FORBIDDEN');
+  await send(next, 'addSong', { song: tracks[4] });
+  await send(next, 'playNext', {});
+  assert.strictEqual(harness.provider.getPlayer('handoff-next').current.uri, tracks[4].uri);
+
+  const { body } = await harness.request('GET', `/api/session/${sessionId}/presence`);
+  assert.deepStrictEqual(body.presence.map(member => [member.userId, member.role]), [['handoff', 'coDj'], ['handoff-next', 'dj']]);
+});
+
+test('a user id with a role can only be rejoined by its owner', async () => {
+  const { sessionId, authToken } = await setup('owner', []);
+  const body = { sessionId, userId: 'owner', username: 'owner' };
+
+  const impostor = await harness.request('POST', '/api/session/join', { body });
+  assert.strictEqual(impostor.status, 403);
+  assert.strictEqual(impostor.body.code, 'IDENTITY_REQUIRED');
+
+  // The DJ on a new device proves it with their Spotify login
+  const newDevice = await harness.request('POST', '/api/session/join', { token: authToken, body });
+  assert.strictEqual(newDevice.body.participant.role, 'dj');
+});
+
+test('someone who is here takes over once the DJ has been away long enough', async () => {
+  const { sessionId, sockets } = await setup('wanderer', ['wanderer-early', 'wanderer-late']);
+
+  await harness.promoteAwayDjs(Date.now() + 60 * 60 * 1000);
+  assert.strictEqual((await harness.request('GET', `/api/session/${sessionId}`)).body.session.dj.userId, 'wanderer');
+
+  const announced = nextEvent(sockets['wanderer-late'], 'rolesUpdate');
+  sockets.dj.disconnect();
+  await nextEvent(sockets['wanderer-late'], 'presenceUpdate');
+  await harness.promoteAwayDjs(Date.now() + 4 * 60 * 1000);
+  assert.strictEqual((await harness.request('GET', `/api/session/${sessionId}`)).body.session.dj.userId, 'wanderer');
+  await harness.promoteAwayDjs(Date.now() + 5 * 60 * 1000);
+
+  const update = await announced;
+  assert.deepStrictEqual(update.change, { userId: 'wanderer-early', role: 'dj', reason: 'djAway' });
+  assert.deepStrictEqual(update.roles, { wanderer: 'coDj' });
+  assert.strictEqual((await send(sockets['wanderer-early'], 'setRole', { userId: 'wanderer-late', role: 'moderator' })).success, true);
+});
+
+test('the DJ role only goes to someone whose Spotify login the server holds', async () => {
+  const { sessionId, sockets } = await setup('vaulted', ['vaulted-early', 'vaulted-late']);
+  // Their login is gone from the vault (or never made it there)
+  harness.store.deleteVaultEntry('vaulted-early');
+
+  const refused = await send(sockets.dj, 'transferDj', { userId: 'vaulted-early' });
+  assert.strictEqual(refused.code, 'NO_SPOTIFY_LOGIN');
+  assert.strictEqual(harness.store.getSession(sessionId).dj.userId, 'vaulted');
+
+  const announced = nextEvent(sockets['vaulted-late'], 'rolesUpdate');
+  sockets.dj.disconnect();
+  await nextEvent(sockets['vaulted-late'], 'presenceUpdate');
+  await harness.promoteAwayDjs(Date.now() + 5 * 60 * 1000);
+  assert.strictEqual((await announced).change.userId, 'vaulted-late');
+
+  // Playback runs on the new DJ's login
+  await send(sockets['vaulted-late'], 'addSong', { song: tracks[2] });
+  assert.strictEqual((await send(sockets['vaulted-late'], 'playNext', {})).success, true);
+});
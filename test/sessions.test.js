@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ERROR_STATUS } = require('../lib/errors');
+const { startServer } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+test('config reports the music provider', async () => {
+  const { body } = await harness.request('GET', '/api/config');
+  assert.deepStrictEqual(body, { provider: 'mock' });
+});
+
+test('login redirects to the provider and the callback issues a user token', async () => {
+  const redirect = await harness.request('GET', '/auth/spotify');
+  assert.strictEqual(redirect.status, 302);
+  assert.match(redirect.headers.get('location'), /\/auth\/spotify\/callback\?code=mock$/);
+
+  const { authToken, user } = await harness.login('mock');
+  assert.strictEqual(user.id, 'mock-dj');
+
+  const { status, body } = await harness.request('GET', '/auth/spotify/token', { token: authToken });
+  assert.strictEqual(status, 200);
+  assert.match(body.accessToken, /^mock-access:mock-dj:/);
+  assert.ok(body.expiresAt > Date.now());
+});
+
+test('callback rejects a missing or bad code', async () => {
+  assert.strictEqual((await harness.request('GET', '/auth/spotify/callback')).status, 400);
+  assert.strictEqual((await harness.request('GET', '/auth/spotify/callback?error=access_denied')).status, 400);
+  assert.strictEqual((await harness.request('GET', '/auth/spotify/callback?code=nope')).status, 500);
+});
+
+test('logout forgets the vaulted login', async () => {
+  const { authToken } = await harness.login('mock:leaver');
+  assert.strictEqual((await harness.request('POST', '/auth/logout', { token: authToken })).status, 200);
+  assert.strictEqual((await harness.request('GET', '/auth/spotify/token', { token: authToken })).status, 401);
+});
+
+test('creating a session needs a Spotify login', async () => {
+  const { status } = await harness.request('POST', '/api/session/create', { body: { sessionName: 'Nope' } });
+  assert.strictEqual(status, 401);
+});
+
+test('creating a session imports playlists and albums into the queue', async () => {
+  const created = await harness.createSession('importer', {
+    playlistId: 'spotify:playlist:mock00000000000playlist01\nhttps://open.spotify.com/album/mock0000000000000album01'
+  });
+
+  assert.strictEqual(created.participant.role, 'dj');
+  assert.deepStrictEqual(created.import.sources.map(({ name, imported, skipped }) => ({ name, imported, skipped })), [
+    { name: 'Party Starters', imported: 5, skipped: 1 },
+    { name: 'City Lights', imported: 3, skipped: 0 }
+  ]);
+  // Neon Parade is on both, so the album's copy is refused as a duplicate
+  assert.strictEqual(created.import.queued, 7);
+  assert.strictEqual(created.import.duplicates, 1);
+  assert.strictEqual(created.session.queue.length, 7);
+});
+
+test('creating a session rejects sources that are not Spotify links', async () => {
+  const { authToken } = await harness.login('mock:typo');
+  const { status, body } = await harness.request('POST', '/api/session/create', {
+    token: authToken,
+    body: { playlistId: 'not a playlist' }
+  });
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /not, a, playlist/);
+});
+
+test('joining returns a participant token and adds the participant once', async () => {
+  const { sessionId } = await harness.createSession('host');
+
+  const joined = await harness.joinSession(sessionId, 'guest');
+  assert.deepStrictEqual(joined.participant, { userId: 'guest', username: 'guest', role: 'participant' });
+  await harness.joinSession(sessionId, 'guest');
+
+  const { body } = await harness.request('GET', `/api/session/${sessionId}`);
+  assert.deepStrictEqual(body.session.participants.map(p => p.userId), ['guest']);
+  assert.strictEqual(body.session.songsPlayed, 0);
+});
+
+test('rejoining with the DJ token keeps the DJ role, and nobody joins as a user id they cannot prove', async () => {
+  const { sessionId, token } = await harness.createSession('reloader');
+
+  const rejoined = await harness.request('POST', '/api/session/join', {
+    token,
+    body: { sessionId, userId: 'reloader', username: 'reloader' }
+  });
+  assert.strictEqual(rejoined.body.participant.role, 'dj');
+
+  const impostor = await harness.request('POST', '/api/session/join', {
+    token,
+    body: { sessionId, userId: 'someone-else', username: 'someone-else' }
+  });
+  assert.strictEqual(impostor.status, ERROR_STATUS.IDENTITY_REQUIRED);
+  assert.strictEqual(impostor.body.code, 'IDENTITY_REQUIRED');
+
+  // A participant's id is no easier to claim than the DJ's
+  await harness.joinSession(sessionId, 'bob');
+  const anonymous = await harness.request('POST', '/api/session/join', { body: { sessionId, userId: 'bob', username: 'bob' } });
+  assert.strictEqual(anonymous.body.code, 'IDENTITY_REQUIRED');
+});
+
+test('unknown sessions are 404s', async () => {
+  assert.strictEqual((await harness.request('GET', '/api/session/missing')).status, 404);
+  const join = await harness.request('POST', '/api/session/join', { body: { sessionId: 'missing', userId: 'u', username: 'u' } });
+  assert.strictEqual(join.status, 404);
+});
+
+test('search runs on the DJ login for any participant of the session', async () => {
+  const { sessionId } = await harness.createSession('searcher');
+  const { token } = await harness.joinSession(sessionId, 'listener');
+
+  const { status, body } = await harness.request('GET', `/api/search?query=luna&sessionId=${sessionId}`, { token });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.tracks.map(track => track.name), ['Paper Planets', 'Gravity Games']);
+
+  const anonymous = await harness.request('GET', `/api/search?query=luna&sessionId=${sessionId}`);
+  assert.strictEqual(anonymous.status, 401);
+});
+
+test('participant tokens only work for their own session', async () => {
+  const first = await harness.createSession('first-dj');
+  const second = await harness.createSession('second-dj');
+
+  const { status } = await harness.request('GET', `/api/search?query=luna&sessionId=${second.sessionId}`, { token: first.token });
+  assert.strictEqual(status, 403);
+  await assert.rejects(harness.connect(second.sessionId, first.token), /Invalid or expired participant token/);
+  await assert.rejects(harness.connect(first.sessionId, 'garbage'), /Invalid or expired participant token/);
+});
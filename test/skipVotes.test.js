@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { skipVotesNeeded } = require('../lib/skipVotes');
+const { startServer, send, nextEvent, noEvent } = require('./helpers');
+
+let harness;
+
+test.before(async () => {
+  harness = await startServer();
+});
+
+test.after(() => harness.close());
+
+// A DJ and guests, all here, with tracks[0] playing and tracks[1] up next
+async function setup(name, guestCount, skipThreshold) {
+  const created = await harness.createSession(name);
+  const dj = await harness.connect(created.sessionId, created.token);
+  const guests = [];
+  for (let i = 0; i < guestCount; i++) {
+    const guest = await harness.joinSession(created.sessionId, `${name}-guest${i}`);
+    guests.push(await harness.connect(created.sessionId, guest.token));
+  }
+  if (skipThreshold) {
+    await harness.request('POST', `/api/session/${created.sessionId}/settings`, { token: created.token, body: { skipThreshold } });
+  }
+  await send(dj, 'addSong', { song: tracks[0] });
+  const { currentSong } = await send(dj, 'playNext', {});
+  await send(dj, 'addSong', { song: tracks[1] });
+  return { sessionId: created.sessionId, djToken: created.token, dj, guests, playing: currentSong };
+}
+
+test('the skip threshold is a share of the people here or a fixed count', () => {
+  assert.strictEqual(skipVotesNeeded({ type: 'percent', value: 50 }, 5), 3);
+  assert.strictEqual(skipVotesNeeded({ type: 'percent', value: 50 }, 4), 2);
+  assert.strictEqual(skipVotesNeeded({ type: 'percent', value: 10 }, 0), 1);
+  assert.strictEqual(skipVotesNeeded({ type: 'count', value: 4 }, 100), 4);
+  assert.strictEqual(skipVotesNeeded({ type: 'off' }, 5), null);
+});
+
+test('enough downvotes on the playing song skip to the next one', async () => {
+  const { sessionId, dj, guests, playing } = await setup('skipper', 3);
+
+  const meter = nextEvent(dj, 'skipMeterUpdate');
+  const first = await send(guests[0], 'vote', { entryId: playing.entryId, voteType: 'down' });
+  assert.deepStrictEqual([first.skipped, first.skipMeter.down, first.skipMeter.needed, first.skipMeter.present], [false, 1, 2, 4]);
+  const update = await meter;
+  assert.deepStrictEqual([update.entryId, update.down, update.needed, update.skip], [playing.entryId, 1, 2, false]);
+
+  // Upvotes don't hold a skip back
+  await send(guests[1], 'vote', { entryId: playing.entryId, voteType: 'up' });
+
+  const skipped = nextEvent(dj, 'songSkipped');
+  const played = nextEvent(dj, 'songPlayed');
+  const second = await send(guests[2], 'vote', { entryId: playing.entryId, voteType: 'down' });
+  assert.strictEqual(second.skipped, true);
+  assert.deepStrictEqual(await skipped, { entryId: playing.entryId, songId: tracks[0].id, name: tracks[0].name, down: 2, needed: 2 });
+  assert.strictEqual((await played).currentSong.id, tracks[1].id);
+
+  const session = harness.store.getSession(sessionId);
+  assert.strictEqual(session.skipMeter, null);
+  assert.strictEqual(session.songsPlayed, 2);
+});
+
+test('the skipped song\'s history record gets its skip votes and a skipped flag', async () => {
+  const { sessionId, djToken, dj, guests, playing } = await setup('chronicle', 2, { type: 'count', value: 2 });
+
+  await send(guests[0], 'vote', { entryId: playing.entryId, voteType: 'down' });
+  const played = nextEvent(dj, 'songPlayed');
+  await send(guests[1], 'vote', { entryId: playing.entryId, voteType: 'down' });
+  const { settledEntry } = await played;
+  assert.deepStrictEqual([settledEntry.entryId, settledEntry.down, settledEntry.votes, settledEntry.skipped], [playing.entryId, 2, -2, true]);
+
+  const { body } = await harness.request('GET', `/api/session/${sessionId}/history`);
+  assert.deepStrictEqual(body.history.map(record => [record.name, record.down, record.skipped]), [[tracks[0].name, 2, true], [tracks[1].name, 0, false]]);
+  const csv = await harness.request('GET', `/api/session/${sessionId}/history/export?format=csv`);
+  assert.match(csv.text.trim().split('\n')[1], /,-2,0,2,true$/);
+
+  // The song still playing when the session ends is settled into the archive too
+  await send(guests[0], 'vote', { entryId: harness.store.getSession(sessionId).currentSong.entryId, voteType: 'up' });
+  const ended = await harness.request('POST', `/api/session/${sessionId}/end`, { token: djToken, body: {} });
+  assert.deepStrictEqual(ended.body.archive.history.map(record => [record.up, record.skipped]), [[0, true], [1, false]]);
+});
+
+test('people voting without a socket count towards the share that skips', async () => {
+  const { sessionId, dj, guests, playing } = await setup('outsider', 2);
+  const quiet = noEvent(dj, 'songSkipped');
+
+  // Nobody else is connected as far as the REST voter's concerned, but the room is
+  const outsider = await harness.joinSession(sessionId, 'outsider-rest');
+  const vote = await harness.request('POST', `/api/session/${sessionId}/vote`, { token: outsider.token, body: { entryId: playing.entryId, voteType: 'down' } });
+  assert.strictEqual(vote.status, 200);
+  assert.deepStrictEqual([vote.body.skipped, vote.body.skipMeter.down, vote.body.skipMeter.needed, vote.body.skipMeter.present], [false, 1, 2, 4]);
+  assert.strictEqual(await quiet, true);
+
+  // A second one, still socketless, joins the count as well as the votes
+  const another = await harness.joinSession(sessionId, 'outsider-rest2');
+  const second = await harness.request('POST', `/api/session/${sessionId}/vote`, { token: another.token, body: { entryId: playing.entryId, voteType: 'down' } });
+  assert.deepStrictEqual([second.body.skipMeter.present, second.body.skipMeter.needed, second.body.skipped], [5, 3, false]);
+  assert.strictEqual((await send(guests[0], 'vote', { entryId: playing.entryId, voteType: 'down' })).skipped, true);
+});
+
+test('a fixed count ignores how many are here, and off never skips', async () => {
+  const counted = await setup('counter', 3, { type: 'count', value: 1 });
+  const skipped = nextEvent(counted.dj, 'songSkipped');
+  assert.strictEqual((await send(counted.guests[0], 'vote', { entryId: counted.playing.entryId, voteType: 'down' })).skipped, true);
+  await skipped;
+
+  const off = await setup('listener', 1, { type: 'off' });
+  const quiet = noEvent(off.dj, 'songSkipped');
+  const reply = await send(off.guests[0], 'vote', { entryId: off.playing.entryId, voteType: 'down' });
+  assert.deepStrictEqual([reply.skipped, reply.skipMeter.down, reply.skipMeter.needed], [false, 1, null]);
+  assert.strictEqual(await quiet, true);
+});
+
+test('with nothing queued the song plays on, and a withdrawn downvote comes off the meter', async () => {
+  const { sessionId, djToken, dj, guests, playing } = await setup('holdout', 1, { type: 'count', value: 2 });
+  await harness.request('POST', `/api/session/${sessionId}/play-next`, { token: djToken, body: { startPlayback: false } });
+  const current = harness.store.getSession(sessionId).currentSong;
+  assert.notStrictEqual(current.entryId, playing.entryId);
+
+  // The old song can't be voted on any more
+  assert.strictEqual((await send(guests[0], 'vote', { entryId: playing.entryId, voteType: 'down' })).code, 'ENTRY_NOT_FOUND');
+
+  await send(guests[0], 'vote', { entryId: current.entryId, voteType: 'down' });
+  const withdrawn = await send(guests[0], 'vote', { entryId: current.entryId, voteType: 'down' });
+  assert.strictEqual(withdrawn.skipMeter.down, 0);
+
+  await send(guests[0], 'vote', { entryId: current.entryId, voteType: 'down' });
+  const full = await send(dj, 'vote', { entryId: current.entryId, voteType: 'down' });
+  assert.deepStrictEqual([full.skipMeter.skip, full.skipped], [true, false]);
+  assert.strictEqual(harness.store.getSession(sessionId).currentSong.entryId, current.entryId);
+});
+
+test('settings reject malformed skip thresholds', async () => {
+  const { sessionId, token } = await harness.createSession('fiddler');
+  const settings = body => harness.request('POST', `/api/session/${sessionId}/settings`, { token, body });
+
+  assert.deepStrictEqual((await settings({ skipThreshold: { type: 'count', value: 3 } })).body.settings.skipThreshold, { type: 'count', value: 3 });
+  assert.strictEqual((await settings({ skipThreshold: { type: 'percent', value: 150 } })).body.code, 'VALIDATION_FAILED');
+  assert.strictEqual((await settings({ skipThreshold: { type: 'off', value: 3 } })).body.code, 'VALIDATION_FAILED');
+  assert.strictEqual((await settings({ skipThreshold: 'sometimes' })).body.code, 'VALIDATION_FAILED');
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SpotifyWebApi = require('spotify-web-api-node');
+const { startServer } = require('./helpers');
+
+// Stand in for the Spotify Web API. Each stub waits before reading the token it
+// was called with, the way a real request (or a paged import) awaits, so a
+// client whose token gets swapped mid-flight shows up as a leak.
+const calls = [];
+const originals = {};
+let tick = 0;
+const wait = () => new Promise(resolve => setTimeout(resolve, (tick++ % 4) * 5));
+
+const stubs = {
+  async authorizationCodeGrant(code) {
+    return { body: { access_token: `access-${code}`, refresh_token: `refresh-${code}`, expires_in: 3600 } };
+  },
+  async getMe() {
+    const userId = this.getAccessToken().replace('access-', '');
+    return { body: { id: userId, display_name: userId } };
+  },
+  async searchTracks(query) {
+    await wait();
+    const token = this.getAccessToken();
+    calls.push({ method: 'search', token, query });
+    return {
+      body: {
+        tracks: {
+          items: [{
+            id: `track-${token}`,
+            name: token,
+            artists: [{ name: 'Artist' }],
+            album: { name: 'Album', images: [] },
+            duration_ms: 1000,
+            uri: `spotify:track:${token}`
+          }]
+        }
+      }
+    };
+  },
+  async play({ uris }) {
+    await wait();
+    calls.push({ method: 'play', token: this.getAccessToken(), uri: uris[0] });
+    return { body: {} };
+  },
+  async getMyCurrentPlaybackState() {
+    return { body: null };
+  }
+};
+
+let harness;
+
+test.before(async () => {
+  Object.entries(stubs).forEach(([name, stub]) => {
+    originals[name] = SpotifyWebApi.prototype[name];
+    SpotifyWebApi.prototype[name] = stub;
+  });
+  harness = await startServer({ provider: 'spotify' });
+});
+
+test.after(() => {
+  Object.assign(SpotifyWebApi.prototype, originals);
+  harness.close();
+});
+
+const request = (...args) => harness.request(...args);
+
+// Log a DJ in through the OAuth callback and start a session with a few songs queued
+async function startSession(djId) {
+  const { authToken } = await harness.login(djId);
+
+  const created = await request('POST', '/api/session/create', {
+    token: authToken,
+    body: { sessionName: `${djId}'s jam` }
+  });
+  assert.strictEqual(created.status, 200);
+  const { sessionId, token } = created.body;
+
+  for (let i = 1; i <= 2; i++) {
+    const song = { id: `${djId}song${i}`, name: `Song ${i}`, artist: djId, uri: `spotify:track:${djId}song${i}` };
+    const added = await request('POST', `/api/session/${sessionId}/add-song`, { token, body: { song } });
+    assert.strictEqual(added.status, 200);
+  }
+
+  return { djId, sessionId, token, accessToken: `access-${djId}` };
+}
+
+test('concurrent searches and play-next calls each use their own session\'s Spotify token', async () => {
+  const sessions = await Promise.all(['djA', 'djB', 'djC'].map(startSession));
+
+  // Interleave every session's searches and plays so they are all in flight together
+  const work = [];
+  for (let round = 0; round < 2; round++) {
+    sessions.forEach(session => {
+      work.push(request('GET', `/api/search?query=${session.djId}-${round}&sessionId=${session.sessionId}`, { token: session.token })
+        .then(result => ({ kind: 'search', session, result })));
+      work.push(request('POST', `/api/session/${session.sessionId}/play-next`, { token: session.token })
+        .then(result => ({ kind: 'play', session, result })));
+    });
+  }
+  const results = await Promise.all(work);
+
+  results.forEach(({ kind, session, result }) => {
+    assert.strictEqual(result.status, 200, `${kind} for ${session.djId} failed`);
+    if (kind === 'search') {
+      assert.strictEqual(result.body.tracks[0].name, session.accessToken);
+    } else {
+      assert.ok(result.body.currentSong.uri.startsWith(`spotify:track:${session.djId}`));
+    }
+  });
+
+  // Spotify saw every call with the token of the session that made it
+  assert.strictEqual(calls.length, 12);
+  calls.forEach(call => {
+    const djId = call.token.replace('access-', '');
+    if (call.method === 'search') {
+      assert.ok(call.query.startsWith(`${djId}-`), `search "${call.query}" ran on ${call.token}`);
+    } else {
+      assert.ok(call.uri.startsWith(`spotify:track:${djId}`), `play ${call.uri} ran on ${call.token}`);
+    }
+  });
+});
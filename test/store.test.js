@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createFileStore } = require('../lib/store');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aux-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'data', 'sessions.json');
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('sessions, archives and the vault survive a reload from the file', (t) => {
+  const filePath = tempFile(t);
+  const store = createFileStore(filePath);
+  store.saveSession({ id: 'live', joinCode: 'ABC123', queue: [{ entryId: 'e1' }], voteLedger: { e1: [{ voterId: 'amy', vote: 'up' }] } });
+  store.saveSession({ id: 'gone', queue: [] });
+  store.deleteSession('gone');
+  store.saveArchive({ id: 'ended', reason: 'ended' });
+  store.saveVaultEntry('amy', { sealed: 'sealed', expiresAt: 1 });
+  store.flush();
+
+  const reloaded = createFileStore(filePath);
+  assert.strictEqual(reloaded.load(), 1);
+  assert.deepStrictEqual(reloaded.getSessionByCode('ABC123'), store.getSession('live'));
+  assert.strictEqual(reloaded.getSession('gone'), undefined);
+  assert.deepStrictEqual(reloaded.getArchive('ended'), { id: 'ended', reason: 'ended' });
+  assert.deepStrictEqual(reloaded.getVaultEntry('amy'), { sealed: 'sealed', expiresAt: 1 });
+
+  // Nothing on disk loads as nothing
+  assert.strictEqual(createFileStore(`${filePath}.missing`).load(), 0);
+});
+
+test('a burst of changes is written once, after the write delay', async (t) => {
+  const filePath = tempFile(t);
+  const store = createFileStore(filePath, { writeDelayMs: 30 });
+  const session = { id: 'busy', votes: 0 };
+  for (let i = 0; i < 100; i++) {
+    session.votes = i;
+    store.saveSession(session);
+  }
+  assert.strictEqual(fs.existsSync(filePath), false);
+
+  await wait(80);
+  assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).sessions.busy.votes, 99);
+
+  // With nothing pending, flushing leaves the file alone
+  fs.writeFileSync(filePath, '');
+  store.flush();
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '');
+});
+
+test('the server restores saved sessions on boot and writes pending changes on exit', (t) => {
+  const filePath = tempFile(t);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const saved = { id: 'restored', name: 'Kept jam', dj: { userId: 'dj', username: 'dj' }, queue: [], participants: [] };
+  fs.writeFileSync(filePath, JSON.stringify({ sessions: { restored: saved } }));
+
+  // Boot a server of its own on the file, report what it restored and exit
+  const script = `
+    const server = require('./server');
+    server.start(0).on('listening', () => {
+      const session = server.store.getSession('restored');
+      console.log(JSON.stringify({ name: session && session.name, joinCode: session && session.joinCode }));
+      process.exit(0);
+    });`;
+  const output = execFileSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, MUSIC_PROVIDER: 'mock', SESSION_STORE: 'file', SESSION_STORE_PATH: filePath, SESSION_SECRET: 'test-secret' },
+    encoding: 'utf8',
+    timeout: 20000
+  });
+  const booted = JSON.parse(output.trim().split('\n').pop());
+  assert.strictEqual(booted.name, 'Kept jam');
+  // Sessions saved before join codes existed get one on boot, and it reached the file
+  assert.ok(booted.joinCode);
+  assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).sessions.restored.joinCode, booted.joinCode);
+});
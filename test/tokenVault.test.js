@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore } = require('../lib/store');
+const { createTokenVault } = require('../lib/tokenVault');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { startServer, send } = require('./helpers');
+
+const failWith = statusCode => async () => {
+  throw Object.assign(new Error('Refresh failed'), { statusCode });
+};
+
+test('tokens sealed under another secret count as logged out and are dropped', async () => {
+  const store = createMemoryStore();
+  const before = createTokenVault({ secret: 'old-secret', store, refresh: failWith(500) });
+  before.save('dj', { accessToken: 'access', refreshToken: 'refresh', expiresIn: 3600 });
+  assert.strictEqual(await before.getAccessToken('dj'), 'access');
+
+  const after = createTokenVault({ secret: 'new-secret', store, refresh: failWith(500) });
+  assert.strictEqual(await after.getAccessToken('dj'), null);
+  assert.strictEqual(store.getVaultEntry('dj'), undefined);
+});
+
+test('a refresh token Spotify turns down counts as logged out; an outage does not drop it', async () => {
+  const store = createMemoryStore();
+  const revoked = createTokenVault({ secret: 'secret', store, refresh: failWith(400) });
+  revoked.save('dj', { accessToken: 'access', refreshToken: 'refresh', expiresIn: 60 });
+  assert.strictEqual(await revoked.getAccessToken('dj'), null);
+  assert.strictEqual(store.getVaultEntry('dj'), undefined);
+
+  const unreachable = createTokenVault({ secret: 'secret', store, refresh: failWith(503) });
+  unreachable.save('dj', { accessToken: 'access', refreshToken: 'refresh', expiresIn: 60 });
+  assert.strictEqual(await unreachable.getAccessToken('dj'), null);
+  assert.ok(store.getVaultEntry('dj'));
+});
+
+test('unreadable DJ tokens ask for a login instead of failing', async () => {
+  const harness = await startServer();
+  try {
+    const { authToken } = await harness.login('mock:lapsed');
+    const unreadable = () => harness.store.saveVaultEntry('lapsed', { sealed: 'AAAA.AAAA.AAAA', expiresAt: Date.now() + 3600000 });
+
+    unreadable();
+    const created = await harness.request('POST', '/api/session/create', { token: authToken, body: { sessionName: 'lapsed' } });
+    assert.strictEqual(created.status, 401);
+    assert.strictEqual(created.body.code, 'LOGIN_REQUIRED');
+    unreadable();
+    assert.strictEqual((await harness.request('GET', '/auth/spotify/token', { token: authToken })).body.code, 'LOGIN_REQUIRED');
+
+    // A session whose DJ's tokens went bad says so when asked to play
+    const { sessionId, token } = await harness.createSession('faded');
+    const dj = await harness.connect(sessionId, token);
+    await send(dj, 'addSong', { song: tracks[0] });
+    harness.store.saveVaultEntry('faded', { sealed: 'AAAA.AAAA.AAAA', expiresAt: Date.now() + 3600000 });
+    assert.strictEqual((await send(dj, 'playNext', {})).code, 'DJ_LOGIN_EXPIRED');
+  } finally {
+    harness.close();
+  }
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tracks } = require('../lib/providers/fixtures/catalog.json');
+const { ERROR_STATUS } = require('../lib/errors');
+const { startServer } = require('./helpers');
+
+let harness;
+let session;
+let guestToken;
+
+test.before(async () => {
+  harness = await startServer();
+  session = await harness.createSession('validator');
+  ({ token: guestToken } = await harness.joinSession(session.sessionId, 'validator-guest'));
+});
+
+test.after(() => harness.close());
+
+function post(action, body, token = session.token) {
+  return harness.request('POST', `/api/session/${session.sessionId}/${action}`, { token, body });
+}
+
+// Every error has the same envelope and the status that belongs to its code
+function assertError(response, code) {
+  assert.strictEqual(response.body.code, code, JSON.stringify(response.body));
+  assert.strictEqual(response.status, ERROR_STATUS[code]);
+  assert.strictEqual(typeof response.body.error, 'string');
+}
+
+test('songs must be complete tracks', async () => {
+  const missing = await post('add-song', {});
+  assertError(missing, 'VALIDATION_FAILED');
+  assert.deepStrictEqual(missing.body.details, [{ field: 'song', message: 'must be an object' }]);
+
+  const noId = await post('request-song', { song: { ...tracks[0], id: undefined } }, guestToken);
+  assertError(noId, 'VALIDATION_FAILED');
+  assert.deepStrictEqual(noId.body.details.map(detail => detail.field), ['song.id']);
+
+  const badUri = await post('add-song', { song: { ...tracks[0], uri: 'https://example.com/track' } });
+  assertError(badUri, 'VALIDATION_FAILED');
+  assert.strictEqual(badUri.body.error, 'song.uri is not in the expected format');
+});
+
+test('songs only keep the fields a track has', async () => {
+  const { body } = await post('add-song', { song: { ...tracks[6], votes: 99, addedBy: { userId: 'someone-else' }, isAdmin: true } });
+  assert.strictEqual(body.song.votes, 0);
+  assert.strictEqual(body.song.addedBy.userId, 'validator');
+  assert.strictEqual(body.song.isAdmin, undefined);
+});
+
+test('votes must be up or down', async () => {
+  const { body: { song } } = await post('add-song', { song: tracks[7] });
+  const sideways = await post('vote', { entryId: song.entryId, voteType: 'sideways' }, guestToken);
+  assertError(sideways, 'VALIDATION_FAILED');
+  assert.strictEqual(sideways.body.error, 'voteType must be one of: up, down');
+  assertError(await post('vote', { voteType: 'up' }, guestToken), 'VALIDATION_FAILED');
+});
+
+test('join needs a session and name, and any user id must be a string', async () => {
+  const response = await harness.request('POST', '/api/session/join', { body: { sessionId: session.sessionId, userId: 42, username: '  ' } });
+  assertError(response, 'VALIDATION_FAILED');
+  assert.deepStrictEqual(response.body.details, [
+    { field: 'userId', message: 'must be a string' },
+    { field: 'username', message: 'must not be empty' }
+  ]);
+});
+
+test('query strings are validated too', async () => {
+  assertError(await harness.request('GET', `/api/search?sessionId=${session.sessionId}`, { token: guestToken }), 'VALIDATION_FAILED');
+  assertError(await harness.request('GET', `/api/session/${session.sessionId}/history/export?format=xml`), 'VALIDATION_FAILED');
+});
+
+test('settings report the offending key', async () => {
+  const response = await post('settings', { replayCooldownMinutes: -5 });
+  assertError(response, 'VALIDATION_FAILED');
+  assert.deepStrictEqual(response.body.details, [{ field: 'replayCooldownMinutes', message: 'Invalid value for replayCooldownMinutes' }]);
+});
+
+test('auth and permission failures carry their own codes', async () => {
+  assertError(await post('add-song', { song: tracks[8] }, null), 'TOKEN_REQUIRED');
+  assertError(await post('add-song', { song: tracks[8] }, 'not.a-token'), 'TOKEN_INVALID');
+  assertError(await post('add-song', { song: tracks[8] }, guestToken), 'ROLE_FORBIDDEN');
+  assertError(await harness.request('POST', '/api/session/create', { body: {} }), 'LOGIN_REQUIRED');
+
+  const other = await harness.createSession('other-validator');
+  assertError(await post('add-song', { song: tracks[8] }, other.token), 'WRONG_SESSION');
+});
+
+test('business rule failures carry their own codes', async () => {
+  await post('add-song', { song: tracks[9] });
+  assertError(await post('add-song', { song: tracks[9] }), 'ALREADY_QUEUED');
+
+  await post('request-song', { song: tracks[10] }, guestToken);
+  assertError(await post('request-song', { song: tracks[10] }, guestToken), 'ALREADY_REQUESTED');
+  assertError(await post('approve-request', { songId: tracks[11].id }), 'REQUEST_NOT_FOUND');
+  assertError(await post('vote', { entryId: 'gone', voteType: 'up' }, guestToken), 'ENTRY_NOT_FOUND');
+  assertError(await post('save-playlist', { source: 'history' }), 'NOTHING_TO_SAVE');
+
+  const empty = await harness.createSession('empty-validator');
+  assertError(await harness.request('POST', `/api/session/${empty.sessionId}/play-next`, { token: empty.token }), 'QUEUE_EMPTY');
+  assertError(await harness.request('GET', '/api/session/missing'), 'SESSION_NOT_FOUND');
+});
+
+test('malformed JSON and unknown endpoints use the envelope', async () => {
+  const response = await fetch(`${harness.baseUrl}/api/session/join`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"sessionId": '
+  });
+  assertError({ status: response.status, body: await response.json() }, 'INVALID_JSON');
+
+  const unknown = await harness.request('GET', '/api/nope?x=1');
+  assertError(unknown, 'NOT_FOUND');
+  assert.strictEqual(unknown.body.error, 'No such endpoint: GET /api/nope');
+});
+
+test('socket acks use the envelope', async () => {
+  await assert.rejects(harness.connect(session.sessionId, 'garbage'), { code: 'TOKEN_INVALID' });
+  await assert.rejects(harness.connect('missing', session.token), { code: 'TOKEN_INVALID' });
+});